@@ -0,0 +1,146 @@
+// Este arquivo implementa o `JsonFileAdapter`, o adaptador de armazenamento padrão do `Database`.
+// Ele guarda todas as tabelas em um único arquivo JSON formatado (ex.: `db.json`), reescrito por inteiro
+// a cada gravação de forma atômica, e mantém uma cópia da versão anterior para recuperação.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { writeFileAtomic } from "../utils/write-file-atomic.js";
+
+/**
+ * @class JsonFileAdapter
+ * Adaptador que persiste o banco em um arquivo JSON legível.
+ *
+ * Todo adaptador do `Database` implementa a mesma interface:
+ * - `load()`: Retorna os dados salvos ou `null` se ainda não houver nada salvo.
+ * - `persist(data, changes)`: Grava o estado atual. `changes` lista as alterações desde a última
+ *   gravação (ou é `null` quando o estado completo precisa ser reescrito). Este adaptador sempre
+ *   reescreve o arquivo inteiro, então ignora `changes`.
+ * - `backup(label)` (opcional): Guarda uma cópia dos dados atuais; o `Database` a chama antes de cada migração.
+ *
+ * Arquivos auxiliares:
+ * - `<arquivo>.tmp`: Recebe o novo conteúdo antes de substituir o arquivo principal.
+ * - `<arquivo>.bak`: Última cópia íntegra, usada quando o arquivo principal está corrompido.
+ * - `<arquivo>.<label>.bak`: Cópia feita antes de uma migração (ex.: `db.json.v0-to-v1-1717000000000.bak`).
+ *
+ * @example
+ * const database = new Database({ adapter: new JsonFileAdapter({ path: "data/users.json" }) });
+ */
+export class JsonFileAdapter {
+  /**
+   * @param {object} [options] - Opções do adaptador.
+   * @param {string} [options.path="db.json"] - Caminho do arquivo, relativo ao diretório atual.
+   */
+  constructor({ path: filePath = "db.json" } = {}) {
+    this.path = path.resolve(filePath);
+    this.backupPath = `${this.path}.bak`;
+  }
+
+  /**
+   * Carrega os dados do arquivo JSON.
+   *
+   * - Se o arquivo não existir, usa a cópia de segurança (ex.: o processo caiu entre as etapas da escrita)
+   *   ou retorna `null` para o banco começar vazio.
+   * - Se o arquivo estiver corrompido, recupera a última cópia íntegra em vez de sobrescrevê-lo com `{}`.
+   *
+   * @returns {Promise<object|null>} - Os dados carregados ou `null`.
+   */
+  async load() {
+    let content;
+
+    try {
+      content = await fs.readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+
+      const backup = await this.#readBackup();
+
+      if (backup) {
+        await this.persist(backup);
+      }
+
+      return backup;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch {
+      return this.#recover();
+    }
+  }
+
+  /**
+   * Grava os dados no arquivo de forma atômica.
+   * O conteúdo é serializado antes de qualquer operação assíncrona, então reflete o estado do momento da chamada.
+   *
+   * @param {object} data - Todas as tabelas do banco.
+   * @returns {Promise<void>} - Resolvida quando os dados estiverem gravados em disco.
+   */
+  async persist(data) {
+    const content = JSON.stringify(data, null, 2);
+
+    await writeFileAtomic(this.path, content, { backupPath: this.backupPath });
+  }
+
+  /**
+   * Copia o arquivo atual para `<arquivo>.<label>.bak`, antes de uma migração alterar os dados.
+   * Se o arquivo ainda não existir, não há o que copiar.
+   *
+   * @param {string} label - Identificação da cópia (ex.: `v0-to-v1-1717000000000`).
+   * @returns {Promise<string|null>} - Caminho da cópia ou `null` se nada foi copiado.
+   */
+  async backup(label) {
+    const backupPath = `${this.path}.${label}.bak`;
+
+    try {
+      await fs.copyFile(this.path, backupPath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+
+      throw error;
+    }
+
+    return backupPath;
+  }
+
+  /**
+   * Método privado que recupera o banco a partir da cópia de segurança quando o arquivo está corrompido.
+   * O arquivo corrompido é preservado com o sufixo `.corrupt-<timestamp>` para análise manual.
+   * Se não houver cópia válida, o carregamento falha e nada é sobrescrito.
+   */
+  async #recover() {
+    const backup = await this.#readBackup();
+
+    if (!backup) {
+      throw new Error(
+        `${this.path} is corrupt and no valid backup was found at ${this.backupPath}. ` +
+          "Nothing was overwritten; fix the file manually before starting the server."
+      );
+    }
+
+    const corruptPath = `${this.path}.corrupt-${Date.now()}`;
+    await fs.rename(this.path, corruptPath);
+    console.warn(`Corrupt database moved to ${corruptPath}; data recovered from ${this.backupPath}.`);
+
+    await this.persist(backup);
+
+    return backup;
+  }
+
+  /**
+   * Método privado que lê e interpreta a cópia de segurança.
+   *
+   * @returns {Promise<object|null>} - Os dados da cópia ou `null` se ela não existir ou for inválida.
+   */
+  async #readBackup() {
+    try {
+      return JSON.parse(await fs.readFile(this.backupPath, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+}
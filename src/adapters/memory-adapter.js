@@ -0,0 +1,75 @@
+// Este arquivo implementa o `MemoryAdapter`, um adaptador de armazenamento do `Database` que mantém
+// os dados apenas em memória. Ele é útil em testes e scripts: nada é gravado em disco e cada instância
+// começa isolada das demais.
+
+/**
+ * @class MemoryAdapter
+ * Adaptador que guarda uma cópia dos dados em memória a cada gravação.
+ *
+ * @example
+ * const adapter = new MemoryAdapter({ data: { users: [] } });
+ * const database = new Database({ adapter });
+ *
+ * await database.insert("users", { id: "1", name: "John" });
+ * adapter.data; // { users: [{ id: "1", name: "John" }] }
+ */
+export class MemoryAdapter {
+  // Cópia dos dados da última gravação (ou os dados iniciais).
+  #data;
+
+  // Cópias feitas com `backup`, por label (ex.: antes de cada migração).
+  backups = new Map();
+
+  /**
+   * @param {object} [options] - Opções do adaptador.
+   * @param {object} [options.data] - Dados iniciais do banco.
+   */
+  constructor({ data = null } = {}) {
+    this.#data = data ? structuredClone(data) : null;
+  }
+
+  /**
+   * Cópia dos dados gravados, para inspeção (ex.: em testes).
+   *
+   * @returns {object|null}
+   */
+  get data() {
+    return this.#data ? structuredClone(this.#data) : null;
+  }
+
+  /**
+   * Retorna uma cópia dos dados iniciais ou `null` se o adaptador foi criado vazio.
+   *
+   * @returns {Promise<object|null>}
+   */
+  async load() {
+    return this.data;
+  }
+
+  /**
+   * Guarda uma cópia do estado atual. A cópia garante que alterações posteriores no banco
+   * não mudem o que foi "gravado".
+   *
+   * @param {object} data - Todas as tabelas do banco.
+   * @returns {Promise<void>}
+   */
+  async persist(data) {
+    this.#data = structuredClone(data);
+  }
+
+  /**
+   * Guarda uma cópia dos dados atuais em `backups`.
+   *
+   * @param {string} label - Identificação da cópia.
+   * @returns {Promise<string|null>} - O próprio label ou `null` se ainda não houver dados.
+   */
+  async backup(label) {
+    if (!this.#data) {
+      return null;
+    }
+
+    this.backups.set(label, this.data);
+
+    return label;
+  }
+}
@@ -0,0 +1,91 @@
+// Este arquivo implementa o `MemoryRateLimitStore`, o armazenamento padrão dos contadores do middleware `rateLimit`.
+// Os contadores ficam apenas na memória do processo: somem quando o servidor reinicia e não são compartilhados
+// entre várias instâncias do servidor. Para isso, basta passar ao `rateLimit` outro store com a mesma interface.
+
+/**
+ * @class MemoryRateLimitStore
+ * Guarda contadores com prazo de validade, em memória.
+ *
+ * Todo store do `rateLimit` implementa a mesma interface:
+ * - `increment(key, ttl)`: Soma 1 ao contador `key` e retorna o novo valor. Um contador novo (ou vencido) começa
+ *   em 0 e vale por `ttl` milissegundos. Deve ser atômico: duas chamadas simultâneas retornam valores diferentes
+ *   (ex.: `INCR` seguido de `PEXPIRE` no Redis).
+ * - `get(key)`: Retorna o valor do contador, ou 0 se ele não existir ou tiver vencido.
+ *
+ * Os dois métodos podem retornar Promises, para stores que dependem de rede.
+ *
+ * @example
+ * const store = new MemoryRateLimitStore();
+ *
+ * await store.increment("ip:127.0.0.1", 60_000); // 1
+ * await store.increment("ip:127.0.0.1", 60_000); // 2
+ * await store.get("ip:127.0.0.1"); // 2
+ */
+export class MemoryRateLimitStore {
+  // Contadores por chave: `{ count, expiresAt }`.
+  #counters = new Map();
+
+  // Timer da limpeza periódica dos contadores vencidos.
+  #sweeper;
+
+  /**
+   * @param {object} [options] - Opções do store.
+   * @param {number} [options.sweepInterval=60000] - Intervalo, em ms, entre as limpezas dos contadores vencidos.
+   */
+  constructor({ sweepInterval = 60_000 } = {}) {
+    // `unref` permite que o processo termine mesmo com o timer ativo (ex.: em scripts e testes).
+    this.#sweeper = setInterval(() => this.#sweep(), sweepInterval).unref();
+  }
+
+  /**
+   * Soma 1 ao contador e retorna o novo valor.
+   *
+   * @param {string} key - Chave do contador.
+   * @param {number} ttl - Validade, em ms, de um contador novo.
+   * @returns {Promise<number>}
+   */
+  async increment(key, ttl) {
+    const now = Date.now();
+    let counter = this.#counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + ttl };
+      this.#counters.set(key, counter);
+    }
+
+    return ++counter.count;
+  }
+
+  /**
+   * Retorna o valor atual do contador.
+   *
+   * @param {string} key - Chave do contador.
+   * @returns {Promise<number>}
+   */
+  async get(key) {
+    const counter = this.#counters.get(key);
+
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+
+  /**
+   * Para a limpeza periódica e descarta todos os contadores.
+   */
+  close() {
+    clearInterval(this.#sweeper);
+    this.#counters.clear();
+  }
+
+  /**
+   * Remove os contadores vencidos, para que clientes que não voltam mais não ocupem memória para sempre.
+   */
+  #sweep() {
+    const now = Date.now();
+
+    for (const [key, { expiresAt }] of this.#counters) {
+      if (expiresAt <= now) {
+        this.#counters.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,187 @@
+// Este arquivo implementa o `NdjsonLogAdapter`, um adaptador de armazenamento do `Database` baseado em um
+// log append-only no formato NDJSON (um objeto JSON por linha). Em vez de reescrever o banco inteiro a cada
+// operação, cada gravação acrescenta uma linha com as alterações; de tempos em tempos o log é compactado
+// em uma única linha com o estado completo.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { writeFileAtomic } from "../utils/write-file-atomic.js";
+
+/**
+ * @class NdjsonLogAdapter
+ * Adaptador que persiste o banco como um log de alterações.
+ *
+ * Formato do arquivo (cada linha é um JSON):
+ * - `{ "type": "snapshot", "data": {...} }`: Estado completo, escrito na compactação (sempre a primeira linha).
+ * - `{ "type": "changes", "at": "...", "changes": [...] }`: Alterações de uma gravação (`insert`, `update`
+ *   ou `delete`). Uma transação gera uma única linha, então ela é aplicada por inteiro ou não é aplicada.
+ *
+ * Se o processo cair no meio de um `append`, a última linha fica incompleta: ela é descartada no
+ * carregamento e o log é compactado na próxima gravação.
+ *
+ * @example
+ * const database = new Database({
+ *   adapter: new NdjsonLogAdapter({ path: "data/events.ndjson", compactAfter: 500 }),
+ * });
+ */
+export class NdjsonLogAdapter {
+  // Quantidade de linhas de alterações desde a última compactação.
+  #entries = 0;
+
+  // Indica que o log precisa ser reescrito (ex.: última linha incompleta ou falha em um `append`).
+  #needsCompaction = false;
+
+  /**
+   * @param {object} [options] - Opções do adaptador.
+   * @param {string} [options.path="db.ndjson"] - Caminho do arquivo de log, relativo ao diretório atual.
+   * @param {number} [options.compactAfter=1000] - Quantidade de linhas de alterações que dispara a compactação.
+   */
+  constructor({ path: filePath = "db.ndjson", compactAfter = 1000 } = {}) {
+    this.path = path.resolve(filePath);
+    this.compactAfter = compactAfter;
+  }
+
+  /**
+   * Lê o log e reaplica as alterações sobre o último snapshot.
+   *
+   * @returns {Promise<object|null>} - Os dados reconstruídos ou `null` se o arquivo não existir.
+   * @throws {Error} - Se uma linha no meio do log estiver corrompida.
+   */
+  async load() {
+    let content;
+
+    try {
+      content = await fs.readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+
+      throw error;
+    }
+
+    const lines = content.split("\n");
+    const lastLine = lines.findLastIndex((line) => line.trim() !== "");
+    let data = {};
+
+    for (const [number, line] of lines.entries()) {
+      if (line.trim() === "") {
+        continue;
+      }
+
+      let entry;
+
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        if (number === lastLine) {
+          // Escrita interrompida: as alterações dessa linha nunca foram confirmadas.
+          console.warn(`Ignoring incomplete last line of ${this.path}.`);
+          this.#needsCompaction = true;
+          break;
+        }
+
+        throw new Error(`${this.path} is corrupt at line ${number + 1}.`);
+      }
+
+      if (entry.type === "snapshot") {
+        data = entry.data;
+        this.#entries = 0;
+      } else if (entry.type === "changes") {
+        entry.changes.forEach((change) => applyChange(data, change));
+        this.#entries++;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Grava as alterações no final do log, ou compacta o log quando necessário.
+   * O conteúdo é serializado antes de qualquer operação assíncrona, então reflete o estado do momento da chamada.
+   *
+   * @param {object} data - Todas as tabelas do banco (usadas na compactação).
+   * @param {Array<object>|null} changes - Alterações desde a última gravação; `null` força a compactação.
+   * @returns {Promise<void>} - Resolvida quando os dados estiverem gravados em disco.
+   */
+  async persist(data, changes) {
+    if (changes === null || this.#needsCompaction || this.#entries >= this.compactAfter) {
+      return this.#compact(JSON.stringify({ type: "snapshot", data }) + "\n");
+    }
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    const line = JSON.stringify({ type: "changes", at: new Date().toISOString(), changes }) + "\n";
+    const file = await fs.open(this.path, "a");
+
+    try {
+      await file.write(line);
+      await file.sync();
+      this.#entries++;
+    } catch (error) {
+      // A linha pode ter ficado pela metade: a próxima gravação reescreve o log inteiro.
+      this.#needsCompaction = true;
+      throw error;
+    } finally {
+      await file.close();
+    }
+  }
+
+  /**
+   * Copia o log atual para `<arquivo>.<label>.bak`, antes de uma migração alterar os dados.
+   * Se o arquivo ainda não existir, não há o que copiar.
+   *
+   * @param {string} label - Identificação da cópia (ex.: `v0-to-v1-1717000000000`).
+   * @returns {Promise<string|null>} - Caminho da cópia ou `null` se nada foi copiado.
+   */
+  async backup(label) {
+    const backupPath = `${this.path}.${label}.bak`;
+
+    try {
+      await fs.copyFile(this.path, backupPath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+
+      throw error;
+    }
+
+    return backupPath;
+  }
+
+  /**
+   * Método privado que substitui o log por um único snapshot, de forma atômica.
+   *
+   * @param {string} content - Linha de snapshot já serializada.
+   */
+  async #compact(content) {
+    await writeFileAtomic(this.path, content);
+
+    this.#entries = 0;
+    this.#needsCompaction = false;
+  }
+}
+
+/**
+ * @function applyChange
+ * Reaplica uma alteração do log sobre os dados em memória.
+ *
+ * @param {object} data - Tabelas do banco.
+ * @param {{ op: string, table: string, id: *, record?: object }} change - Alteração registrada.
+ */
+function applyChange(data, { op, table, id, record }) {
+  const rows = (data[table] ??= []);
+  const index = rows.findIndex((row) => row.id === id);
+
+  if (op === "insert") {
+    rows.push(record);
+  } else if (op === "update" && index > -1) {
+    rows[index] = record;
+  } else if (op === "delete" && index > -1) {
+    rows.splice(index, 1);
+  }
+}
@@ -0,0 +1,24 @@
+// Este arquivo reúne a configuração da autenticação, compartilhada pelo middleware `authenticate` (`server.js`)
+// e pelas rotas de `/auth` (`auth-routes.js`): o segredo que assina os tokens e a validade de cada token.
+
+import { randomBytes } from "node:crypto";
+
+/**
+ * @constant authConfig
+ * Configuração da autenticação.
+ *
+ * - `secret`: Segredo dos tokens de acesso, lido da variável de ambiente `AUTH_SECRET`. Sem ela, um segredo
+ *   aleatório é gerado a cada inicialização: funciona em desenvolvimento, mas todos os tokens de acesso deixam
+ *   de valer quando o servidor reinicia (os refresh tokens, gravados no banco, continuam valendo).
+ * - `accessTokenTtl`: Validade do token de acesso, em segundos (15 minutos).
+ * - `refreshTokenTtl`: Validade do refresh token, em segundos (30 dias).
+ */
+export const authConfig = {
+  secret: process.env.AUTH_SECRET || randomBytes(32),
+  accessTokenTtl: 15 * 60,
+  refreshTokenTtl: 30 * 24 * 60 * 60,
+};
+
+if (!process.env.AUTH_SECRET) {
+  console.warn("AUTH_SECRET is not set: using a random secret, so access tokens will not survive a restart.");
+}
@@ -0,0 +1,322 @@
+// Este arquivo define as rotas de autenticação, montadas em `/auth` pelo `server.js`. O login troca email e senha
+// por dois tokens:
+// - Token de acesso: Assinado com HMAC, dura 15 minutos e vai em `Authorization: Bearer <token>` nas rotas protegidas.
+// - Refresh token: Aleatório, dura 30 dias e só serve para pedir um novo par de tokens em `POST /auth/refresh`.
+//   Cada refresh token pode ser usado uma única vez (rotação); o banco guarda apenas o hash dele.
+
+// Importações:
+// - `createHash`, `randomBytes` e `randomUUID`: Geram os refresh tokens, seus hashes e os IDs das sessões.
+// - `authConfig`: Segredo e validade dos tokens.
+// - `database`: Instância do banco compartilhada com as demais rotas.
+// - `BadRequestError` e `UnauthorizedError`: Erros HTTP respondidos como `application/problem+json`.
+// - `Router`: Classe que encontra a rota de cada requisição.
+// - `users`: Definição da tabela de usuários (campos ocultos nas respostas).
+// - `omitFields`: Remove os campos ocultos (ex.: `passwordHash`) do usuário devolvido.
+// - `hashPassword` e `verifyPassword`: Conferem a senha enviada no login.
+// - `signToken`: Assina os tokens de acesso.
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import { authConfig } from "./auth-config.js";
+import { database } from "./db.js";
+import { BadRequestError, UnauthorizedError } from "./errors/http-error.js";
+import { Router } from "./router.js";
+import { users } from "./tables/users.js";
+import { omitFields } from "./utils/omit-fields.js";
+import { hashPassword, verifyPassword } from "./utils/password.js";
+import { signToken } from "./utils/signed-token.js";
+
+// Hash de uma senha aleatória, conferido no login quando o email não existe. Assim, o tempo de resposta é o
+// mesmo para um email desconhecido e para uma senha errada, e não revela quais emails estão cadastrados.
+const dummyPasswordHash = hashPassword(randomUUID());
+
+// Define as rotas de autenticação. Os caminhos são relativos ao prefixo `/auth`.
+const authRoutes = [
+  /**
+   * Rota para entrar com email e senha.
+   *
+   * Método: POST
+   * Caminho: /auth/login
+   *
+   * Corpo da requisição (JSON):
+   * - `email`: Email do usuário.
+   * - `password`: Senha do usuário.
+   *
+   * Exemplo:
+   * POST /auth/login
+   * Body: { "email": "john@example.com", "password": "correct horse battery staple" }
+   *
+   * Retorno:
+   * - Status 200: `{ tokenType, accessToken, expiresIn, refreshToken, refreshTokenExpiresAt, user }`.
+   * - Status 400: `email` ou `password` ausentes.
+   * - Status 401: Email ou senha incorretos (a resposta é a mesma nos dois casos).
+   * - Status 429: Tentativas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   *
+   * Usuários sem `passwordHash` (criados antes do login existir ou importados em lote) sempre recebem 401. A senha
+   * deles é definida por um administrador (`PATCH /users/:id` com `password`) ou, com o servidor parado, por
+   * `npm run migrate -- --set-password <email>`.
+   */
+  {
+    method: "POST",
+    path: "/login",
+    rateLimit: "auth",
+    handler: async (req, res) => {
+      const { email, password } = req.body ?? {};
+
+      if (typeof email !== "string" || typeof password !== "string") {
+        throw new BadRequestError('"email" and "password" are required.');
+      }
+
+      // Os emails são gravados sem espaços e em minúsculas (veja o schema de `users`).
+      const [user] = database.select("users", { email: email.trim().toLowerCase() }, { limit: 1 });
+
+      // A senha é conferida mesmo sem usuário, para que as duas falhas levem o mesmo tempo.
+      const valid = await verifyPassword(password, user?.passwordHash ?? (await dummyPasswordHash));
+
+      if (!user || !valid) {
+        throw new UnauthorizedError("Invalid email or password.");
+      }
+
+      const refreshToken = await database.transaction(async (tx) => {
+        // Aproveita o login para descartar as sessões expiradas do usuário.
+        const now = Date.now();
+
+        for (const expired of tx.select("refreshTokens", { userId: user.id })) {
+          if (Date.parse(expired.expiresAt) <= now) {
+            await tx.delete("refreshTokens", expired.id);
+          }
+        }
+
+        return createRefreshToken(tx, user.id, randomUUID());
+      });
+
+      return sendTokens(res, user, refreshToken);
+    },
+  },
+
+  /**
+   * Rota para trocar um refresh token por um novo par de tokens.
+   *
+   * Método: POST
+   * Caminho: /auth/refresh
+   *
+   * Corpo da requisição (JSON):
+   * - `refreshToken`: Refresh token recebido no login ou na última renovação.
+   *
+   * O refresh token enviado deixa de valer e um novo é devolvido no lugar (rotação). Se um token já usado for
+   * enviado de novo, alguém tem uma cópia dele: a sessão inteira é encerrada, e o dono precisa entrar de novo.
+   *
+   * Retorno:
+   * - Status 200: O novo par de tokens, no mesmo formato do login.
+   * - Status 400: `refreshToken` ausente.
+   * - Status 401: Token desconhecido, expirado, já usado ou de uma sessão encerrada.
+   * - Status 429: Tentativas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   */
+  {
+    method: "POST",
+    path: "/refresh",
+    rateLimit: "auth",
+    handler: async (req, res) => {
+      const { refreshToken } = req.body ?? {};
+
+      if (typeof refreshToken !== "string") {
+        throw new BadRequestError('"refreshToken" is required.');
+      }
+
+      // A verificação e a troca acontecem em uma transação: duas renovações simultâneas com o mesmo token não
+      // conseguem, ambas, ver o token como não usado.
+      const result = await database.transaction(async (tx) => {
+        const [current] = tx.select("refreshTokens", { tokenHash: hashToken(refreshToken) });
+
+        if (!current || Date.parse(current.expiresAt) <= Date.now()) {
+          return { error: "Invalid or expired refresh token." };
+        }
+
+        if (current.revokedAt) {
+          return { error: "This session has been revoked." };
+        }
+
+        if (current.usedAt) {
+          await revokeFamily(tx, current.family);
+          return { error: "This refresh token was already used; the session has been revoked." };
+        }
+
+        const user = database.get("users", current.userId);
+
+        if (!user) {
+          await revokeFamily(tx, current.family);
+          return { error: "The user of this session no longer exists." };
+        }
+
+        await tx.update("refreshTokens", current.id, { ...current, usedAt: new Date().toISOString() });
+
+        return { user, refreshToken: await createRefreshToken(tx, user.id, current.family) };
+      });
+
+      if (result.error) {
+        throw new UnauthorizedError(result.error);
+      }
+
+      return sendTokens(res, result.user, result.refreshToken);
+    },
+  },
+
+  /**
+   * Rota para sair, encerrando a sessão de um refresh token.
+   *
+   * Método: POST
+   * Caminho: /auth/logout
+   *
+   * Corpo da requisição (JSON):
+   * - `refreshToken`: Refresh token da sessão.
+   *
+   * Todos os refresh tokens da sessão deixam de valer. Os tokens de acesso já emitidos continuam válidos até
+   * expirarem (no máximo 15 minutos): o cliente deve descartá-los.
+   *
+   * Retorno:
+   * - Status 204: Sessão encerrada (também para um token desconhecido, que já não dava acesso a nada).
+   * - Status 400: `refreshToken` ausente.
+   * - Status 429: Tentativas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   */
+  {
+    method: "POST",
+    path: "/logout",
+    rateLimit: "auth",
+    handler: async (req, res) => {
+      const { refreshToken } = req.body ?? {};
+
+      if (typeof refreshToken !== "string") {
+        throw new BadRequestError('"refreshToken" is required.');
+      }
+
+      await database.transaction(async (tx) => {
+        const [current] = tx.select("refreshTokens", { tokenHash: hashToken(refreshToken) });
+
+        if (current) {
+          await revokeFamily(tx, current.family);
+        }
+      });
+
+      return res.writeHead(204).end();
+    },
+  },
+
+  /**
+   * Rota para consultar o usuário autenticado.
+   *
+   * Método: GET
+   * Caminho: /auth/me
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório).
+   *
+   * Retorno:
+   * - Status 200: O usuário dono do token.
+   * - Status 401: Token ausente, inválido ou expirado.
+   */
+  {
+    method: "GET",
+    path: "/me",
+    auth: true,
+    handler: (req, res) => {
+      return res.end(JSON.stringify(req.user));
+    },
+  },
+];
+
+// Cria o roteador de autenticação, montado em `/auth` pelo `server.js`.
+export const authRouter = new Router(authRoutes);
+
+/**
+ * @function createRefreshToken
+ * Gera um refresh token e grava o hash dele no banco.
+ *
+ * @param {object} tx - Transação (veja `Database#transaction`).
+ * @param {string} userId - ID do usuário.
+ * @param {string} family - ID da sessão; as renovações continuam na mesma família.
+ * @returns {Promise<{ token: string, expiresAt: string }>} - O token (que só existe nesta resposta) e a validade.
+ */
+async function createRefreshToken(tx, userId, family) {
+  const token = randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + authConfig.refreshTokenTtl * 1000).toISOString();
+
+  await tx.insert("refreshTokens", { id: randomUUID(), userId, tokenHash: hashToken(token), family, expiresAt });
+
+  return { token, expiresAt };
+}
+
+/**
+ * @function revokeFamily
+ * Encerra uma sessão: revoga todos os refresh tokens da família que ainda não foram revogados.
+ *
+ * @param {object} tx - Transação (veja `Database#transaction`).
+ * @param {string} family - ID da sessão.
+ */
+async function revokeFamily(tx, family) {
+  const revokedAt = new Date().toISOString();
+
+  for (const token of tx.select("refreshTokens", { family })) {
+    if (!token.revokedAt) {
+      await tx.update("refreshTokens", token.id, { ...token, revokedAt });
+    }
+  }
+}
+
+/**
+ * @function hashToken
+ * Calcula o SHA-256 de um refresh token. Um token aleatório de 256 bits não precisa de um hash lento como o das
+ * senhas: não há como adivinhá-lo por tentativa e erro.
+ *
+ * @param {string} token - Refresh token.
+ * @returns {string} - O hash em hexadecimal.
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * @function sendTokens
+ * Responde com um novo par de tokens. `Cache-Control: no-store` impede que os tokens fiquem guardados em caches.
+ *
+ * @param {Object} res - Objeto da resposta HTTP.
+ * @param {object} user - Usuário autenticado.
+ * @param {{ token: string, expiresAt: string }} refreshToken - Refresh token gerado por `createRefreshToken`.
+ */
+function sendTokens(res, user, refreshToken) {
+  const accessToken = signToken({ sub: user.id, type: "access" }, authConfig.secret, {
+    expiresIn: authConfig.accessTokenTtl,
+  });
+
+  return res.writeHead(200, { "Cache-Control": "no-store" }).end(
+    JSON.stringify({
+      tokenType: "Bearer",
+      accessToken,
+      expiresIn: authConfig.accessTokenTtl,
+      refreshToken: refreshToken.token,
+      refreshTokenExpiresAt: refreshToken.expiresAt,
+      user: omitFields(user, users.hidden),
+    })
+  );
+}
+
+/**
+ * Explicação geral:
+ *
+ * - `POST /auth/login`: Confere email e senha e abre uma sessão.
+ * - `POST /auth/refresh`: Troca o refresh token por um novo par de tokens.
+ * - `POST /auth/logout`: Encerra a sessão.
+ * - `GET /auth/me`: Retorna o usuário do token de acesso.
+ *
+ * 1. **Dois tokens**: O token de acesso é conferido só com o segredo, sem consultar o banco, e por isso não pode ser
+ *    revogado; ele dura pouco. O refresh token é consultado no banco a cada uso, então pode ser revogado a
+ *    qualquer momento (logout), e dura mais.
+ *
+ * 2. **Rotação e detecção de reutilização**: Cada renovação marca o token usado (`usedAt`) e entrega outro da
+ *    mesma família. O cliente legítimo sempre tem o token mais recente; se um token antigo aparecer, quem o
+ *    enviou tem uma cópia roubada (ou é o dono legítimo depois do ladrão). Como não há como saber quem é quem,
+ *    a família inteira é revogada.
+ *
+ * 3. **Só o hash no banco**: Quem tiver acesso ao `db.json` vê apenas hashes SHA-256, que não servem como token.
+ *
+ * 4. **Contas sem senha**: O login não tem um fluxo de "primeiro acesso": um email sem `passwordHash` é tratado como
+ *    senha incorreta, para que ninguém defina a senha de uma conta alheia. A senha é definida fora da API, pelo
+ *    script `npm run migrate -- --set-password` (veja `src/migrate.js`), ou por um administrador.
+ */
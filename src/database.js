@@ -1,95 +1,1010 @@
-// Este arquivo implementa uma classe `Database` para gerenciar dados em um arquivo JSON (`db.json`).
-// Essa classe permite realizar operações de CRUD (Create, Read, Update, Delete) em tabelas simuladas,
-// com persistência automática no arquivo `db.json`.
-
-// Importa módulos do Node.js:
-// - `fs/promises`: Para operações assíncronas no sistema de arquivos.
-// - `path`: Para manipular caminhos de arquivos.
-import fs from "node:fs/promises";
-import path from "node:path";
-
-// Define o caminho absoluto para o arquivo `db.json` na raiz do projeto.
-const databasePath = path.resolve("db.json");
-console.log(databasePath); // Log do caminho para debug.
-
-// Define a classe `Database` para gerenciar as operações no arquivo JSON.
-export class Database {
-  // Propriedade privada para armazenar os dados carregados do arquivo JSON.
+// Este arquivo implementa uma classe `Database` para gerenciar dados em tabelas simuladas.
+// Essa classe permite realizar operações de CRUD (Create, Read, Update, Delete), com persistência automática
+// delegada a um adaptador de armazenamento (por padrão, o arquivo `db.json`).
+
+// Importações:
+// - `randomUUID`: Gera os IDs das entradas do histórico de revisões.
+// - `EventEmitter`: Base da classe, usada para emitir eventos a cada alteração confirmada.
+// - `Readable`: Stream de leitura dos registros de uma tabela (usada em exportações).
+// - `JsonFileAdapter`: Adaptador padrão, que grava todas as tabelas em um arquivo JSON.
+// - `matchQuery`: Avalia se um registro atende a um objeto de consulta (usado por `select`).
+// - `TableIndex`: Índice em memória sobre um campo, usado para buscas rápidas e restrições de unicidade.
+// - `validateSchema`: Valida e normaliza os registros de acordo com o schema da tabela.
+// - `parseSort`/`compareBy`, `encodeCursor`/`decodeCursor` e `projectFields`: Ordenação, paginação e projeção usadas por `select`.
+import { randomUUID } from "node:crypto";
+import { EventEmitter } from "node:events";
+import { Readable } from "node:stream";
+
+import { JsonFileAdapter } from "./adapters/json-file-adapter.js";
+import {
+  DatabaseError,
+  InvalidQueryError,
+  MigrationError,
+  UniqueConstraintError,
+  ValidationError,
+  VersionConflictError,
+} from "./errors/database-errors.js";
+import { decodeCursor, encodeCursor } from "./utils/cursor.js";
+import { getFieldValue, matchQuery } from "./utils/match-query.js";
+import { projectFields } from "./utils/project-fields.js";
+import { compareBy, parseSort } from "./utils/sort-records.js";
+import { TableIndex } from "./utils/table-index.js";
+import { validateSchema } from "./utils/validate-schema.js";
+
+// Tabela interna onde ficam as revisões das tabelas com `history: true`.
+// Tabelas cujo nome começa com `_` são de uso interno e não emitem eventos.
+const HISTORY_TABLE = "_history";
+
+// Chave interna do arquivo com os metadados do banco (ex.: a versão do schema aplicada pelas migrações).
+const META_KEY = "_meta";
+
+// Define a classe `Database` para gerenciar as operações sobre as tabelas.
+// A classe estende `EventEmitter`: cada alteração gravada com sucesso emite os eventos `change` e
+// `insert`/`update`/`delete` (veja `#emitChanges`).
+export class Database extends EventEmitter {
+  // Propriedade privada para armazenar os dados carregados pelo adaptador.
   #database = {};
 
-  // Construtor que inicializa a classe e carrega os dados do arquivo JSON.
-  constructor() {
-    // Lê o conteúdo do arquivo `db.json`.
-    fs.readFile(databasePath, "utf8")
-      .then((data) => {
-        // Se o arquivo existir e estiver formatado corretamente, carrega os dados na propriedade `#database`.
-        this.#database = JSON.parse(data);
-      })
-      .catch(() => {
-        // Caso o arquivo não exista ou ocorra um erro, cria um arquivo vazio.
-        this.#persist();
-      });
+  // Adaptador responsável por carregar e gravar os dados (arquivo JSON, log NDJSON, memória...).
+  #adapter;
+
+  // Alterações aplicadas em memória e ainda não entregues ao adaptador.
+  #pendingChanges = [];
+
+  // Indica que o próximo `persist` deve gravar o estado completo (ex.: depois de uma falha de escrita).
+  #fullWriteNeeded = false;
+
+  // Promise resolvida quando os dados terminam de ser carregados.
+  #ready;
+
+  // Fila de escritas: cada persistência só começa depois que a anterior terminar.
+  #writeQueue = Promise.resolve();
+
+  // Fila de operações de escrita (`insert`, `update`, `delete` e transações), executadas uma de cada vez.
+  #lock = Promise.resolve();
+
+  // Configuração declarada para cada tabela (ex.: schema e índices).
+  #tables;
+
+  // Índices de cada tabela: nome da tabela -> (campo -> `TableIndex`). O campo `id` é sempre indexado.
+  #indexes = new Map();
+
+  // Migrações conhecidas, ordenadas por versão.
+  #migrations;
+
+  /**
+   * Construtor que inicializa a classe e carrega os dados pelo adaptador.
+   *
+   * @param {object} [options] - Opções do banco.
+   * @param {object} [options.adapter] - Adaptador de armazenamento. Padrão: `new JsonFileAdapter()` (`db.json`).
+   * Adaptadores disponíveis em `src/adapters`: `JsonFileAdapter`, `NdjsonLogAdapter` e `MemoryAdapter`.
+   * @param {object} [options.tables] - Configuração por tabela. Cada tabela pode declarar:
+   * - `schema`: Regras de validação de cada campo (veja `validateSchema`), aplicadas em toda escrita.
+   * - `indexes`: Lista de índices no formato `{ field, unique }`.
+   * - `timestamps`: Preenche `createdAt` e `updatedAt` automaticamente.
+   * - `softDelete`: `delete` apenas marca o registro com `deletedAt`, escondendo-o das leituras.
+   * - `history`: Guarda uma revisão de cada registro a cada escrita (veja `history` e `restore`).
+   * - `versioned`: Mantém o campo `version`, que começa em 1 e aumenta a cada escrita. Permite que `update` e
+   *   `delete` recebam `expectedVersion` (controle de concorrência otimista).
+   * @param {Array<object>} [options.migrations] - Migrações do banco (veja `src/migrations`), cada uma com
+   * `version`, `name`, `up(data)` e `down(data)`.
+   * @param {boolean} [options.autoMigrate=true] - Aplica as migrações pendentes ao carregar os dados.
+   * Com `false`, elas só rodam ao chamar `migrate`.
+   *
+   * @throws {MigrationError} - Se duas migrações tiverem a mesma versão.
+   *
+   * @example
+   * const database = new Database({
+   *   adapter: new JsonFileAdapter({ path: "data/users.json" }),
+   *   tables: {
+   *     users: {
+   *       schema: { email: { type: "string", format: "email", required: true } },
+   *       indexes: [{ field: "email", unique: true }],
+   *       timestamps: true,
+   *       softDelete: true,
+   *       history: true,
+   *       versioned: true,
+   *     },
+   *   },
+   * });
+   */
+  constructor({ adapter = new JsonFileAdapter(), tables = {}, migrations = [], autoMigrate = true } = {}) {
+    super();
+
+    this.#adapter = adapter;
+    this.#migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    for (const [position, migration] of this.#migrations.entries()) {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new MigrationError(`Migration "${migration.name}" must have a positive integer version.`);
+      }
+
+      if (migration.version === this.#migrations[position - 1]?.version) {
+        throw new MigrationError(`Duplicate migration version ${migration.version}.`);
+      }
+    }
+
+    // A tabela de histórico é indexada pelo ID do registro, para listar as revisões sem percorrer tudo.
+    this.#tables = {
+      [HISTORY_TABLE]: { indexes: [{ field: "recordId" }] },
+      ...tables,
+    };
+
+    // Os índices são reconstruídos a partir dos dados assim que eles são carregados (e migrados).
+    this.#ready = this.#load()
+      .then(() => autoMigrate && this.#migrate(this.latestVersion))
+      .then(() => this.#rebuildIndexes());
+  }
+
+  /**
+   * Promise resolvida quando o banco termina de carregar os dados.
+   * É rejeitada se o adaptador não conseguir carregá-los (ex.: arquivo corrompido sem cópia válida), se uma
+   * migração falhar ou se os dados violarem um índice único.
+   *
+   * @returns {Promise<void>}
+   */
+  get ready() {
+    return this.#ready;
+  }
+
+  /**
+   * Versão do schema dos dados carregados (a última migração aplicada), ou `0` se nenhuma foi aplicada.
+   *
+   * @returns {number}
+   */
+  get schemaVersion() {
+    return this.#database[META_KEY]?.schemaVersion ?? 0;
+  }
+
+  /**
+   * Versão da última migração conhecida pelo código.
+   *
+   * @returns {number}
+   */
+  get latestVersion() {
+    return this.#migrations.at(-1)?.version ?? 0;
+  }
+
+  /**
+   * Método privado que carrega os dados pelo adaptador.
+   * Se ainda não houver nada salvo, o banco começa vazio (já na versão mais recente) e o armazenamento é criado.
+   */
+  async #load() {
+    const data = await this.#adapter.load();
+
+    if (data) {
+      this.#database = data;
+      return;
+    }
+
+    this.#database = this.latestVersion > 0 ? { [META_KEY]: { schemaVersion: this.latestVersion } } : {};
+    this.#fullWriteNeeded = true;
+    await this.#persist();
+  }
+
+  /**
+   * Método privado que aplica as migrações necessárias para levar os dados até a versão `target`.
+   *
+   * - Se `target` for maior que a versão atual, roda `up` das migrações pendentes, em ordem crescente.
+   * - Se for menor, roda `down` das migrações aplicadas, em ordem decrescente.
+   *
+   * Antes de cada migração, o adaptador guarda uma cópia dos dados (`backup`). Cada migração trabalha sobre
+   * uma cópia em memória e só substitui os dados se terminar sem erro; então é gravada com a nova versão.
+   *
+   * @param {number} target - Versão desejada.
+   * @returns {Promise<Array<{ version: number, name: string, direction: string }>>} - Migrações aplicadas.
+   * @throws {MigrationError}
+   */
+  async #migrate(target) {
+    const current = this.schemaVersion;
+    const versions = [0, ...this.#migrations.map((migration) => migration.version)];
+
+    if (current > this.latestVersion) {
+      throw new MigrationError(
+        `Database schema version ${current} is newer than the latest known migration (${this.latestVersion}).`
+      );
+    }
+
+    if (!versions.includes(target)) {
+      throw new MigrationError(`Unknown schema version ${target}.`);
+    }
+
+    const direction = target >= current ? "up" : "down";
+    const steps =
+      direction === "up"
+        ? this.#migrations.filter(({ version }) => version > current && version <= target)
+        : this.#migrations.filter(({ version }) => version <= current && version > target).reverse();
+
+    const applied = [];
+
+    for (const migration of steps) {
+      const from = this.schemaVersion;
+      const to = direction === "up" ? migration.version : versions[versions.indexOf(migration.version) - 1];
+
+      await this.#adapter.backup?.(`v${from}-to-v${to}-${Date.now()}`);
+
+      const data = structuredClone(this.#database);
+
+      try {
+        await migration[direction](data);
+      } catch (error) {
+        throw new MigrationError(
+          `Migration ${migration.version} (${migration.name}) failed while running ${direction}: ${error.message}`
+        );
+      }
+
+      data[META_KEY] = { ...data[META_KEY], schemaVersion: to, migratedAt: new Date().toISOString() };
+
+      this.#database = data;
+      this.#fullWriteNeeded = true;
+      await this.#persist();
+
+      applied.push({ version: migration.version, name: migration.name, direction });
+    }
+
+    return applied;
   }
 
   /**
-   * Método privado para salvar os dados da propriedade `#database` no arquivo JSON.
+   * Método privado para entregar os dados ao adaptador de armazenamento.
    * É chamado automaticamente após operações que modificam os dados.
+   *
+   * As escritas entram em uma fila, garantindo que duas operações seguidas nunca gravem ao mesmo tempo.
+   * O adaptador recebe o estado completo e a lista de alterações desde a última gravação
+   * (ou `null`, quando o estado completo precisa ser regravado).
+   *
+   * Depois que a gravação termina com sucesso, os eventos das alterações são emitidos.
+   *
+   * @returns {Promise<void>} - Resolvida quando os dados estiverem gravados.
    */
   #persist() {
-    fs.writeFile(databasePath, JSON.stringify(this.#database, null, 2));
+    const committed = this.#pendingChanges;
+
+    // O adaptador só precisa do estado novo de cada registro; o anterior serve apenas aos eventos.
+    const changes = this.#fullWriteNeeded
+      ? null
+      : committed.map(({ previous, event, ...change }) => change);
+
+    this.#pendingChanges = [];
+    this.#fullWriteNeeded = false;
+
+    const write = this.#writeQueue
+      .then(() => this.#adapter.persist(this.#database, changes))
+      .then(() => this.#emitChanges(committed));
+
+    // Uma falha de escrita é repassada para quem chamou (que desfaz as alterações, veja `#commit`), mas não trava
+    // a fila para as próximas. Como o adaptador pode ter gravado só parte delas, a próxima grava o estado completo.
+    this.#writeQueue = write.catch(() => {
+      this.#fullWriteNeeded = true;
+    });
+
+    return write;
+  }
+
+  /**
+   * Método privado que emite os eventos das alterações gravadas.
+   *
+   * Para cada alteração são emitidos dois eventos com o mesmo objeto:
+   * - `change`: Todas as alterações.
+   * - `insert`, `update` ou `delete`: Apenas as alterações daquele tipo.
+   *
+   * O objeto do evento tem o formato `{ table, operation, id, old, new, timestamp }`, onde `old` e `new`
+   * são o registro antes e depois da alteração (`null` quando não existem, como `old` em um `insert`).
+   *
+   * Um `delete` em uma tabela com `softDelete` é gravado como atualização (o registro ganha `deletedAt`),
+   * mas emitido como `delete`. Tabelas internas (com `_` no início do nome) não emitem eventos.
+   *
+   * Um erro lançado por um ouvinte é apenas registrado no console: a gravação já aconteceu.
+   *
+   * @param {Array<object>} changes - Alterações confirmadas.
+   */
+  #emitChanges(changes) {
+    const timestamp = new Date().toISOString();
+
+    for (const { op, event: operation = op, table, id, record, previous } of changes) {
+      if (table.startsWith("_")) {
+        continue;
+      }
+
+      const event = {
+        table,
+        operation,
+        id,
+        old: previous ?? null,
+        new: record ?? null,
+        timestamp,
+      };
+
+      try {
+        this.emit("change", event);
+        this.emit(operation, event);
+      } catch (error) {
+        console.error(`Change listener failed for ${operation} on ${table}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Método privado que retorna (criando se necessário) os índices de uma tabela:
+   * o índice único de `id` e os índices declarados na configuração da tabela.
+   *
+   * @param {string} table - Nome da tabela.
+   * @returns {Map<string, TableIndex>} - Mapa de campo -> índice.
+   */
+  #tableIndexes(table) {
+    if (!this.#indexes.has(table)) {
+      const definitions = [{ field: "id", unique: true }, ...(this.#tables[table]?.indexes ?? [])];
+
+      this.#indexes.set(
+        table,
+        new Map(definitions.map((definition) => [definition.field, new TableIndex(table, definition)]))
+      );
+    }
+
+    return this.#indexes.get(table);
+  }
+
+  /**
+   * Método privado que reconstrói todos os índices a partir dos dados carregados.
+   *
+   * Registros que já violam um índice único no arquivo (ex.: emails duplicados gravados antes do índice existir)
+   * impedem a inicialização: o banco não carrega dados que não consegue indexar. Duplicatas devem ser resolvidas
+   * por uma migração (veja `migrations/003-normalize-user-emails.js`).
+   *
+   * A exceção são dados com migrações pendentes, que só existem com `autoMigrate: false` (ex.: no script
+   * `npm run migrate`): a migração que resolve as duplicatas ainda não rodou, então apenas o primeiro registro entra
+   * no índice até lá. Ao chegar à versão mais recente, `migrate` reconstrói os índices e volta a recusar duplicatas.
+   *
+   * @throws {UniqueConstraintError} - Se dois registros tiverem o mesmo valor em um campo com índice único.
+   */
+  #rebuildIndexes() {
+    const outdated = this.schemaVersion < this.latestVersion;
+
+    this.#indexes.clear();
+
+    for (const [table, rows] of Object.entries(this.#database)) {
+      // Metadados (ex.: `_meta`) não são tabelas e não têm índices.
+      if (!Array.isArray(rows)) {
+        continue;
+      }
+
+      const indexes = this.#tableIndexes(table);
+
+      for (const row of rows) {
+        for (const index of indexes.values()) {
+          try {
+            index.add(row);
+          } catch (error) {
+            if (!outdated || !(error instanceof UniqueConstraintError)) {
+              throw error;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Método privado que valida um registro contra o schema da tabela, se houver um.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {object} record - Registro a ser gravado.
+   * @returns {object} - O registro normalizado (padrões aplicados e campos desconhecidos removidos).
+   * @throws {ValidationError} - Se o registro não atender ao schema.
+   */
+  #validate(table, record) {
+    const schema = this.#tables[table]?.schema;
+
+    if (!schema) {
+      return record;
+    }
+
+    const { value, errors } = validateSchema(schema, record);
+
+    if (errors.length > 0) {
+      throw new ValidationError(table, errors);
+    }
+
+    return value;
+  }
+
+  /**
+   * Método privado que verifica se um registro pode ser gravado sem violar índices únicos.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {object} record - Registro a ser gravado.
+   * @param {object} [replacing] - Registro atual que será substituído (em atualizações).
+   * @throws {UniqueConstraintError}
+   */
+  #checkIndexes(table, record, replacing) {
+    for (const index of this.#tableIndexes(table).values()) {
+      index.check(record, replacing);
+    }
+  }
+
+  #addToIndexes(table, record) {
+    for (const index of this.#tableIndexes(table).values()) {
+      index.add(record);
+    }
+  }
+
+  #removeFromIndexes(table, record) {
+    for (const index of this.#tableIndexes(table).values()) {
+      index.remove(record);
+    }
+  }
+
+  /**
+   * Método privado que encontra um registro pelo ID usando o índice de `id`.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {string|number} id - ID do registro.
+   * @param {object} [options] - Opções da busca.
+   * @param {boolean} [options.withDeleted=false] - Inclui registros removidos com soft delete.
+   * @returns {object|undefined} - O registro encontrado.
+   */
+  #findById(table, id, { withDeleted = false } = {}) {
+    return this.#tableIndexes(table)
+      .get("id")
+      .find(id)
+      .find((row) => row.id === id && (withDeleted || !isSoftDeleted(row)));
+  }
+
+  /**
+   * Método privado que escolhe os registros candidatos de uma consulta.
+   * Se alguma condição de primeiro nível for de igualdade (`valor`, `{ $eq }` ou `{ $in }`) sobre um campo
+   * indexado, apenas os registros do índice são considerados; caso contrário, a tabela inteira.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {object} query - Objeto de consulta.
+   * @returns {Array<object>} - Registros que ainda precisam passar por `matchQuery`.
+   */
+  #candidates(table, query) {
+    const rows = this.#database[table] ?? [];
+    const indexes = this.#tableIndexes(table);
+
+    for (const [field, condition] of Object.entries(query)) {
+      const index = indexes.get(field);
+      const values = index ? equalityValues(condition) : null;
+
+      if (values) {
+        // Um `Set` elimina registros repetidos quando `$in` lista o mesmo valor duas vezes.
+        return [...new Set(values.flatMap((value) => index.find(value)))];
+      }
+    }
+
+    return rows;
   }
 
   /**
    * @method select
-   * Retorna os dados de uma tabela, com opção de filtro.
+   * Retorna os dados de uma tabela, com opção de filtro, ordenação, paginação e projeção de campos.
+   *
+   * Condições de igualdade sobre campos indexados (incluindo `id`) usam o índice em vez de percorrer a tabela.
    *
    * @param {string} table - Nome da tabela para buscar os dados.
-   * @param {object} [search] - Objeto de filtro para buscar registros específicos.
+   * @param {object} [query] - Objeto de consulta (veja `matchQuery`). Aceita igualdade, operadores
+   * (`$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$regex`, `$exists`) e combinações com `$and`/`$or`.
+   * @param {object} [options] - Opções de leitura.
+   * @param {string|Array<string>} [options.sort] - Campos de ordenação (`"name,-email"`); `-` indica ordem decrescente.
+   * @param {number} [options.limit] - Quantidade máxima de registros.
+   * @param {number} [options.offset=0] - Quantidade de registros a pular.
+   * @param {string} [options.cursor] - Cursor opaco retornado por `paginate` (substitui `offset`).
+   * @param {Array<string>} [options.fields] - Campos a serem retornados em cada registro.
+   * @param {boolean} [options.withDeleted=false] - Inclui registros removidos com soft delete.
    * @returns {Array} - Lista de registros da tabela, filtrados ou completos.
    *
+   * @throws {InvalidQueryError} - Se a consulta, a ordenação ou o cursor forem inválidos.
+   *
    * @example
-   * db.select("users", { name: "John" });
-   * // Retorna todos os usuários cujo nome contenha "John" (case-insensitive).
-   */
-  select(table, search) {
-    let db = this.#database[table] ?? []; // Retorna uma tabela ou array vazio.
-
-    if (search) {
-      // Filtra os registros baseados no objeto `search`.
-      db = db.filter((row) => {
-        return Object.entries(search).some(([key, value]) => {
-          // Faz busca case-insensitive em valores do objeto.
-          return row[key]?.toLowerCase().includes(value.toLowerCase());
-        });
-      });
-    }
+   * db.select("users", { email: "john@example.com" });
+   * // Retorna os usuários cujo email é exatamente "john@example.com".
+   *
+   * db.select("users", { name: { $regex: "john", $options: "i" } });
+   * // Retorna todos os usuários cujo nome contenha "john" (case-insensitive).
+   *
+   * db.select("users", null, { sort: "name,-email", limit: 10, fields: ["id", "name"] });
+   * // Retorna os 10 primeiros usuários em ordem de nome, apenas com `id` e `name`.
+   */
+  select(table, query, options) {
+    return this.#query(table, query, options).rows;
+  }
 
-    return db; // Retorna os registros filtrados ou completos.
+  /**
+   * @method createReadStream
+   * Retorna uma Readable Stream (em `objectMode`) que emite os registros de uma consulta, um por vez.
+   *
+   * Os registros são escolhidos no momento da chamada (mesmos filtros e ordenação de `select`), mas só são
+   * emitidos (e projetados em `fields`) conforme quem consome a stream pede mais dados. Assim, uma exportação
+   * grande respeita o backpressure de quem recebe os dados, como a resposta HTTP.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {object} [query] - Objeto de consulta (veja `select`).
+   * @param {object} [options] - Mesmas opções de `select` (`sort`, `limit`, `offset`, `fields`, `withDeleted`).
+   * @returns {Readable} - Stream com um registro por chunk.
+   *
+   * @throws {InvalidQueryError} - Se a consulta ou a ordenação forem inválidas (lançado na chamada, não na stream).
+   *
+   * @example
+   * for await (const user of db.createReadStream("users", { role: "admin" }, { sort: "name" })) {
+   *   console.log(user.name);
+   * }
+   */
+  createReadStream(table, query, { fields, ...options } = {}) {
+    const { rows } = this.#query(table, query, options);
+
+    // Os registros não são alterados no lugar (cada escrita cria um objeto novo), então a lista
+    // continua representando os dados do momento da chamada mesmo que a tabela mude durante a leitura.
+    return Readable.from(fields ? projectEach(rows, fields) : rows);
   }
 
   /**
-   * @method insert
-   * Adiciona um novo registro a uma tabela. Cria a tabela se ela não existir.
+   * @method get
+   * Retorna um único registro pelo ID, usando o índice de `id`.
    *
-   * @param {string} table - Nome da tabela para inserir os dados.
-   * @param {object} data - Objeto a ser inserido na tabela.
-   * @returns {object} - O registro inserido.
+   * @param {string} table - Nome da tabela.
+   * @param {string|number} id - ID do registro.
+   * @param {object} [options] - Opções de leitura.
+   * @param {Array<string>} [options.fields] - Campos a serem retornados.
+   * @param {boolean} [options.withDeleted=false] - Inclui registros removidos com soft delete.
+   * @returns {object|undefined} - O registro encontrado ou `undefined` se o ID não existir.
    *
    * @example
-   * db.insert("users", { id: 1, name: "John", email: "john@example.com" });
+   * db.get("users", "1234", { fields: ["id", "name"] }); // { id: "1234", name: "John" }
+   */
+  get(table, id, options = {}) {
+    return this.select(table, { id }, { ...options, limit: 1 })[0];
+  }
+
+  /**
+   * @method paginate
+   * Igual a `select`, mas retorna também os metadados de paginação.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {object} [query] - Objeto de consulta.
+   * @param {object} [options] - Mesmas opções de `select`.
+   * @returns {{ data: Array, total: number, limit: number|undefined, offset: number, nextCursor: string|null }}
+   * - `total`: Quantidade de registros que atendem à consulta (sem paginação).
+   * - `nextCursor`: Cursor para buscar a próxima página, ou `null` se esta for a última.
+   *
+   * @example
+   * const page = db.paginate("users", null, { sort: "name", limit: 20 });
+   * const next = db.paginate("users", null, { sort: "name", limit: 20, cursor: page.nextCursor });
+   */
+  paginate(table, query, options = {}) {
+    const { rows, total, offset, nextCursor } = this.#query(table, query, options);
+
+    return { data: rows, total, limit: options.limit, offset, nextCursor };
+  }
+
+  /**
+   * Método privado que executa uma leitura: filtra, ordena, pagina e projeta os registros.
+   *
+   * O cursor é opaco para o cliente, mas internamente guarda:
+   * - Sem ordenação: a posição (`offset`) do próximo registro na ordem de inserção.
+   * - Com ordenação: os valores de ordenação e o `id` do último registro da página, de modo que
+   *   inserções e remoções entre uma página e outra não repitam nem pulem registros.
    */
-  insert(table, data) {
+  #query(table, query, { sort, limit, offset = 0, cursor, fields, withDeleted = false } = {}) {
+    let rows = this.#database[table] ?? []; // Retorna uma tabela ou array vazio.
+
+    if (query) {
+      // Filtra os registros candidatos (do índice, quando possível) que atendem a todas as condições.
+      rows = this.#candidates(table, query).filter((row) => matchQuery(row, query));
+    }
+
+    if (this.#tables[table]?.softDelete && !withDeleted) {
+      // Registros removidos com soft delete ficam escondidos das leituras.
+      rows = rows.filter((row) => !isSoftDeleted(row));
+    }
+
+    const total = rows.length;
+    const sortKeys = parseSort(sort);
+    const sortSignature = sortKeys.map(({ field, direction }) => (direction < 0 ? "-" : "") + field).join(",");
+
+    // O `id` desempata registros com os mesmos valores, deixando a ordem estável entre as páginas.
+    const compare = compareBy([...sortKeys, { field: "id", direction: 1 }]);
+
+    if (sortKeys.length > 0) {
+      rows = [...rows].sort(compare);
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+
+      if (sortKeys.length === 0 && Number.isInteger(position.offset)) {
+        offset = position.offset;
+      } else if (sortKeys.length > 0 && position.sort === sortSignature) {
+        // Começa no primeiro registro posicionado depois do último registro da página anterior.
+        const last = { id: position.id };
+        sortKeys.forEach(({ field }, index) => setFieldValue(last, field, position.values[index]));
+
+        const start = rows.findIndex((row) => compare(row, last) > 0);
+        offset = start === -1 ? rows.length : start;
+      } else {
+        throw new InvalidQueryError("Pagination cursor does not match the requested sort.");
+      }
+    }
+
+    const end = limit === undefined ? rows.length : offset + limit;
+    const page = rows.slice(offset, end);
+
+    let nextCursor = null;
+
+    if (end < rows.length && page.length > 0) {
+      const last = page.at(-1);
+
+      nextCursor = encodeCursor(
+        sortKeys.length > 0
+          ? {
+              sort: sortSignature,
+              values: sortKeys.map(({ field }) => getFieldValue(last, field) ?? null),
+              id: last.id,
+            }
+          : { offset: end }
+      );
+    }
+
+    return {
+      rows: fields ? page.map((row) => projectFields(row, fields)) : page,
+      total,
+      offset,
+      nextCursor,
+    };
+  }
+
+  /**
+   * Método privado que executa uma tarefa de escrita com exclusividade.
+   * Escritas avulsas e transações entram na mesma fila, então uma escrita nunca é aplicada
+   * no meio de uma transação (e desfeita por engano em um rollback).
+   *
+   * @param {Function} task - Função assíncrona a ser executada.
+   * @returns {Promise<*>} - O resultado da tarefa.
+   */
+  #exclusive(task) {
+    const run = this.#lock.then(task);
+
+    // Uma tarefa com erro não impede que as próximas sejam executadas.
+    this.#lock = run.catch(() => {});
+
+    return run;
+  }
+
+  /**
+   * Método privado que aplica uma escrita em memória e a grava, como uma unidade.
+   *
+   * Se a escrita ou a gravação falhar, os dados em memória voltam ao estado anterior e os índices são
+   * reconstruídos: uma operação recusada nunca aparece nas leituras nem é gravada junto com a próxima escrita.
+   * Se a escrita não alterar nada (ex.: `update` de um ID inexistente), não há gravação.
+   *
+   * Deve ser chamado dentro de `#exclusive`, para que nenhuma outra escrita aconteça entre a cópia e o rollback.
+   *
+   * @param {Function} apply - Função (síncrona ou assíncrona) que altera os dados e retorna o resultado.
+   * @returns {Promise<*>} - O resultado de `apply`, depois de gravado.
+   */
+  async #commit(apply) {
+    // Cópia dos dados e posição da lista de alterações para o rollback.
+    const snapshot = structuredClone(this.#database);
+    const pendingBefore = this.#pendingChanges.length;
+
+    try {
+      const result = await apply();
+
+      if (this.#pendingChanges.length > pendingBefore) {
+        await this.#persist();
+      }
+
+      return result;
+    } catch (error) {
+      this.#database = snapshot;
+      this.#pendingChanges.length = Math.min(this.#pendingChanges.length, pendingBefore);
+      this.#rebuildIndexes();
+
+      throw error;
+    }
+  }
+
+  /**
+   * Método privado que aplica uma inserção em memória (sem persistir).
+   *
+   * @returns {object} - O registro inserido, normalizado pelo schema.
+   */
+  #applyInsert(table, data) {
+    // Valida o registro e verifica os índices únicos antes de alterar qualquer dado.
+    const record = { ...this.#validate(table, data) };
+
+    if (this.#tables[table]?.timestamps) {
+      const now = new Date().toISOString();
+      record.createdAt = now;
+      record.updatedAt = now;
+    }
+
+    if (this.#tables[table]?.versioned) {
+      record.version = 1;
+    }
+
+    this.#checkIndexes(table, record);
+
     if (Array.isArray(this.#database[table])) {
       // Adiciona o registro na tabela existente.
-      this.#database[table].push(data);
+      this.#database[table].push(record);
     } else {
       // Cria a tabela com o primeiro registro.
-      this.#database[table] = [data];
+      this.#database[table] = [record];
+    }
+
+    this.#addToIndexes(table, record);
+    this.#pendingChanges.push({ op: "insert", table, id: record.id, record });
+    this.#recordHistory(table, "insert", record);
+
+    return record;
+  }
+
+  /**
+   * Método privado que aplica uma atualização em memória (sem persistir).
+   * Registros removidos com soft delete não podem ser atualizados (use `restore`).
+   *
+   * @param {object|Function} data - Novos dados ou função `(atual) => novosDados` (veja `update`).
+   * @param {object} [options] - Mesmas opções de `update`.
+   * @returns {object|undefined} - O registro atualizado ou `undefined` se o ID não existir.
+   * @throws {VersionConflictError} - Se `expectedVersion` não corresponder à versão atual.
+   */
+  #applyUpdate(table, id, data, { expectedVersion } = {}) {
+    // Encontra o registro pelo índice de ID.
+    const row = this.#findById(table, id);
+
+    if (!row) {
+      return undefined;
+    }
+
+    this.#checkVersion(table, row, expectedVersion);
+
+    // A função recebe uma cópia: alterá-la não mexe no registro antes da validação.
+    const next = typeof data === "function" ? data(structuredClone(row)) : data;
+
+    // O `id` da URL sempre prevalece sobre um `id` enviado nos dados.
+    const updated = { ...this.#validate(table, { ...next, id }) };
+
+    if (this.#tables[table]?.timestamps) {
+      updated.createdAt = row.createdAt;
+      updated.updatedAt = new Date().toISOString();
+    }
+
+    if (this.#tables[table]?.versioned) {
+      updated.version = (row.version ?? 0) + 1;
     }
 
-    this.#persist(); // Salva os dados atualizados no arquivo JSON.
+    this.#replaceRow(table, row, updated);
+    this.#recordHistory(table, "update", updated);
+
+    return updated;
+  }
+
+  /**
+   * Método privado que aplica uma remoção em memória (sem persistir).
+   * Em tabelas com `softDelete`, o registro permanece na tabela com o campo `deletedAt` preenchido.
+   *
+   * @param {object} [options] - Mesmas opções de `delete`.
+   * @returns {object|undefined} - O registro removido ou `undefined` se o ID não existir.
+   * @throws {VersionConflictError} - Se `expectedVersion` não corresponder à versão atual.
+   */
+  #applyDelete(table, id, { expectedVersion } = {}) {
+    // Encontra o registro pelo índice de ID.
+    const row = this.#findById(table, id);
+
+    if (!row) {
+      return undefined;
+    }
+
+    this.#checkVersion(table, row, expectedVersion);
+
+    const config = this.#tables[table] ?? {};
+
+    if (config.softDelete) {
+      const now = new Date().toISOString();
+      const deleted = {
+        ...row,
+        deletedAt: now,
+        ...(config.timestamps && { updatedAt: now }),
+        ...(config.versioned && { version: (row.version ?? 0) + 1 }),
+      };
+
+      // O registro continua nos índices, então seus valores únicos (ex.: email) seguem reservados.
+      this.#replaceRow(table, row, deleted, "delete");
+      this.#recordHistory(table, "delete", deleted);
+
+      return row;
+    }
+
+    // Remove o registro do array e dos índices.
+    const rows = this.#database[table];
+    rows.splice(rows.indexOf(row), 1);
+    this.#removeFromIndexes(table, row);
+    this.#pendingChanges.push({ op: "delete", table, id, previous: row });
+    this.#recordHistory(table, "delete", row);
+
+    return row;
+  }
+
+  /**
+   * Método privado que restaura um registro em memória (sem persistir).
+   *
+   * - Com `revision`: o registro volta ao estado gravado naquela revisão do histórico.
+   * - Sem `revision`: um registro removido com soft delete volta a ficar visível; um registro
+   *   removido definitivamente é recriado a partir da sua última revisão.
+   *
+   * @returns {object|undefined} - O registro restaurado ou `undefined` se não houver o que restaurar.
+   */
+  #applyRestore(table, id, revision) {
+    const row = this.#findById(table, id, { withDeleted: true });
+    let state;
+
+    if (revision !== undefined) {
+      state = this.history(table, id).find((entry) => entry.revision === Number(revision))?.record;
+    } else if (row) {
+      state = isSoftDeleted(row) ? row : undefined;
+
+      if (!state) {
+        return row; // O registro não está removido: nada a restaurar.
+      }
+    } else {
+      state = this.history(table, id).at(-1)?.record;
+    }
+
+    if (!state) {
+      return undefined;
+    }
+
+    // Os campos controlados pelo banco são recalculados; os demais passam pela validação do schema.
+    const { createdAt, updatedAt, deletedAt, version, ...data } = state;
+    const restored = { ...this.#validate(table, { ...data, id }) };
+
+    if (this.#tables[table]?.timestamps) {
+      restored.createdAt = row?.createdAt ?? createdAt;
+      restored.updatedAt = new Date().toISOString();
+    }
+
+    if (this.#tables[table]?.versioned) {
+      // A versão continua a partir da mais recente, mesmo ao voltar para uma revisão antiga.
+      const latest = row ?? this.history(table, id).at(-1)?.record;
+      restored.version = (latest?.version ?? 0) + 1;
+    }
+
+    if (row) {
+      this.#replaceRow(table, row, restored);
+    } else {
+      this.#checkIndexes(table, restored);
+      (this.#database[table] ??= []).push(restored);
+      this.#addToIndexes(table, restored);
+      this.#pendingChanges.push({ op: "insert", table, id, record: restored });
+    }
+
+    this.#recordHistory(table, "restore", restored);
+
+    return restored;
+  }
+
+  /**
+   * Método privado que confere a versão de um registro antes de uma escrita (concorrência otimista).
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {object} row - Registro atual.
+   * @param {number|Array<number>} [expectedVersion] - Versão (ou versões) aceitas. Sem ela, não há verificação.
+   * @throws {VersionConflictError} - Se a versão atual não for uma das esperadas.
+   */
+  #checkVersion(table, row, expectedVersion) {
+    if (expectedVersion === undefined) {
+      return;
+    }
+
+    if (![expectedVersion].flat().includes(row.version)) {
+      throw new VersionConflictError(table, row.id, expectedVersion, row.version);
+    }
+  }
+
+  /**
+   * Método privado que substitui um registro por uma nova versão, mantendo sua posição na tabela.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {object} row - Registro atual.
+   * @param {object} updated - Nova versão do registro.
+   * @param {string} [event] - Nome do evento emitido, se diferente de `update` (ex.: `delete` no soft delete).
+   * @throws {UniqueConstraintError}
+   */
+  #replaceRow(table, row, updated, event) {
+    // Verifica os índices únicos, ignorando o próprio registro que está sendo substituído.
+    this.#checkIndexes(table, updated, row);
+
+    const rows = this.#database[table];
+    rows[rows.indexOf(row)] = updated;
+
+    this.#removeFromIndexes(table, row);
+    this.#addToIndexes(table, updated);
+    this.#pendingChanges.push({ op: "update", event, table, id: updated.id, record: updated, previous: row });
+  }
+
+  /**
+   * Método privado que guarda uma revisão do registro na tabela de histórico, se a tabela tiver `history: true`.
+   * A revisão é uma cópia do registro logo após a operação (ou do último estado, em uma remoção definitiva).
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {string} operation - Operação que gerou a revisão (`insert`, `update`, `delete` ou `restore`).
+   * @param {object} record - Estado do registro.
+   */
+  #recordHistory(table, operation, record) {
+    if (!this.#tables[table]?.history) {
+      return;
+    }
+
+    this.#applyInsert(HISTORY_TABLE, {
+      id: randomUUID(),
+      table,
+      recordId: record.id,
+      revision: this.history(table, record.id).length + 1,
+      operation,
+      at: new Date().toISOString(),
+      record: structuredClone(record),
+    });
+  }
+
+  /**
+   * @method insert
+   * Adiciona um novo registro a uma tabela. Cria a tabela se ela não existir.
+   *
+   * @param {string} table - Nome da tabela para inserir os dados.
+   * @param {object} data - Objeto a ser inserido na tabela.
+   * @returns {Promise<object>} - O registro inserido (já normalizado pelo schema), depois de gravado em disco.
+   *
+   * @throws {ValidationError} - Se os dados não atenderem ao schema da tabela.
+   * @throws {UniqueConstraintError} - Se o `id` ou um campo com índice único já existir na tabela.
+   *
+   * @example
+   * await db.insert("users", { id: 1, name: "John", email: "john@example.com" });
+   */
+  async insert(table, data) {
+    await this.#ready; // Garante que os dados do arquivo já foram carregados.
+
+    // Aplica a inserção e salva os dados atualizados no arquivo JSON; retorna o registro inserido.
+    return this.#exclusive(() => this.#commit(() => this.#applyInsert(table, data)));
+  }
+
+  /**
+   * @method insertMany
+   * Insere vários registros com uma única gravação em disco. Diferente de uma transação, um registro inválido
+   * não desfaz os demais: cada um é validado e inserido (ou recusado) individualmente.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {Array<object>} records - Registros a serem inseridos.
+   * @returns {Promise<Array<{ record: object }|{ error: DatabaseError }>>} - Um resultado por registro, na mesma
+   * ordem: o registro inserido ou o erro que o impediu (`ValidationError` ou `UniqueConstraintError`).
+   *
+   * @example
+   * const results = await db.insertMany("users", [
+   *   { id: "1", name: "John", email: "john@example.com" },
+   *   { id: "2", name: "", email: "invalid" },
+   * ]);
+   * // [{ record: { id: "1", ... } }, { error: ValidationError }]
+   */
+  async insertMany(table, records) {
+    await this.#ready;
+
+    // Uma única gravação para todos os registros inseridos (nenhuma, se todos forem recusados).
+    return this.#exclusive(() =>
+      this.#commit(() =>
+        records.map((data) => {
+          try {
+            return { record: this.#applyInsert(table, data) };
+          } catch (error) {
+            // Erros do banco são do registro; qualquer outro é uma falha inesperada e desfaz toda a operação.
+            if (error instanceof DatabaseError) {
+              return { error };
+            }
 
-    return data; // Retorna o registro inserido.
+            throw error;
+          }
+        })
+      )
+    );
   }
 
   /**
@@ -98,20 +1013,29 @@ export class Database {
    *
    * @param {string} table - Nome da tabela para atualizar o registro.
    * @param {string|number} id - ID do registro a ser atualizado.
-   * @param {object} data - Novos dados para o registro.
+   * @param {object|Function} data - Novos dados para o registro, ou uma função que recebe uma cópia do registro
+   * atual e retorna os novos dados. A função roda dentro da mesma operação exclusiva da gravação, então nenhuma
+   * outra escrita acontece entre a leitura e a atualização (útil para atualizações parciais).
+   * @param {object} [options] - Opções da escrita.
+   * @param {number|Array<number>} [options.expectedVersion] - Em tabelas `versioned`, só atualiza se a versão
+   * atual do registro for esta (ou uma destas). Protege contra sobrescrever a alteração de outro cliente.
+   * @returns {Promise<object|undefined>} - O registro atualizado, depois de gravado em disco, ou `undefined`
+   * se o ID não existir.
+   *
+   * @throws {ValidationError} - Se o registro resultante não atender ao schema da tabela.
+   * @throws {UniqueConstraintError} - Se os novos dados repetirem um valor de índice único de outro registro.
+   * @throws {VersionConflictError} - Se `expectedVersion` não corresponder à versão atual do registro.
    *
    * @example
-   * db.update("users", 1, { name: "Jane Doe", email: "jane@example.com" });
+   * await db.update("users", 1, { name: "Jane Doe", email: "jane@example.com" });
+   * await db.update("users", 1, (user) => ({ ...user, name: "Jane" }));
+   * await db.update("users", 1, { name: "Jane", email: "jane@example.com" }, { expectedVersion: 3 });
    */
-  update(table, id, data) {
-    // Encontra o índice do registro com o ID especificado.
-    const rowIndex = this.#database[table]?.findIndex((row) => row.id === id);
+  async update(table, id, data, options) {
+    await this.#ready;
 
-    if (rowIndex > -1) {
-      // Atualiza o registro com os novos dados.
-      this.#database[table][rowIndex] = { id, ...data };
-      this.#persist(); // Salva os dados atualizados no arquivo JSON.
-    }
+    // Salva os dados atualizados no arquivo JSON (se o registro existir).
+    return this.#exclusive(() => this.#commit(() => this.#applyUpdate(table, id, data, options)));
   }
 
   /**
@@ -120,39 +1044,303 @@ export class Database {
    *
    * @param {string} table - Nome da tabela para remover o registro.
    * @param {string|number} id - ID do registro a ser removido.
+   * @param {object} [options] - Opções da escrita.
+   * @param {number|Array<number>} [options.expectedVersion] - Em tabelas `versioned`, só remove se a versão
+   * atual do registro for esta (ou uma destas).
+   * @returns {Promise<object|undefined>} - O registro removido, depois da remoção ser gravada em disco,
+   * ou `undefined` se o ID não existir.
+   *
+   * @throws {VersionConflictError} - Se `expectedVersion` não corresponder à versão atual do registro.
    *
    * @example
-   * db.delete("users", 1);
+   * if (!(await db.delete("users", 1))) {
+   *   // Nenhum usuário com esse ID.
+   * }
    */
-  delete(table, id) {
-    // Encontra o índice do registro com o ID especificado.
-    const rowIndex = this.#database[table]?.findIndex((row) => row.id === id);
+  async delete(table, id, options) {
+    await this.#ready;
 
-    if (rowIndex > -1) {
-      // Remove o registro do array.
-      this.#database[table].splice(rowIndex, 1);
-      this.#persist(); // Salva os dados atualizados no arquivo JSON.
-    }
+    // Salva os dados atualizados no arquivo JSON (se o registro existir).
+    return this.#exclusive(() => this.#commit(() => this.#applyDelete(table, id, options)));
+  }
+
+  /**
+   * @method history
+   * Retorna as revisões de um registro, da mais antiga para a mais recente.
+   * Disponível para tabelas configuradas com `history: true`.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {string|number} id - ID do registro.
+   * @returns {Array<{ revision: number, operation: string, at: string, record: object }>} - Revisões do registro.
+   *
+   * @example
+   * db.history("users", "1");
+   * // [{ revision: 1, operation: "insert", at: "...", record: {...} }, { revision: 2, operation: "update", ... }]
+   */
+  history(table, id) {
+    return this.select(HISTORY_TABLE, { recordId: id }, { sort: "revision" })
+      .filter((entry) => entry.table === table)
+      .map(({ revision, operation, at, record }) => ({ revision, operation, at, record }));
+  }
+
+  /**
+   * @method restore
+   * Restaura um registro removido ou volta o registro para uma revisão anterior.
+   *
+   * - Sem `revision`: desfaz um soft delete; se o registro foi removido definitivamente, recria-o a partir
+   *   da última revisão do histórico.
+   * - Com `revision`: aplica o estado gravado naquela revisão (também desfazendo um soft delete).
+   *
+   * A restauração gera uma nova revisão (`operation: "restore"`); o histórico nunca é reescrito.
+   *
+   * @param {string} table - Nome da tabela.
+   * @param {string|number} id - ID do registro.
+   * @param {object} [options] - Opções da restauração.
+   * @param {number} [options.revision] - Revisão a ser restaurada.
+   * @returns {Promise<object|undefined>} - O registro restaurado ou `undefined` se não houver o que restaurar.
+   *
+   * @throws {ValidationError} - Se a revisão não atender ao schema atual da tabela.
+   * @throws {UniqueConstraintError} - Se a revisão repetir um valor único de outro registro.
+   *
+   * @example
+   * await db.delete("users", "1"); // Com `softDelete: true`.
+   * await db.restore("users", "1"); // O usuário volta a aparecer no `select`.
+   * await db.restore("users", "1", { revision: 2 }); // Volta aos dados da revisão 2.
+   */
+  async restore(table, id, { revision } = {}) {
+    await this.#ready;
+
+    // Salva os dados atualizados no arquivo JSON (se o registro existir).
+    return this.#exclusive(() => this.#commit(() => this.#applyRestore(table, id, revision)));
   }
+
+  /**
+   * @method migrate
+   * Leva os dados até uma versão do schema, aplicando (`up`) ou desfazendo (`down`) migrações.
+   * Útil com `autoMigrate: false` ou para voltar a uma versão anterior.
+   *
+   * @param {object} [options] - Opções da migração.
+   * @param {number} [options.to] - Versão desejada. Padrão: a última migração conhecida.
+   * @returns {Promise<Array<{ version: number, name: string, direction: string }>>} - Migrações aplicadas,
+   * na ordem em que rodaram (lista vazia se os dados já estavam na versão pedida).
+   *
+   * @throws {MigrationError} - Se a versão for desconhecida ou uma migração falhar. As migrações anteriores
+   * à que falhou continuam aplicadas.
+   *
+   * @example
+   * await db.migrate(); // [{ version: 1, name: "add-user-role", direction: "up" }]
+   * await db.migrate({ to: 0 }); // Desfaz todas as migrações.
+   */
+  async migrate({ to = this.latestVersion } = {}) {
+    await this.#ready;
+
+    return this.#exclusive(async () => {
+      try {
+        return await this.#migrate(to);
+      } finally {
+        // Os registros foram substituídos por cópias migradas: os índices precisam apontar para elas.
+        this.#rebuildIndexes();
+      }
+    });
+  }
+
+  /**
+   * @method transaction
+   * Executa várias operações como uma unidade: ou todas são gravadas, ou nenhuma.
+   *
+   * O callback recebe um objeto `tx` com `select`, `insert`, `update` e `delete` (mesma assinatura dos
+   * métodos do banco). As operações de `tx` enxergam as alterações feitas pela própria transação e
+   * não gravam nada em disco individualmente:
+   * - Se o callback terminar com sucesso, tudo é gravado com uma única persistência.
+   * - Se o callback (ou a gravação) lançar um erro, os dados em memória voltam ao estado anterior
+   *   à transação e o erro é repassado para quem chamou.
+   *
+   * Enquanto a transação estiver aberta, as outras escritas aguardam na fila.
+   *
+   * @param {Function} callback - Função assíncrona `(tx) => {...}`.
+   * @returns {Promise<*>} - O valor retornado pelo callback, depois de gravado em disco.
+   *
+   * @example
+   * await db.transaction(async (tx) => {
+   *   const user = await tx.insert("users", { id: "1", name: "John", email: "john@example.com" });
+   *   await tx.update("users", "2", { name: "Jane", email: "jane@example.com" });
+   *
+   *   if (tx.select("users", { email: "john@example.com" }).length > 1) {
+   *     throw new Error("Duplicated email"); // Desfaz as duas operações acima.
+   *   }
+   *
+   *   return user;
+   * });
+   */
+  async transaction(callback) {
+    await this.#ready;
+
+    return this.#exclusive(() => {
+      let active = true;
+
+      // Impede o uso do `tx` depois que a transação terminou (ex.: uma chamada sem `await`).
+      const run = (operation) => {
+        if (!active) {
+          throw new Error("Transaction is no longer active.");
+        }
+
+        return operation();
+      };
+
+      const tx = {
+        select: (table, query, options) => run(() => this.select(table, query, options)),
+        insert: async (table, data) => run(() => this.#applyInsert(table, data)),
+        update: async (table, id, data, options) => run(() => this.#applyUpdate(table, id, data, options)),
+        delete: async (table, id, options) => run(() => this.#applyDelete(table, id, options)),
+      };
+
+      // Uma única gravação para todas as operações; um erro no callback ou na gravação desfaz todas elas.
+      return this.#commit(async () => {
+        try {
+          return await callback(tx);
+        } finally {
+          active = false;
+        }
+      });
+    });
+  }
+}
+
+/**
+ * @function equalityValues
+ * Extrai os valores de uma condição de igualdade que pode ser resolvida por um índice.
+ *
+ * @param {*} condition - Condição de um campo em uma consulta.
+ * @returns {Array|null} - Lista de valores procurados ou `null` se a condição não for de igualdade.
+ *
+ * @example
+ * equalityValues("john@example.com"); // ["john@example.com"]
+ * equalityValues({ $in: ["a", "b"] }); // ["a", "b"]
+ * equalityValues({ $gt: 10 }); // null
+ */
+function equalityValues(condition) {
+  const isScalar = (value) => ["string", "number", "boolean"].includes(typeof value);
+
+  if (isScalar(condition)) {
+    return [condition];
+  }
+
+  if (isScalar(condition?.$eq)) {
+    return [condition.$eq];
+  }
+
+  if (Array.isArray(condition?.$in) && condition.$in.every(isScalar)) {
+    return condition.$in;
+  }
+
+  return null;
+}
+
+/**
+ * @function projectEach
+ * Projeta os campos de cada registro sob demanda, sem criar todas as cópias de uma vez.
+ *
+ * @param {Array<object>} rows - Registros.
+ * @param {Array<string>} fields - Campos a serem mantidos.
+ * @returns {Generator<object>}
+ */
+function* projectEach(rows, fields) {
+  for (const row of rows) {
+    yield projectFields(row, fields);
+  }
+}
+
+/**
+ * @function isSoftDeleted
+ * Indica se um registro foi removido com soft delete.
+ *
+ * @param {object} row - Registro da tabela.
+ * @returns {boolean}
+ */
+function isSoftDeleted(row) {
+  return row.deletedAt !== undefined && row.deletedAt !== null;
+}
+
+/**
+ * @function setFieldValue
+ * Atribui um valor a um campo do objeto, aceitando caminhos separados por ponto (`address.city`).
+ * Usado para reconstruir o último registro de uma página a partir dos valores guardados no cursor.
+ *
+ * @param {object} target - Objeto a ser alterado.
+ * @param {string} field - Nome ou caminho do campo.
+ * @param {*} value - Valor a ser atribuído.
+ */
+function setFieldValue(target, field, value) {
+  const keys = field.split(".");
+  const last = keys.pop();
+
+  const parent = keys.reduce((current, key) => (current[key] ??= {}), target);
+  parent[last] = value;
 }
 
 /**
  * Explicação:
  *
- * Esta classe simula um banco de dados usando um arquivo JSON para armazenar dados de forma persistente.
+ * Esta classe simula um banco de dados em memória, delegando a persistência a um adaptador de armazenamento.
  *
- * - **select**: Lê os dados de uma tabela e permite filtrá-los.
+ * - **select**: Lê os dados de uma tabela e permite filtrá-los com operadores de consulta,
+ *   ordená-los por vários campos, paginá-los (`limit`/`offset` ou cursor) e escolher os campos retornados.
+ * - **paginate**: Igual ao `select`, retornando também o total de registros e o cursor da próxima página.
+ * - **createReadStream**: Igual ao `select`, mas entrega os registros em uma stream (usado em exportações).
  * - **insert**: Adiciona novos registros a uma tabela.
+ * - **insertMany**: Adiciona vários registros com uma única gravação (usado em importações em lote).
  * - **update**: Atualiza registros existentes com base em seu ID.
  * - **delete**: Remove registros de uma tabela com base no ID.
  *
+ * Schemas:
+ * - Uma tabela pode declarar um `schema`; todo `insert` e `update` é validado e normalizado por ele.
+ * - Dados inválidos lançam `ValidationError` com a lista de erros por campo.
+ *
+ * Índices:
+ * - Cada tabela tem um índice único sobre `id` e pode declarar outros, como `{ field: "email", unique: true }`.
+ * - Os índices são reconstruídos ao carregar o arquivo e atualizados em `insert`, `update` e `delete`.
+ * - Violações de índices únicos lançam `UniqueConstraintError` antes de qualquer alteração nos dados.
+ *
+ * Persistência:
+ * - As escritas passam por uma fila e acontecem uma de cada vez.
+ * - `insert`, `update` e `delete` retornam Promises resolvidas somente após os dados estarem gravados.
+ * - Se a gravação falhar, a escrita é desfeita em memória (como em uma transação) e a Promise é rejeitada:
+ *   o registro recusado não aparece nas leituras nem é gravado junto com a próxima escrita.
+ * - O adaptador define onde e como os dados são gravados; cada instância pode ter o seu:
+ *   - `JsonFileAdapter` (padrão): arquivo JSON formatado, com escrita atômica e recuperação a partir do `.bak`.
+ *   - `NdjsonLogAdapter`: log append-only com uma linha por gravação, compactado periodicamente.
+ *   - `MemoryAdapter`: apenas em memória, ideal para testes.
+ *
  * Vantagens:
  * - Simples de usar e entender.
  * - Não exige dependências externas além do Node.js.
  *
+ * Histórico e soft delete:
+ * - Com `timestamps`, os registros ganham `createdAt` e `updatedAt` automaticamente.
+ * - Com `softDelete`, `delete` apenas preenche `deletedAt`; o registro some das leituras, mas pode ser restaurado.
+ * - Com `history`, cada escrita guarda uma revisão do registro (`history`), que pode ser restaurada (`restore`).
+ *
+ * Versões (concorrência otimista):
+ * - Com `versioned`, cada registro tem o campo `version`, incrementado a cada `update`, `delete` (soft) e `restore`.
+ * - `update` e `delete` aceitam `{ expectedVersion }`: se outro cliente alterou o registro depois da leitura,
+ *   a escrita é recusada com `VersionConflictError` em vez de sobrescrever a alteração dele.
+ *
+ * Migrações:
+ * - A versão do schema fica gravada junto com os dados, na chave `_meta` (`schemaVersion`).
+ * - Ao carregar, as migrações pendentes de `src/migrations` rodam em ordem (ou só com `migrate`, se `autoMigrate: false`).
+ * - Cada migração tem `up` e `down`; o adaptador guarda uma cópia dos dados antes de cada uma.
+ *
+ * Eventos:
+ * - Cada alteração gravada emite `change` e `insert`/`update`/`delete` com `{ table, operation, id, old, new }`.
+ * - Em uma transação, os eventos só são emitidos depois do commit; um rollback não emite nada.
+ *
+ * Transações:
+ * - `transaction(async (tx) => {...})` agrupa várias operações com uma única gravação em disco.
+ * - Qualquer erro dentro da transação desfaz as alterações em memória (rollback).
+ *
  * Limitações:
  * - Não é eficiente para grandes volumes de dados.
- * - Não oferece controle transacional ou outros recursos avançados de bancos de dados reais.
+ * - Leituras fora da transação podem enxergar alterações ainda não confirmadas por ela.
  *
  * Este código é útil para projetos pequenos ou como aprendizado sobre manipulação de arquivos no Node.js.
  */
@@ -0,0 +1,29 @@
+// Este arquivo cria a instância do `Database` usada pela API. As rotas de usuários (`routes.js`), de uploads
+// (`upload-routes.js`) e de autenticação (`auth-routes.js`) compartilham a mesma instância: duas instâncias
+// gravando o mesmo `db.json` apagariam as alterações uma da outra.
+
+// Importações:
+// - `Database` e `JsonFileAdapter`: Banco de dados em memória, gravado em um arquivo JSON.
+// - `users`, `uploads` e `refreshTokens`: Definições das tabelas (schema, índices e opções).
+// - `migrations`: Migrações do formato do `db.json`, aplicadas automaticamente ao carregar o banco.
+import { JsonFileAdapter } from "./adapters/json-file-adapter.js";
+import { Database } from "./database.js";
+import { migrations } from "./migrations/index.js";
+import { refreshTokens } from "./tables/refresh-tokens.js";
+import { uploads } from "./tables/uploads.js";
+import { users } from "./tables/users.js";
+
+/**
+ * @constant database
+ * Banco de dados da API, gravado em `db.json`.
+ *
+ * - A tabela `users` declara o schema validado em toda escrita e o email como índice único.
+ * - A tabela `uploads` guarda os metadados dos arquivos enviados para `/uploads`.
+ * - A tabela `refreshTokens` guarda os hashes dos refresh tokens das sessões abertas em `/auth`.
+ * - As migrações pendentes rodam antes da primeira operação, atualizando arquivos antigos.
+ */
+export const database = new Database({
+  adapter: new JsonFileAdapter({ path: "db.json" }),
+  tables: { users, uploads, refreshTokens },
+  migrations,
+});
@@ -0,0 +1,25 @@
+// Este arquivo define o erro lançado pela `CsvParseStream` quando o arquivo CSV não pode ser lido até o fim.
+// O `errorHandler` o converte em uma resposta 400, já que o problema está no arquivo enviado pelo cliente.
+
+/**
+ * @class CsvParseError
+ * Lançado quando um registro do CSV ultrapassa o tamanho máximo, o que normalmente indica uma aspa que
+ * nunca foi fechada (o resto do arquivo seria lido como um único campo).
+ *
+ * Erros que afetam apenas uma linha (ex.: quantidade errada de colunas) não usam esta classe: a linha é
+ * rejeitada e a leitura continua.
+ *
+ * @example
+ * throw new CsvParseError("Record starting at line 12 is longer than 65536 characters.", 12);
+ */
+export class CsvParseError extends Error {
+  /**
+   * @param {string} message - Descrição do problema.
+   * @param {number} line - Linha do arquivo onde o registro com problema começa.
+   */
+  constructor(message, line) {
+    super(message);
+    this.name = "CsvParseError";
+    this.line = line;
+  }
+}
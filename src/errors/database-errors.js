@@ -0,0 +1,99 @@
+// Este arquivo reúne as classes de erro lançadas pela classe `Database`.
+// Ter classes próprias permite que as rotas diferenciem um erro do cliente (ex.: filtro inválido)
+// de uma falha inesperada do servidor usando `instanceof`.
+
+/**
+ * @class DatabaseError
+ * Classe base para todos os erros lançados pelo banco de dados.
+ */
+export class DatabaseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name; // Usa o nome da subclasse (ex.: "InvalidQueryError").
+  }
+}
+
+/**
+ * @class InvalidQueryError
+ * Lançado quando um objeto de consulta passado para `Database#select` é inválido,
+ * como um operador desconhecido (`$foo`) ou uma expressão regular malformada.
+ *
+ * @example
+ * throw new InvalidQueryError('Unknown operator "$foo".');
+ */
+export class InvalidQueryError extends DatabaseError {}
+
+/**
+ * @class UniqueConstraintError
+ * Lançado quando uma escrita violaria um índice único, como dois usuários com o mesmo email.
+ *
+ * @example
+ * throw new UniqueConstraintError("users", "email", "john@example.com");
+ */
+export class UniqueConstraintError extends DatabaseError {
+  /**
+   * @param {string} table - Tabela onde a violação ocorreu.
+   * @param {string} field - Campo com índice único.
+   * @param {*} value - Valor duplicado.
+   */
+  constructor(table, field, value) {
+    super(`A record in "${table}" already has ${field} = ${JSON.stringify(value)}.`);
+    this.table = table;
+    this.field = field;
+    this.value = value;
+  }
+}
+
+/**
+ * @class ValidationError
+ * Lançado quando um registro não atende ao schema da tabela.
+ * A propriedade `errors` lista cada problema encontrado, campo a campo.
+ *
+ * @example
+ * throw new ValidationError("users", [{ field: "email", message: "email must be a valid email" }]);
+ */
+export class ValidationError extends DatabaseError {
+  /**
+   * @param {string} table - Tabela cujo schema foi violado.
+   * @param {Array<{ field: string, message: string }>} errors - Erros encontrados.
+   */
+  constructor(table, errors) {
+    super(`Invalid record for table "${table}".`);
+    this.table = table;
+    this.errors = errors;
+  }
+}
+
+/**
+ * @class MigrationError
+ * Lançado quando as migrações não podem ser aplicadas: uma migração falhou, a versão pedida não existe
+ * ou o arquivo foi gravado por uma versão mais nova do código.
+ *
+ * @example
+ * throw new MigrationError("Migration 2 (split-user-name) failed: name is missing.");
+ */
+export class MigrationError extends DatabaseError {}
+
+/**
+ * @class VersionConflictError
+ * Lançado quando uma escrita informa `expectedVersion`, mas o registro já está em outra versão
+ * (outro cliente o alterou depois da leitura).
+ *
+ * @example
+ * throw new VersionConflictError("users", "1234", 2, 3);
+ */
+export class VersionConflictError extends DatabaseError {
+  /**
+   * @param {string} table - Tabela do registro.
+   * @param {string|number} id - ID do registro.
+   * @param {number|Array<number>} expected - Versão (ou versões) esperadas.
+   * @param {number} actual - Versão atual do registro.
+   */
+  constructor(table, id, expected, actual) {
+    super(`Record ${JSON.stringify(id)} in "${table}" is at version ${actual}, not the expected version.`);
+    this.table = table;
+    this.id = id;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
@@ -0,0 +1,183 @@
+// Este arquivo reúne as classes de erro HTTP da aplicação. Rotas e middlewares lançam esses erros
+// (`throw new NotFoundError(...)`) em vez de montar a resposta na mão; o `errorHandler` os converte em respostas
+// `application/problem+json` (RFC 9457), com o mesmo formato em todas as rotas.
+
+import { STATUS_CODES } from "node:http";
+
+/**
+ * @class HttpError
+ * Erro com um status HTTP, convertido em um "problem details" pelo `errorHandler`.
+ *
+ * @example
+ * throw new HttpError(422, "The email domain is not accepted.");
+ * // 422 { "type": "about:blank", "title": "Unprocessable Entity", "status": 422, "detail": "...", "instance": "/users" }
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - Código de status HTTP.
+   * @param {string} [detail] - Explicação específica desta ocorrência, para o cliente.
+   * @param {object} [options] - Opções do problema.
+   * @param {string} [options.type="about:blank"] - URI que identifica o tipo do problema.
+   * @param {string} [options.title] - Resumo do tipo do problema. Padrão: a frase do status (ex.: "Not Found").
+   * @param {object} [options.headers] - Cabeçalhos extras da resposta (ex.: `Allow` em um 405).
+   * @param {object} [options.extensions] - Campos extras do corpo (ex.: `errors` em uma validação).
+   */
+  constructor(status, detail, { type = "about:blank", title, headers = {}, extensions = {} } = {}) {
+    super(detail ?? STATUS_CODES[status]);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.type = type;
+    this.title = title ?? STATUS_CODES[status] ?? "Error";
+    this.detail = detail;
+    this.headers = headers;
+    this.extensions = extensions;
+  }
+
+  /**
+   * Monta o corpo `application/problem+json`.
+   *
+   * @param {string} [instance] - URI da ocorrência (normalmente o caminho da requisição).
+   * @returns {{ type: string, title: string, status: number, detail?: string, instance?: string }}
+   */
+  toProblem(instance) {
+    return {
+      type: this.type,
+      title: this.title,
+      status: this.status,
+      detail: this.detail,
+      instance,
+      ...this.extensions,
+    };
+  }
+}
+
+/**
+ * @class BadRequestError
+ * 400: A requisição é inválida (ex.: parâmetro malformado, JSON quebrado, dados que não atendem ao schema).
+ */
+export class BadRequestError extends HttpError {
+  constructor(detail, options) {
+    super(400, detail, options);
+  }
+}
+
+/**
+ * @class UnauthorizedError
+ * 401: A rota exige autenticação e a requisição não trouxe um token de acesso válido. O cabeçalho
+ * `WWW-Authenticate` indica o esquema esperado (`Bearer`) e, se houver, o problema com o token enviado.
+ */
+export class UnauthorizedError extends HttpError {
+  constructor(detail, options) {
+    super(401, detail, { ...options, headers: { "WWW-Authenticate": "Bearer", ...options?.headers } });
+  }
+}
+
+/**
+ * @class ForbiddenError
+ * 403: O usuário foi identificado, mas o seu papel não permite a ação (ex.: um usuário comum excluindo outro).
+ * Diferente do 401, repetir a requisição com outro token do mesmo usuário não adianta.
+ */
+export class ForbiddenError extends HttpError {
+  constructor(detail, options) {
+    super(403, detail, options);
+  }
+}
+
+/**
+ * @class NotFoundError
+ * 404: A rota ou o recurso não existe.
+ */
+export class NotFoundError extends HttpError {
+  constructor(detail, options) {
+    super(404, detail, options);
+  }
+}
+
+/**
+ * @class MethodNotAllowedError
+ * 405: O caminho existe, mas não aceita o método. O cabeçalho `Allow` lista os métodos aceitos.
+ */
+export class MethodNotAllowedError extends HttpError {
+  /**
+   * @param {string} detail - Explicação do erro.
+   * @param {Array<string>} allowed - Métodos aceitos pelo caminho.
+   */
+  constructor(detail, allowed) {
+    super(405, detail, { headers: { Allow: allowed.join(", ") } });
+  }
+}
+
+/**
+ * @class RequestTimeoutError
+ * 408: O cliente parou de enviar o corpo da requisição.
+ */
+export class RequestTimeoutError extends HttpError {
+  constructor(detail, options) {
+    super(408, detail, { ...options, headers: { Connection: "close", ...options?.headers } });
+  }
+}
+
+/**
+ * @class ConflictError
+ * 409: A requisição conflita com o estado atual do recurso (ex.: email já cadastrado).
+ */
+export class ConflictError extends HttpError {
+  constructor(detail, options) {
+    super(409, detail, options);
+  }
+}
+
+/**
+ * @class PreconditionFailedError
+ * 412: Uma condição da requisição (ex.: `If-Match`) não foi atendida; o recurso mudou desde a última leitura.
+ */
+export class PreconditionFailedError extends HttpError {
+  constructor(detail, options) {
+    super(412, detail, options);
+  }
+}
+
+/**
+ * @class PayloadTooLargeError
+ * 413: O corpo da requisição ultrapassa o limite aceito.
+ */
+export class PayloadTooLargeError extends HttpError {
+  constructor(detail, options) {
+    super(413, detail, { ...options, headers: { Connection: "close", ...options?.headers } });
+  }
+}
+
+/**
+ * @class UnsupportedMediaTypeError
+ * 415: O `Content-Type` (ou o charset) do corpo não é aceito.
+ */
+export class UnsupportedMediaTypeError extends HttpError {
+  constructor(detail, options) {
+    super(415, detail, options);
+  }
+}
+
+/**
+ * @class TooManyRequestsError
+ * 429: O cliente passou do limite de requisições. `retryAfter` vira o cabeçalho `Retry-After`.
+ */
+export class TooManyRequestsError extends HttpError {
+  /**
+   * @param {string} detail - Explicação do limite atingido.
+   * @param {number} retryAfter - Segundos até o cliente poder tentar de novo.
+   * @param {object} [options] - Opções do problema (veja `HttpError`).
+   */
+  constructor(detail, retryAfter, options) {
+    super(429, detail, { ...options, headers: { "Retry-After": String(retryAfter), ...options?.headers } });
+  }
+}
+
+/**
+ * @class InternalServerError
+ * 500: Falha inesperada do servidor. O detalhe nunca expõe a mensagem do erro original.
+ */
+export class InternalServerError extends HttpError {
+  constructor(detail = "An unexpected error occurred.", options) {
+    super(500, detail, options);
+  }
+}
@@ -0,0 +1,17 @@
+// Este arquivo define o erro lançado por `extractQueryParams` quando a query string não pode ser aceita.
+// O `Router` o converte em uma resposta 400, já que o problema está na URL enviada pelo cliente.
+
+/**
+ * @class QueryStringError
+ * Lançado quando a query string ultrapassa os limites de análise (quantidade de parâmetros ou profundidade
+ * dos colchetes) ou usa a mesma chave de formas incompatíveis (`?a=1&a[b]=2`).
+ *
+ * @example
+ * throw new QueryStringError("Too many query parameters (maximum is 100).");
+ */
+export class QueryStringError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryStringError";
+  }
+}
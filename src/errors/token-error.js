@@ -0,0 +1,24 @@
+// Este arquivo define o erro lançado por `verifyToken` quando um token de acesso não pode ser aceito.
+// O `errorHandler` o converte em uma resposta 401, pedindo ao cliente um novo token.
+
+/**
+ * @class TokenError
+ * Lançado quando o token está malformado, tem a assinatura inválida ou já expirou.
+ *
+ * - `expired`: `true` quando o token era válido mas passou do prazo (o cliente pode renová-lo com o refresh token).
+ *
+ * @example
+ * throw new TokenError("The access token has expired.", { expired: true });
+ */
+export class TokenError extends Error {
+  /**
+   * @param {string} message - Descrição do problema.
+   * @param {object} [options] - Detalhes do erro.
+   * @param {boolean} [options.expired=false] - Indica que o token expirou.
+   */
+  constructor(message, { expired = false } = {}) {
+    super(message);
+    this.name = "TokenError";
+    this.expired = expired;
+  }
+}
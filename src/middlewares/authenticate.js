@@ -0,0 +1,106 @@
+// Este arquivo define o middleware `authenticate`, que identifica quem faz a requisição a partir do token de
+// acesso enviado no cabeçalho `Authorization: Bearer <token>` e o expõe às rotas em `req.user`.
+
+import { UnauthorizedError } from "../errors/http-error.js";
+import { TokenError } from "../errors/token-error.js";
+import { verifyToken } from "../utils/signed-token.js";
+
+/**
+ * @function authenticate
+ * Cria o middleware de autenticação.
+ *
+ * - Com um token válido: `req.user` recebe o usuário carregado por `loadUser`.
+ * - Sem token: `req.user = null`. Rotas declaradas com `auth: true` respondem 401; as demais seguem normalmente.
+ * - Com um token inválido ou expirado: 401 em qualquer rota (`TokenError`, respondido pelo `errorHandler`),
+ *   para que o cliente perceba que precisa renovar o token em vez de ser tratado como anônimo.
+ * - Token válido de um usuário que não existe mais (ex.: excluído): 401.
+ *
+ * O middleware roda antes do `bodyParser`, então uma rota protegida recusa a requisição sem ler o corpo.
+ *
+ * @param {object} options - Opções do middleware.
+ * @param {string|Buffer} options.secret - Segredo usado na assinatura dos tokens (veja `signToken`).
+ * @param {Function} options.loadUser - `(id) => user | undefined`: busca o usuário do token (campo `sub`).
+ * Carregar o usuário a cada requisição faz com que alterações (ex.: exclusão) valham na hora.
+ * @param {Function} [options.onFailure] - `(req, res, error) => void | Promise`: chamada antes de cada 401, com o
+ * erro que será lançado. Pode lançar outro erro no lugar (ex.: o 429 do `rateLimit`, que conta as falhas).
+ * @returns {Function} - Middleware `(req, res, next)`.
+ *
+ * @example
+ * const app = new Router().use(authenticate({ secret, loadUser: (id) => database.get("users", id) }));
+ *
+ * // Rota protegida:
+ * { method: "DELETE", path: "/users/:id", auth: true, handler: (req, res) => { ... req.user ... } }
+ */
+export function authenticate({ secret, loadUser, onFailure }) {
+  return async (req, res, next) => {
+    try {
+      req.user = identify(req, { secret, loadUser });
+    } catch (error) {
+      req.user = null;
+
+      if (error instanceof UnauthorizedError || error instanceof TokenError) {
+        await onFailure?.(req, res, error);
+      }
+
+      throw error;
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Identifica o usuário da requisição.
+ *
+ * @returns {object|null} - O usuário do token, ou `null` em uma requisição sem token.
+ * @throws {UnauthorizedError|TokenError} - Se o token for recusado ou se a rota exigir um token ausente.
+ */
+function identify(req, { secret, loadUser }) {
+  const token = bearerToken(req.headers.authorization);
+  let user = null;
+
+  if (token) {
+    const { sub, type } = verifyToken(token, secret);
+
+    // Outros tipos de token assinados com o mesmo segredo não servem como token de acesso.
+    if (type !== "access") {
+      throw new UnauthorizedError("The token is not an access token.");
+    }
+
+    user = loadUser(sub) ?? null;
+
+    if (!user) {
+      throw new UnauthorizedError("The user of this access token no longer exists.");
+    }
+  }
+
+  if (req.route?.auth && !user) {
+    throw new UnauthorizedError("This route requires an access token.");
+  }
+
+  return user;
+}
+
+/**
+ * Extrai o token de um cabeçalho `Authorization: Bearer <token>`.
+ *
+ * @returns {string|undefined} - O token, ou `undefined` se o cabeçalho não usar o esquema `Bearer`.
+ */
+function bearerToken(header) {
+  const [scheme, token] = header?.trim().split(/\s+/) ?? [];
+
+  return scheme?.toLowerCase() === "bearer" ? token : undefined;
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Autenticação x autorização**: Este middleware só responde "quem é você?". O que cada usuário pode fazer
+ *    fica a cargo das rotas, que consultam `req.user`.
+ *
+ * 2. **Declarativo**: Uma rota pede autenticação com `auth: true` na própria definição, assim como pede o corpo
+ *    em stream com `stream: true`. O middleware lê a opção em `req.route`, preenchido pelo `Router`.
+ *
+ * 3. **401 x 403**: 401 significa "não sei quem você é" (token ausente, inválido ou expirado) e vem com o
+ *    cabeçalho `WWW-Authenticate`; o cliente pode tentar de novo com outro token.
+ */
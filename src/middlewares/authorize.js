@@ -0,0 +1,79 @@
+// Este arquivo define o middleware `authorize`, que decide se o usuário autenticado (`req.user`) pode usar a rota.
+// As regras ficam na própria definição de cada rota, no campo `permissions`, em vez de espalhadas pelos handlers.
+
+import { ForbiddenError, UnauthorizedError } from "../errors/http-error.js";
+
+/**
+ * @function authorize
+ * Confere o campo `permissions` da rota encontrada (`req.route`). Rotas sem `permissions` seguem normalmente.
+ *
+ * `permissions` é uma lista de concessões; basta uma delas ser atendida:
+ * - Um papel (ex.: `"admin"`): O usuário autenticado tem esse papel (`req.user.role`).
+ * - `"self"`: O recurso da rota é o próprio usuário autenticado (`req.params.id === req.user.id`).
+ *
+ * Sem usuário autenticado, a resposta é 401 (o cliente precisa entrar); com um usuário sem permissão, 403.
+ * Deve ser registrado depois do `authenticate`, que preenche `req.user`.
+ *
+ * @param {Object} req - Objeto da requisição HTTP.
+ * @param {Object} res - Objeto da resposta HTTP.
+ * @param {Function} next - Próximo middleware do pipeline.
+ * @returns {Promise<void>}
+ * @throws {UnauthorizedError} - Se a rota tiver `permissions` e não houver usuário autenticado.
+ * @throws {ForbiddenError} - Se nenhuma concessão for atendida.
+ *
+ * @example
+ * const app = new Router().use(authenticate({ secret, loadUser })).use(authorize);
+ *
+ * // Apenas administradores, ou o próprio usuário:
+ * { method: "PUT", path: "/users/:id", permissions: ["admin", "self"], handler: (req, res) => { ... } }
+ */
+export function authorize(req, res, next) {
+  const permissions = req.route?.permissions;
+
+  if (!permissions) {
+    return next();
+  }
+
+  if (!req.user) {
+    throw new UnauthorizedError("This route requires an access token.");
+  }
+
+  const allowed = permissions.some((grant) =>
+    grant === "self" ? req.params.id === req.user.id : grant === req.user.role
+  );
+
+  if (!allowed) {
+    throw new ForbiddenError(describeDenial(permissions));
+  }
+
+  return next();
+}
+
+/**
+ * Explica ao cliente quem pode usar a rota.
+ *
+ * @example
+ * describeDenial(["admin", "self"]); // "Only admin users or the user themselves can do this."
+ */
+function describeDenial(permissions) {
+  const roles = permissions.filter((grant) => grant !== "self").map((role) => `${role} users`);
+
+  if (permissions.includes("self")) {
+    roles.push("the user themselves");
+  }
+
+  return `Only ${roles.join(" or ")} can do this.`;
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Declarativo**: Quem pode usar uma rota fica visível ao lado do caminho e do método, como `stream: true` e
+ *    `auth: true`. Um handler novo não esquece a verificação, e uma revisão de permissões lê só as definições.
+ *
+ * 2. **Papel atual**: `req.user` é carregado do banco a cada requisição (veja `authenticate`). Se um administrador
+ *    perder o papel, as permissões mudam na hora, mesmo com um token de acesso emitido antes.
+ *
+ * 3. **Regras por campo**: `permissions` decide se a rota pode ser usada. Quais campos cada papel pode alterar
+ *    é decidido pelos `writeRules` da tabela (veja `forbiddenFields`), porque depende do conteúdo da escrita.
+ */
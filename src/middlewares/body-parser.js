@@ -0,0 +1,225 @@
+// Este arquivo define o middleware `bodyParser`, que lê o corpo das requisições e o converte em `req.body`
+// de acordo com o cabeçalho `Content-Type`. A leitura tem limite de tamanho e de tempo, para que um cliente
+// lento ou um upload gigante não consigam prender o servidor nem esgotar a memória.
+
+import {
+  BadRequestError,
+  PayloadTooLargeError,
+  RequestTimeoutError,
+  UnsupportedMediaTypeError,
+} from "../errors/http-error.js";
+import { extractQueryParams } from "../utils/extract-query-params.js";
+
+/**
+ * Conversores de corpo aceitos, por tipo de mídia. Cada um recebe o texto já decodificado.
+ * Um conversor pode lançar um `HttpError` (ex.: `BadRequestError` para um JSON inválido).
+ */
+const parsers = {
+  json: parseJson,
+  urlencoded: (text) => extractQueryParams(text),
+  text: (text) => text,
+};
+
+/**
+ * @function bodyParser
+ * Cria o middleware que lê o corpo da requisição e preenche `req.body`.
+ *
+ * - `application/json` (e tipos `+json`): Objeto JavaScript. JSON inválido responde 400 indicando a posição do erro.
+ * - `application/x-www-form-urlencoded`: Objeto, com a mesma sintaxe da query string (`a=1&tags[]=x`).
+ * - `text/*`: String.
+ * - Requisições com corpo sem `Content-Type` são tratadas como JSON.
+ * - Outros tipos respondem 415.
+ *
+ * Os erros são lançados como `HttpError` e respondidos pelo `errorHandler`.
+ *
+ * Requisições sem corpo (ex.: `GET`) recebem `req.body = null`. Rotas declaradas com `stream: true`
+ * (ex.: importações e uploads) não têm o corpo lido: o handler consome `req` diretamente.
+ *
+ * @param {object} [options] - Opções do middleware.
+ * @param {number} [options.limit=1048576] - Tamanho máximo do corpo em bytes (padrão: 1 MB). Acima disso: 413.
+ * @param {number} [options.timeout=10000] - Tempo máximo, em ms, sem receber dados do cliente. Depois disso: 408.
+ * @param {Array<string>} [options.types=["json", "urlencoded", "text"]] - Conversores habilitados.
+ * @returns {Function} - Middleware `(req, res, next)`.
+ *
+ * @example
+ * const app = new Router().use(bodyParser({ limit: 100 * 1024, types: ["json"] }));
+ */
+export function bodyParser({
+  limit = 1024 * 1024,
+  timeout = 10_000,
+  types = ["json", "urlencoded", "text"],
+} = {}) {
+  return async (req, res, next) => {
+    req.body = null;
+
+    if (req.route?.stream || !hasBody(req)) {
+      return next();
+    }
+
+    const contentType = parseContentType(req.headers["content-type"] ?? "application/json");
+    const type = types.find((name) => matchesType(name, contentType.mediaType));
+
+    if (!type) {
+      throw new UnsupportedMediaTypeError(`${contentType.mediaType} is not accepted.`);
+    }
+
+    let decoder;
+
+    try {
+      decoder = new TextDecoder(contentType.charset ?? "utf-8");
+    } catch {
+      throw new UnsupportedMediaTypeError(`Charset "${contentType.charset}" is not supported.`);
+    }
+
+    // Quando o tamanho é informado, nem é preciso ler o corpo para recusá-lo.
+    if (Number(req.headers["content-length"]) > limit) {
+      discard(req);
+      throw new PayloadTooLargeError(`The body must have at most ${limit} bytes.`);
+    }
+
+    // Uma query string inválida em um formulário lança `QueryStringError`, respondido com 400.
+    req.body = parsers[type](decoder.decode(await readBody(req, { limit, timeout })));
+
+    return next();
+  };
+}
+
+/**
+ * Indica se a requisição tem corpo, pelos cabeçalhos `Content-Length` e `Transfer-Encoding`.
+ */
+function hasBody(req) {
+  return req.headers["transfer-encoding"] !== undefined || Number(req.headers["content-length"] ?? 0) > 0;
+}
+
+/**
+ * Separa o tipo de mídia e o charset de um cabeçalho `Content-Type`.
+ *
+ * @example
+ * parseContentType("application/json; charset=UTF-8"); // { mediaType: "application/json", charset: "utf-8" }
+ */
+function parseContentType(header) {
+  const [mediaType, ...parameters] = header.split(";").map((part) => part.trim().toLowerCase());
+  const charset = parameters.find((parameter) => parameter.startsWith("charset="))?.slice("charset=".length);
+
+  return { mediaType, charset: charset?.replace(/^"|"$/g, "") };
+}
+
+/**
+ * Verifica se o tipo de mídia é aceito por um conversor.
+ */
+function matchesType(name, mediaType) {
+  if (name === "json") {
+    return mediaType === "application/json" || /^application\/[\w.-]+\+json$/.test(mediaType);
+  }
+
+  if (name === "urlencoded") {
+    return mediaType === "application/x-www-form-urlencoded";
+  }
+
+  return name === "text" && mediaType.startsWith("text/");
+}
+
+/**
+ * Lê o corpo da requisição respeitando o limite de tamanho e o tempo máximo sem receber dados.
+ *
+ * @returns {Promise<Buffer>} - O corpo completo.
+ * @throws {PayloadTooLargeError|RequestTimeoutError|BadRequestError} - Corpo grande demais, cliente parou de enviar
+ * ou conexão abortada (ou com erro no socket).
+ */
+function readBody(req, { limit, timeout }) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    let timer;
+
+    const fail = (error) => {
+      cleanup();
+      discard(req);
+      reject(error);
+    };
+
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(
+        () => fail(new RequestTimeoutError(`No data received for ${timeout}ms.`)),
+        timeout
+      );
+    };
+
+    const onData = (chunk) => {
+      received += chunk.length;
+
+      if (received > limit) {
+        return fail(new PayloadTooLargeError(`The body must have at most ${limit} bytes.`));
+      }
+
+      chunks.push(chunk);
+      restartTimer();
+    };
+
+    const onEnd = () => {
+      cleanup();
+      resolve(Buffer.concat(chunks));
+    };
+
+    const onAborted = () => fail(new BadRequestError("The request body was not fully received."));
+
+    // Um erro no socket (ex.: conexão reiniciada) encerra a leitura na hora, sem esperar o tempo limite.
+    const onError = (error) => fail(new BadRequestError(`The request body could not be read: ${error.message}`));
+
+    function cleanup() {
+      clearTimeout(timer);
+      req.off("data", onData);
+      req.off("end", onEnd);
+      req.off("aborted", onAborted);
+      req.off("error", onError);
+    }
+
+    req.on("data", onData);
+    req.on("end", onEnd);
+    req.on("aborted", onAborted);
+    req.on("error", onError);
+    restartTimer();
+  });
+}
+
+/**
+ * Converte o texto em JSON. Em caso de erro, informa linha e coluna em vez de apenas a posição.
+ *
+ * @throws {BadRequestError} - Com a localização do erro.
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const position = Number(error.message.match(/position (\d+)/)?.[1] ?? text.length);
+    const before = text.slice(0, position).split("\n");
+
+    throw new BadRequestError(
+      `Invalid JSON at line ${before.length}, column ${before.at(-1).length + 1} ` +
+        `(position ${position}): ${error.message}`
+    );
+  }
+}
+
+/**
+ * Descarta o restante do corpo que ainda chegar, em vez de deixar o stream parado.
+ * Os erros 408 e 413 também enviam `Connection: close`, encerrando a conexão depois da resposta.
+ */
+function discard(req) {
+  req.resume();
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Limite de tamanho**: O corpo é lido em pedaços e a soma é verificada a cada pedaço. Se ultrapassar
+ *    `limit`, a leitura para na hora com 413, sem guardar o restante em memória.
+ *
+ * 2. **Tempo limite**: O relógio reinicia a cada pedaço recebido. Um cliente que abre a conexão e para de enviar
+ *    dados recebe 408 em vez de ocupar o servidor indefinidamente. Uma conexão abortada ou com erro no socket
+ *    encerra a leitura na hora, sem esperar o relógio.
+ *
+ * 3. **Content-Type**: O formato do corpo é escolhido pelo cabeçalho, e não por tentativa e erro. Assim,
+ *    um JSON quebrado gera um erro claro (com linha e coluna) em vez de um `req.body` vazio.
+ */
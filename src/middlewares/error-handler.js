@@ -0,0 +1,114 @@
+// Este arquivo define o middleware de erro padrão da aplicação. Ele é registrado com `use` no final do
+// pipeline e transforma qualquer exceção lançada por rotas e middlewares em uma resposta
+// `application/problem+json` (RFC 9457), sem derrubar o processo nem deixar o cliente esperando.
+
+// Importações:
+// - Erros HTTP (`HttpError` e subclasses): Já carregam o status e são enviados como estão.
+// - Erros do banco, da query string, do CSV importado e dos tokens de acesso: Convertidos no status HTTP equivalente
+//   (400, 401, 409 ou 412).
+import { CsvParseError } from "../errors/csv-parse-error.js";
+import {
+  InvalidQueryError,
+  UniqueConstraintError,
+  ValidationError,
+  VersionConflictError,
+} from "../errors/database-errors.js";
+import {
+  BadRequestError,
+  ConflictError,
+  HttpError,
+  InternalServerError,
+  PreconditionFailedError,
+  UnauthorizedError,
+} from "../errors/http-error.js";
+import { QueryStringError } from "../errors/query-string-error.js";
+import { TokenError } from "../errors/token-error.js";
+
+/**
+ * @function errorHandler
+ * Responde com um "problem details" para qualquer erro do pipeline.
+ *
+ * - `HttpError`: Usa o status, o detalhe e os cabeçalhos do próprio erro.
+ * - `ValidationError`: 400, com a lista de erros por campo em `errors`.
+ * - `InvalidQueryError`, `QueryStringError` e `CsvParseError`: 400.
+ * - `TokenError`: 401 (token de acesso malformado, adulterado ou expirado).
+ * - `UniqueConstraintError`: 409.
+ * - `VersionConflictError`: 412 (o `If-Match` enviado não corresponde mais à versão do registro).
+ * - Qualquer outro erro: 500, registrado no console. A mensagem original não é enviada ao cliente.
+ *
+ * Se a resposta já começou a ser enviada (ex.: um stream que falhou no meio), não é possível trocar o status:
+ * a conexão é encerrada para que o cliente perceba que a resposta ficou incompleta.
+ *
+ * @param {Error} error - Erro lançado por um middleware ou handler.
+ * @param {Object} req - Objeto da requisição HTTP.
+ * @param {Object} res - Objeto da resposta HTTP.
+ * @param {Function} next - Próximo middleware (não usado: o erro termina aqui).
+ *
+ * @example
+ * // Resposta para um POST sem email:
+ * // 400 Content-Type: application/problem+json
+ * // {
+ * //   "type": "about:blank", "title": "Bad Request", "status": 400,
+ * //   "detail": "Invalid record for table \"users\".", "instance": "/users",
+ * //   "errors": [{ "field": "email", "message": "email is required" }]
+ * // }
+ */
+export function errorHandler(error, req, res, next) {
+  const httpError = toHttpError(error);
+
+  if (httpError.status >= 500) {
+    console.error(`Unhandled error in ${req.method} ${req.url}:`, error);
+  }
+
+  if (res.headersSent) {
+    return res.destroy();
+  }
+
+  const body = JSON.stringify(httpError.toProblem(req.url.split("?")[0]));
+
+  return res
+    .writeHead(httpError.status, { ...httpError.headers, "Content-Type": "application/problem+json" })
+    .end(body);
+}
+
+/**
+ * @function toHttpError
+ * Converte um erro qualquer no `HttpError` correspondente.
+ *
+ * @param {Error} error - Erro original.
+ * @returns {HttpError}
+ */
+function toHttpError(error) {
+  if (error instanceof HttpError) {
+    return error;
+  }
+
+  if (error instanceof ValidationError) {
+    return new BadRequestError(error.message, { extensions: { errors: error.errors } });
+  }
+
+  if (
+    error instanceof InvalidQueryError ||
+    error instanceof QueryStringError ||
+    error instanceof CsvParseError
+  ) {
+    return new BadRequestError(error.message);
+  }
+
+  if (error instanceof TokenError) {
+    // `invalid_token` é o código da RFC 6750 para tokens que o cliente precisa trocar por um novo.
+    return new UnauthorizedError(error.message, {
+      headers: { "WWW-Authenticate": `Bearer error="invalid_token", error_description="${error.message}"` },
+    });
+  }
+
+  if (error instanceof UniqueConstraintError) {
+    return new ConflictError(error.message);
+  }
+
+  if (error instanceof VersionConflictError) {
+    return new PreconditionFailedError(error.message);
+  }
+
+  return new InternalServerError();
+}
@@ -0,0 +1,163 @@
+// Este arquivo define o middleware `rateLimit`, que limita quantas requisições cada cliente pode fazer em uma janela
+// de tempo. Cada rota escolhe a sua política no campo `rateLimit` (ex.: escritas mais restritas que leituras), e o
+// cliente é identificado pelo usuário autenticado ou, sem token, pelo endereço IP.
+
+import { MemoryRateLimitStore } from "../adapters/memory-rate-limit-store.js";
+import { TooManyRequestsError } from "../errors/http-error.js";
+
+/**
+ * @function rateLimit
+ * Cria o middleware de limite de requisições.
+ *
+ * - Rotas sem o campo `rateLimit` (e caminhos sem rota, que respondem 404) usam a política `default`.
+ * - `rateLimit: "<nome>"` na definição da rota escolhe outra política; `rateLimit: false` desliga o limite.
+ * - Toda resposta recebe os cabeçalhos `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` e
+ *   `RateLimit-Policy`. Acima do limite, a resposta é 429 com `Retry-After`.
+ *
+ * Cada política tem contadores próprios: as escritas de um cliente não gastam a cota de leituras dele.
+ * Deve ser registrado depois do `authenticate`, que preenche `req.user`. Requisições que o `authenticate` recusa
+ * (token inválido ou expirado) não chegam ao middleware: elas são contadas com `consume` (veja o exemplo).
+ *
+ * @param {object} options - Opções do middleware.
+ * @param {object} options.policies - Políticas por nome: `{ limit, window }`, com `limit` requisições a cada
+ * `window` segundos. A política `default` é obrigatória.
+ * @param {object} [options.store] - Onde os contadores ficam guardados (veja `MemoryRateLimitStore`).
+ * @param {Function} [options.key] - `(req) => string`: identifica o cliente. Padrão: `user:<id>` para usuários
+ * autenticados e `ip:<endereço>` para os demais.
+ * @returns {Function} - Middleware `(req, res, next)`, com o método `consume(req, res, policy)`, que conta uma
+ * requisição na política indicada fora do fluxo normal e lança `TooManyRequestsError` acima do limite.
+ * @throws {Error} - Se não houver a política `default`.
+ *
+ * @example
+ * const app = new Router().use(
+ *   rateLimit({ policies: { default: { limit: 600, window: 60 }, write: { limit: 60, window: 60 } } })
+ * );
+ *
+ * // Rota com a política "write":
+ * { method: "POST", path: "/users", rateLimit: "write", handler: (req, res) => { ... } }
+ *
+ * // Tokens recusados contam na política "auth", como tentativas de login:
+ * const limiter = rateLimit({ policies });
+ * const app = new Router()
+ *   .use(authenticate({ secret, loadUser, onFailure: (req, res) => limiter.consume(req, res, "auth") }))
+ *   .use(limiter);
+ */
+export function rateLimit({ policies, store = new MemoryRateLimitStore(), key = clientKey }) {
+  if (!policies?.default) {
+    throw new Error('The rate limit policies must include a "default" policy.');
+  }
+
+  const consume = async (req, res, name) => {
+    const policy = policies[name];
+
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy "${name}" in ${req.method} ${req.route?.path ?? req.url}.`);
+    }
+
+    const usage = await hit(store, `${name}:${key(req)}`, policy);
+
+    res.setHeader("RateLimit-Limit", policy.limit);
+    res.setHeader("RateLimit-Remaining", usage.remaining);
+    res.setHeader("RateLimit-Reset", usage.reset);
+    res.setHeader("RateLimit-Policy", `${policy.limit};w=${policy.window}`);
+
+    if (usage.retryAfter) {
+      throw new TooManyRequestsError(
+        `Rate limit exceeded: at most ${policy.limit} requests every ${policy.window} seconds.`,
+        usage.retryAfter
+      );
+    }
+  };
+
+  const middleware = async (req, res, next) => {
+    const name = req.route?.rateLimit ?? "default";
+
+    if (name !== false) {
+      await consume(req, res, name);
+    }
+
+    return next();
+  };
+
+  return Object.assign(middleware, { consume });
+}
+
+/**
+ * @function hit
+ * Conta uma requisição com uma janela deslizante (veja a explicação no fim do arquivo) e calcula os cabeçalhos.
+ *
+ * @param {object} store - Store dos contadores.
+ * @param {string} key - Política e cliente (ex.: `write:ip:127.0.0.1`).
+ * @param {{ limit: number, window: number }} policy - Política da rota.
+ * @returns {Promise<{ remaining: number, reset: number, retryAfter?: number }>} - Requisições restantes, segundos até
+ * a janela atual terminar e, se a requisição passou do limite, segundos até a próxima ser aceita.
+ */
+async function hit(store, key, { limit, window }) {
+  const windowMs = window * 1000;
+  const now = Date.now();
+  const index = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+
+  // O contador da janela atual precisa durar até o fim da janela seguinte, em que ele é a janela anterior.
+  const current = await store.increment(`${key}:${index}`, 2 * windowMs);
+  const previous = await store.get(`${key}:${index - 1}`);
+  const count = previous * (1 - elapsed) + current;
+
+  const usage = {
+    remaining: Math.max(0, Math.floor(limit - count)),
+    reset: Math.ceil((1 - elapsed) * window),
+  };
+
+  if (count > limit) {
+    usage.retryAfter = Math.max(1, Math.ceil(waitFraction(limit, previous, current, elapsed) * window));
+  }
+
+  return usage;
+}
+
+/**
+ * Calcula quanto tempo, em frações da janela, falta para mais uma requisição caber no limite.
+ *
+ * - Se as requisições da janela atual ainda deixam espaço, basta o peso da janela anterior diminuir o suficiente.
+ * - Senão, é preciso esperar a janela atual terminar e virar a anterior, e o peso dela diminuir.
+ */
+function waitFraction(limit, previous, current, elapsed) {
+  if (current + 1 <= limit) {
+    return 1 - (limit - current - 1) / previous - elapsed;
+  }
+
+  return 1 - elapsed + Math.max(0, 1 - (limit - 1) / current);
+}
+
+/**
+ * Identifica o cliente pelo usuário autenticado ou, sem token, pelo endereço IP da conexão.
+ */
+function clientKey(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.socket.remoteAddress ?? "unknown"}`;
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Janela deslizante**: Uma janela fixa (ex.: "60 requisições por minuto, zeradas a cada minuto cheio") deixa
+ *    passar o dobro do limite na virada: 60 no fim de um minuto e 60 no começo do seguinte. Aqui, cada cliente tem
+ *    um contador por janela fixa, e a contagem soma a janela atual com a anterior, pesada pela parte dela que ainda
+ *    cabe nos últimos `window` segundos. Ex.: 30 segundos depois da virada, metade das requisições da janela
+ *    anterior ainda conta. O resultado é uma aproximação da janela deslizante exata com apenas dois contadores.
+ *
+ * 2. **Requisições recusadas também contam**: Um cliente que respeita o `Retry-After` volta assim que houver espaço;
+ *    um que continua insistindo continua bloqueado, em vez de conseguir uma requisição a cada brecha.
+ *
+ * 3. **Store plugável**: O middleware só precisa de `increment` e `get`, então os contadores podem ficar em um
+ *    serviço compartilhado (ex.: Redis) quando houver mais de uma instância do servidor. O padrão é a memória.
+ *
+ * 4. **Antes do corpo**: Registrado antes do `bodyParser`, o limite recusa a requisição sem ler o corpo e, em uma
+ *    rota de escrita, sem gravar o `db.json`.
+ *
+ * 5. **Tokens recusados**: O middleware roda depois do `authenticate` para contar por usuário, então um 401 por
+ *    token inválido acontece antes dele. Com `consume` no `onFailure` do `authenticate`, cada token recusado conta
+ *    na política `auth` do IP, a mesma do login: quem testa tokens em sequência recebe 429, como quem testa senhas.
+ *
+ * 6. **Proxy reverso**: Atrás de um proxy, todas as conexões vêm do mesmo endereço. Nesse caso, passe uma função
+ *    `key` que leia o IP do cliente de um cabeçalho definido pelo proxy (ex.: `X-Forwarded-For`).
+ */
@@ -0,0 +1,222 @@
+// Este arquivo é um script de linha de comando para aplicar ou desfazer as migrações do `db.json`
+// sem subir o servidor. O servidor já aplica as migrações pendentes ao iniciar; o script serve para
+// conferir a versão atual, migrar antes de um deploy ou voltar para uma versão anterior.
+// Também define a senha de um usuário existente, para que contas criadas sem senha (antes do login existir ou
+// por importação em lote) consigam entrar, e cria o primeiro administrador: a API só deixa um administrador criar
+// outro. Como o servidor, o script grava o `db.json`: rode-o com o servidor parado.
+//
+// Uso:
+//   npm run migrate                 -> aplica todas as migrações pendentes
+//   npm run migrate -- --to 0       -> desfaz as migrações até a versão 0
+//   npm run migrate -- --status     -> mostra a versão atual sem alterar nada
+//   npm run migrate -- --set-password john@example.com
+//                                   -> aplica as migrações pendentes e define a senha do usuário, lida da
+//                                      primeira linha da entrada padrão (ex.: `printf '%s\n' "$PASSWORD" | ...`)
+//   npm run migrate -- --create-admin admin@example.com --name "Admin"
+//                                   -> cria um administrador, ou promove o usuário que já tem esse email (`--name`
+//                                      só é usado ao criar), com a senha lida da entrada padrão
+
+import { randomUUID } from "node:crypto";
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+
+import { JsonFileAdapter } from "./adapters/json-file-adapter.js";
+import { Database } from "./database.js";
+import { ValidationError } from "./errors/database-errors.js";
+import { migrations } from "./migrations/index.js";
+import { refreshTokens } from "./tables/refresh-tokens.js";
+import { uploads } from "./tables/uploads.js";
+import { users } from "./tables/users.js";
+import { hashPassword } from "./utils/password.js";
+import { validateSchema } from "./utils/validate-schema.js";
+
+const { values } = parseArgs({
+  options: {
+    to: { type: "string" },
+    status: { type: "boolean", default: false },
+    path: { type: "string", default: "db.json" },
+    "set-password": { type: "string" },
+    "create-admin": { type: "string" },
+    name: { type: "string" },
+  },
+});
+
+// `autoMigrate: false` deixa o script decidir quais migrações rodar.
+const database = new Database({
+  adapter: new JsonFileAdapter({ path: values.path }),
+  tables: { users, uploads, refreshTokens },
+  migrations,
+  autoMigrate: false,
+});
+
+try {
+  if (values["set-password"] !== undefined && values["create-admin"] !== undefined) {
+    throw new Error("Use either --set-password or --create-admin, not both.");
+  }
+
+  await database.ready;
+
+  console.log(`Schema version: ${database.schemaVersion} (latest: ${database.latestVersion})`);
+
+  if (!values.status) {
+    const to = values.to === undefined ? database.latestVersion : Number(values.to);
+    const applied = await database.migrate({ to });
+
+    for (const { version, name, direction } of applied) {
+      console.log(`${direction === "up" ? "Applied" : "Reverted"} migration ${version} (${name})`);
+    }
+
+    console.log(applied.length ? `Now at version ${database.schemaVersion}.` : "Nothing to migrate.");
+  }
+
+  if (values["set-password"] !== undefined) {
+    await setPassword(values["set-password"]);
+  }
+
+  if (values["create-admin"] !== undefined) {
+    await createAdmin(values["create-admin"], values.name);
+  }
+} catch (error) {
+  const details = error instanceof ValidationError ? error.errors.map(({ message }) => `\n- ${message}`) : [];
+
+  console.error(error.message + details.join(""));
+  process.exitCode = 1;
+}
+
+/**
+ * @function setPassword
+ * Define a senha de um usuário existente. Os refresh tokens do usuário são revogados: as sessões abertas com a
+ * senha anterior precisam entrar de novo.
+ *
+ * @param {string} email - Email do usuário (maiúsculas e espaços nas pontas são ignorados, como no login).
+ * @returns {Promise<void>}
+ * @throws {Error} - Se não houver usuário com o email ou se os dados não estiverem na versão mais recente.
+ * @throws {ValidationError} - Se a senha não atender a `users.passwordRules`.
+ */
+async function setPassword(email) {
+  assertLatestVersion();
+
+  const user = findUser(email);
+
+  if (!user) {
+    throw new Error(`No user with email ${JSON.stringify(email)}.`);
+  }
+
+  await updateCredentials(user, { passwordHash: await readPasswordHash() });
+
+  console.log(`Password set for ${user.email}.`);
+}
+
+/**
+ * @function createAdmin
+ * Cria um administrador com a senha lida da entrada padrão. Se já existir um usuário com o email, ele é promovido
+ * a administrador e recebe a nova senha (e as sessões dele são encerradas, como em `setPassword`).
+ *
+ * @param {string} email - Email do administrador.
+ * @param {string} [name] - Nome do administrador; obrigatório apenas quando o usuário ainda não existe.
+ * @returns {Promise<void>}
+ * @throws {Error} - Se o usuário não existir e `name` não for informado, ou se houver migrações pendentes.
+ * @throws {ValidationError} - Se o nome, o email ou a senha não atenderem ao schema de `users`.
+ * @throws {UniqueConstraintError} - Se o email pertencer a um usuário excluído (que pode ser restaurado).
+ */
+async function createAdmin(email, name) {
+  assertLatestVersion();
+
+  const user = findUser(email);
+
+  if (!user && name === undefined) {
+    throw new Error(`No user with email ${JSON.stringify(email)}; pass --name to create one.`);
+  }
+
+  const passwordHash = await readPasswordHash();
+
+  if (user) {
+    await updateCredentials(user, { role: "admin", passwordHash });
+    console.log(`${user.email} is now an admin.`);
+    return;
+  }
+
+  const admin = await database.insert("users", { id: randomUUID(), name, email, role: "admin", passwordHash });
+
+  console.log(`Created admin ${admin.email} (${admin.id}).`);
+}
+
+/**
+ * @function findUser
+ * Procura um usuário ativo pelo email, ignorando maiúsculas e espaços nas pontas, como o login.
+ *
+ * @param {string} email - Email do usuário.
+ * @returns {object|undefined} - O usuário, ou `undefined` se não houver.
+ */
+function findUser(email) {
+  const [user] = database.select("users", { email: email.trim().toLowerCase() });
+
+  return user;
+}
+
+/**
+ * @function updateCredentials
+ * Altera a senha (e, opcionalmente, o papel) de um usuário e revoga os refresh tokens dele, em uma transação.
+ *
+ * @param {object} user - Usuário a ser alterado.
+ * @param {{ passwordHash: string, role?: string }} changes - Campos alterados.
+ * @returns {Promise<void>}
+ */
+async function updateCredentials(user, changes) {
+  await database.transaction(async (tx) => {
+    const revokedAt = new Date().toISOString();
+
+    await tx.update("users", user.id, (current) => ({ ...current, ...changes }));
+
+    for (const token of tx.select("refreshTokens", { userId: user.id })) {
+      if (!token.revokedAt) {
+        await tx.update("refreshTokens", token.id, { ...token, revokedAt });
+      }
+    }
+  });
+}
+
+/**
+ * @function assertLatestVersion
+ * Garante que os usuários só são alterados com os dados no formato atual (ex.: não depois de `--to 0`).
+ *
+ * @throws {Error} - Se houver migrações pendentes.
+ */
+function assertLatestVersion() {
+  if (database.schemaVersion !== database.latestVersion) {
+    throw new Error(
+      `Users can only be changed at the latest schema version (${database.latestVersion}); run the migrations first.`
+    );
+  }
+}
+
+/**
+ * @function readPasswordHash
+ * Lê a senha da primeira linha da entrada padrão, confere as regras e retorna o hash.
+ *
+ * A senha não é aceita como argumento: ficaria no histórico do shell e visível na lista de processos.
+ *
+ * @returns {Promise<string>} - O hash da senha (veja `hashPassword`).
+ * @throws {ValidationError} - Se a senha não atender a `users.passwordRules`.
+ */
+async function readPasswordHash() {
+  if (process.stdin.isTTY) {
+    process.stdout.write("New password: ");
+  }
+
+  const lines = createInterface({ input: process.stdin, terminal: false });
+  let password = "";
+
+  for await (const line of lines) {
+    password = line;
+    break;
+  }
+
+  const { errors } = validateSchema({ password: { ...users.passwordRules, required: true } }, { password });
+
+  if (errors.length > 0) {
+    throw new ValidationError("users", errors);
+  }
+
+  return hashPassword(password);
+}
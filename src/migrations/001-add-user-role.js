@@ -0,0 +1,26 @@
+// Migração 1: adiciona o campo `role` aos usuários. Usuários existentes recebem o papel padrão `"user"`.
+
+export const version = 1;
+export const name = "add-user-role";
+
+/**
+ * Preenche `role` nos usuários que ainda não têm o campo.
+ *
+ * @param {object} data - Todas as tabelas do banco (alteradas no lugar).
+ */
+export function up(data) {
+  for (const user of data.users ?? []) {
+    user.role ??= "user";
+  }
+}
+
+/**
+ * Remove o campo `role` de todos os usuários.
+ *
+ * @param {object} data - Todas as tabelas do banco (alteradas no lugar).
+ */
+export function down(data) {
+  for (const user of data.users ?? []) {
+    delete user.role;
+  }
+}
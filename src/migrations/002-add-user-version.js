@@ -0,0 +1,27 @@
+// Migração 2: adiciona o campo `version` aos usuários, usado nos ETags e no controle de concorrência otimista.
+// Usuários existentes começam na versão 1.
+
+export const version = 2;
+export const name = "add-user-version";
+
+/**
+ * Preenche `version` nos usuários que ainda não têm o campo.
+ *
+ * @param {object} data - Todas as tabelas do banco (alteradas no lugar).
+ */
+export function up(data) {
+  for (const user of data.users ?? []) {
+    user.version ??= 1;
+  }
+}
+
+/**
+ * Remove o campo `version` de todos os usuários.
+ *
+ * @param {object} data - Todas as tabelas do banco (alteradas no lugar).
+ */
+export function down(data) {
+  for (const user of data.users ?? []) {
+    delete user.version;
+  }
+}
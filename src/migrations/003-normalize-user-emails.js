@@ -0,0 +1,44 @@
+// Migração 3: grava os emails dos usuários sem espaços nas pontas e em minúsculas, como o schema passou a exigir.
+// Assim, o índice único e o login tratam `John@Example.com` e `john@example.com` como o mesmo email.
+
+export const version = 3;
+export const name = "normalize-user-emails";
+
+/**
+ * Normaliza o `email` de todos os usuários.
+ *
+ * Usuários que só diferiam pela caixa (ou que já repetiam o email) violariam o índice único. O primeiro deles
+ * mantém o email; os seguintes recebem um email único com o início do ID (ex.: `john+68d96e1e@example.com`),
+ * e cada troca é exibida no console para que um administrador confira as contas.
+ *
+ * @param {object} data - Todas as tabelas do banco (alteradas no lugar).
+ */
+export function up(data) {
+  const seen = new Set();
+
+  for (const user of data.users ?? []) {
+    if (typeof user.email !== "string") {
+      continue;
+    }
+
+    const email = user.email.trim().toLowerCase();
+
+    if (seen.has(email)) {
+      const [local, domain] = email.split(/@(?=[^@]*$)/);
+      user.email = `${local}+${user.id.slice(0, 8)}@${domain}`;
+      console.warn(`User ${user.id} had the same email as another user (${email}); renamed it to ${user.email}.`);
+    } else {
+      user.email = email;
+    }
+
+    seen.add(user.email);
+  }
+}
+
+/**
+ * Não faz nada: a caixa original dos emails não é guardada, e emails em minúsculas continuam válidos.
+ * Os emails renomeados por `up` também continuam como estão, já que os originais violariam o índice único.
+ *
+ * @param {object} data - Todas as tabelas do banco.
+ */
+export function down(data) {}
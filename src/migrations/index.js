@@ -0,0 +1,17 @@
+// Este arquivo lista as migrações do banco, em ordem de versão. Cada migração fica em um módulo próprio
+// (`NNN-descricao.js`) que exporta `version`, `name`, `up(data)` e `down(data)`.
+//
+// Para criar uma migração:
+// 1. Crie o arquivo com o próximo número (ex.: `004-split-user-name.js`).
+// 2. Implemente `up` (aplica a mudança) e `down` (desfaz a mudança) alterando `data` no lugar.
+// 3. Adicione o módulo ao final da lista abaixo.
+
+import * as addUserRole from "./001-add-user-role.js";
+import * as addUserVersion from "./002-add-user-version.js";
+import * as normalizeUserEmails from "./003-normalize-user-emails.js";
+
+/**
+ * @constant migrations
+ * Migrações conhecidas pelo código, da mais antiga para a mais recente.
+ */
+export const migrations = [addUserRole, addUserVersion, normalizeUserEmails];
@@ -0,0 +1,350 @@
+// Este arquivo implementa a classe `Router`, responsável por encontrar a rota de cada requisição.
+// O roteador compara o caminho e o método HTTP, extrai os parâmetros (`req.params` e `req.query`) e responde
+// sozinho aos casos que não dependem de uma rota específica: 404, 405 (com o cabeçalho `Allow`), `HEAD` e `OPTIONS`.
+// Antes e depois das rotas, executa o pipeline de middlewares registrados com `use`.
+
+// Importações:
+// - `buildRoutePath` e `matchRoutePath`: Compilam o caminho de uma rota (ex.: `/users/:id(uuid)`) e extraem
+//   os parâmetros já convertidos.
+// - `extractQueryParams`: Converte a query string em um objeto (`req.query`).
+// - `NotFoundError` e `MethodNotAllowedError`: Erros HTTP enviados ao pipeline de erros (404 e 405).
+// - `composeMiddlewares`: Encadeia middlewares `(req, res, next)` e middlewares de erro.
+// - `errorHandler`: Resposta 500 usada quando nenhum middleware de erro tratou o erro.
+import { MethodNotAllowedError, NotFoundError } from "./errors/http-error.js";
+import { errorHandler } from "./middlewares/error-handler.js";
+import { buildRoutePath, matchRoutePath } from "./utils/build-route-path.js";
+import { composeMiddlewares } from "./utils/compose-middlewares.js";
+import { extractQueryParams } from "./utils/extract-query-params.js";
+
+/**
+ * @class Router
+ * Conjunto de rotas com correspondência por caminho e método.
+ *
+ * - Rotas são objetos `{ method, path, handler }`, onde `path` é uma string como `/users/:id(uuid)`
+ *   (veja a sintaxe em `buildRoutePath`).
+ * - Se várias rotas combinam, vence a mais específica (`/users/events` antes de `/users/:id`).
+ * - Se o caminho existe, mas não para o método pedido, a resposta é 405 com o cabeçalho `Allow`.
+ * - `HEAD` usa a rota `GET` do mesmo caminho (o Node.js descarta o corpo da resposta).
+ * - `OPTIONS` responde 204 com o cabeçalho `Allow`, a menos que exista uma rota `OPTIONS` própria.
+ * - Outros roteadores podem ser montados sob um prefixo com `mount` (ex.: `/api/v1`).
+ * - Middlewares globais são registrados com `use`; cada rota pode ter os seus em `middlewares`.
+ *   Middlewares de erro (`(error, req, res, next)`) rodam depois das rotas e tratam qualquer erro lançado.
+ *
+ * @example
+ * const users = new Router();
+ * users.get("/users/:id", (req, res) => res.end(req.params.id));
+ * users.patch("/users/:id", (req, res) => res.writeHead(204).end());
+ *
+ * const router = new Router().mount("/api/v1", users);
+ * // GET /api/v1/users/1    -> handler do GET
+ * // DELETE /api/v1/users/1 -> 405, Allow: GET, HEAD, PATCH, OPTIONS
+ */
+export class Router {
+  // Rotas declaradas diretamente neste roteador, na ordem em que foram adicionadas.
+  #routes = [];
+
+  // Roteadores montados sob um prefixo: `{ prefix, router }`.
+  #mounts = [];
+
+  // Expressões regulares já compiladas, por caminho completo.
+  #patterns = new Map();
+
+  // Middlewares registrados com `use`, na ordem de registro.
+  #middlewares = [];
+
+  // Lista achatada de `routes`, calculada na primeira busca e descartada quando alguma rota muda.
+  #flatRoutes = null;
+
+  // Roteadores onde este foi montado, que precisam descartar as listas deles quando este muda.
+  #parents = new Set();
+
+  /**
+   * @param {Array<{ method: string, path: string, handler: Function }>} [routes] - Rotas iniciais.
+   */
+  constructor(routes = []) {
+    routes.forEach((route) => this.add(route));
+  }
+
+  /**
+   * Adiciona uma rota.
+   *
+   * @param {object} route - Definição da rota.
+   * @param {string} route.method - Método HTTP (`GET`, `POST`, `PUT`, `PATCH`, `DELETE`...).
+   * @param {string} route.path - Caminho, com parâmetros no formato `:nome`.
+   * @param {Function} route.handler - Função `(req, res)` que responde à requisição.
+   * @param {Array<Function>} [route.middlewares] - Middlewares executados apenas nesta rota, antes do handler.
+   * @returns {Router} - O próprio roteador, para encadear chamadas.
+   */
+  add({ method, path, handler, ...options }) {
+    this.#routes.push({ ...options, method: method.toUpperCase(), path, handler });
+    this.#invalidate();
+
+    return this;
+  }
+
+  /**
+   * Atalhos para `add` com o método já definido.
+   *
+   * @param {string} path - Caminho da rota.
+   * @param {Function} handler - Função `(req, res)`.
+   * @returns {Router}
+   */
+  get(path, handler) {
+    return this.add({ method: "GET", path, handler });
+  }
+
+  post(path, handler) {
+    return this.add({ method: "POST", path, handler });
+  }
+
+  put(path, handler) {
+    return this.add({ method: "PUT", path, handler });
+  }
+
+  patch(path, handler) {
+    return this.add({ method: "PATCH", path, handler });
+  }
+
+  delete(path, handler) {
+    return this.add({ method: "DELETE", path, handler });
+  }
+
+  /**
+   * Registra um middleware global.
+   *
+   * - `(req, res, next)`: Roda antes de qualquer rota, na ordem de registro (ex.: leitura do corpo, logs).
+   * - `(error, req, res, next)`: Middleware de erro; roda depois das rotas, apenas quando algo lançou um erro.
+   *
+   * Em um roteador montado com `mount`, os middlewares valem apenas para as rotas dele.
+   *
+   * @param {Function} middleware - Middleware a ser registrado.
+   * @returns {Router} - O próprio roteador, para encadear chamadas.
+   *
+   * @example
+   * router.use(async (req, res, next) => {
+   *   const startedAt = Date.now();
+   *   await next();
+   *   console.log(`${req.method} ${req.url} ${Date.now() - startedAt}ms`);
+   * });
+   */
+  use(middleware) {
+    this.#middlewares.push(middleware);
+    this.#invalidate();
+
+    return this;
+  }
+
+  /**
+   * Monta outro roteador sob um prefixo. As rotas do sub-roteador continuam vivas: rotas adicionadas
+   * a ele depois do `mount` também passam a responder sob o prefixo.
+   *
+   * @param {string} prefix - Prefixo dos caminhos (ex.: `/api/v1`).
+   * @param {Router} router - Roteador a ser montado.
+   * @returns {Router} - O próprio roteador, para encadear chamadas.
+   */
+  mount(prefix, router) {
+    this.#mounts.push({ prefix: prefix.replace(/\/+$/, ""), router });
+    router.#parents.add(this);
+    this.#invalidate();
+
+    return this;
+  }
+
+  /**
+   * Método privado que descarta a lista achatada de rotas deste roteador e dos roteadores onde ele foi montado.
+   * É chamado por `add`, `use` e `mount`: os middlewares de um sub-roteador fazem parte das rotas dele.
+   */
+  #invalidate() {
+    this.#flatRoutes = null;
+    this.#parents.forEach((parent) => parent.#invalidate());
+  }
+
+  /**
+   * Lista todas as rotas, incluindo as dos roteadores montados, com o caminho completo.
+   * As rotas de um roteador montado recebem os middlewares dele antes dos seus próprios.
+   *
+   * A lista é calculada uma vez e reaproveitada por `match` até a próxima alteração de rotas.
+   *
+   * @returns {Array<{ method: string, path: string, handler: Function, middlewares?: Array<Function> }>}
+   */
+  get routes() {
+    this.#flatRoutes ??= [
+      ...this.#routes,
+      ...this.#mounts.flatMap(({ prefix, router }) =>
+        router.routes.map((route) => ({
+          ...route,
+          // A rota raiz do sub-roteador (`/`) responde no próprio prefixo (`/api/v1`, e não `/api/v1/`).
+          path: prefix + (route.path === "/" ? "" : route.path) || "/",
+          middlewares: [...router.#middlewares, ...(route.middlewares ?? [])],
+        }))
+      ),
+    ];
+
+    return this.#flatRoutes;
+  }
+
+  /**
+   * Encontra a rota de uma requisição.
+   *
+   * @param {string} method - Método HTTP da requisição.
+   * @param {string} url - URL da requisição (caminho e query string).
+   * @returns {{ route?: object, params?: object, query?: string, allowed: Array<string> }} - A rota encontrada
+   * (com os parâmetros e a query string da URL) e os métodos aceitos pelo caminho (vazio se o caminho não existir).
+   */
+  match(method, url) {
+    const allowed = [];
+    let found;
+
+    for (const route of this.routes) {
+      const pattern = this.#compile(route.path);
+      const match = matchRoutePath(pattern, url);
+
+      if (!match) {
+        continue;
+      }
+
+      if (!allowed.includes(route.method)) {
+        allowed.push(route.method);
+      }
+
+      // Vence a rota mais específica; em caso de empate, a primeira declarada.
+      if (route.method === method && (!found || compareScores(pattern.score, found.score) > 0)) {
+        found = { route, score: pattern.score, ...match };
+      }
+    }
+
+    if (allowed.includes("GET") && !allowed.includes("HEAD")) {
+      allowed.splice(allowed.indexOf("GET") + 1, 0, "HEAD");
+    }
+
+    if (allowed.length > 0 && !allowed.includes("OPTIONS")) {
+      allowed.push("OPTIONS");
+    }
+
+    return { route: found?.route, params: found?.params, query: found?.query, allowed };
+  }
+
+  /**
+   * Responde a uma requisição passando pelo pipeline completo:
+   * middlewares globais -> rota (middlewares da rota e handler) -> middlewares de erro.
+   *
+   * A rota é encontrada antes dos middlewares globais e fica disponível em `req.route` (ou `undefined`), com os
+   * parâmetros do caminho em `req.params`, para que eles possam consultar opções da rota (ex.: `stream: true` no
+   * `bodyParser`, `permissions` no `authorize` ou a política `rateLimit: "write"` no middleware de limite).
+   *
+   * Um erro que nenhum middleware de erro tratou é registrado no console e respondido com 500.
+   *
+   * @param {Object} req - Objeto da requisição HTTP. Recebe `req.route`, `req.params` e `req.query`.
+   * @param {Object} res - Objeto da resposta HTTP.
+   * @returns {Promise<void>} - Resolvida quando o pipeline termina.
+   */
+  handle(req, res) {
+    const match = this.match(req.method, req.url);
+
+    if (!match.route && req.method === "HEAD") {
+      Object.assign(match, this.match("GET", req.url), { allowed: match.allowed });
+    }
+
+    req.route = match.route;
+    req.params = match.params ?? {};
+
+    const errorHandlers = this.#middlewares.filter((middleware) => middleware.length === 4);
+    const middlewares = this.#middlewares.filter((middleware) => middleware.length !== 4);
+
+    const run = composeMiddlewares([
+      ...middlewares,
+      (req, res, next) => this.#dispatch(match, req, res, next),
+      ...errorHandlers,
+    ]);
+
+    return run(req, res, (error) => {
+      if (error) {
+        errorHandler(error, req, res);
+      }
+    });
+  }
+
+  /**
+   * Método privado que executa os middlewares e o handler da rota encontrada,
+   * ou responde 404, 405 ou `OPTIONS` quando não há rota para a requisição.
+   *
+   * @param {object} match - Resultado de `match` para a requisição.
+   * @param {Object} req - Objeto da requisição HTTP.
+   * @param {Object} res - Objeto da resposta HTTP.
+   * @param {Function} next - Continuação do pipeline (recebe os erros da rota).
+   */
+  #dispatch({ route, query, allowed }, req, res, next) {
+    const path = req.url.split("?")[0];
+
+    if (!route) {
+      if (allowed.length === 0) {
+        return next(new NotFoundError(`No route matches ${req.method} ${path}.`));
+      }
+
+      if (req.method === "OPTIONS") {
+        return res.writeHead(204, { Allow: allowed.join(", ") }).end();
+      }
+
+      return next(new MethodNotAllowedError(`${req.method} is not allowed on ${path}.`, allowed));
+    }
+
+    // Uma query string inválida lança `QueryStringError`, respondido com 400 pelo `errorHandler`.
+    req.query = query ? extractQueryParams(query) : {};
+
+    return composeMiddlewares([...(route.middlewares ?? []), route.handler])(req, res, next);
+  }
+
+  /**
+   * Método privado que compila (uma única vez) o caminho de uma rota em uma expressão regular.
+   *
+   * @param {string} path - Caminho completo da rota.
+   * @returns {RegExp}
+   */
+  #compile(path) {
+    if (!this.#patterns.has(path)) {
+      this.#patterns.set(path, buildRoutePath(path));
+    }
+
+    return this.#patterns.get(path);
+  }
+}
+
+/**
+ * @function compareScores
+ * Compara a especificidade de duas rotas segmento a segmento (veja `score` em `buildRoutePath`).
+ *
+ * @param {Array<number>} a - Pesos dos segmentos da primeira rota.
+ * @param {Array<number>} b - Pesos dos segmentos da segunda rota.
+ * @returns {number} - Positivo se `a` for mais específica, negativo se `b` for, zero em caso de empate.
+ */
+function compareScores(a, b) {
+  for (let position = 0; position < Math.max(a.length, b.length); position++) {
+    const difference = (a[position] ?? -1) - (b[position] ?? -1);
+
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **404 x 405**: Todas as rotas cujo caminho combina com a URL são consideradas. Se nenhuma combina, a resposta
+ *    é 404; se alguma combina, mas com outro método, a resposta é 405 e o cabeçalho `Allow` lista os métodos aceitos.
+ *
+ * 2. **HEAD e OPTIONS automáticos**: Todo caminho com `GET` aceita `HEAD`, e todo caminho existente aceita
+ *    `OPTIONS`. Uma rota declarada explicitamente para esses métodos tem prioridade.
+ *
+ * 3. **Precedência**: Quando mais de uma rota combina com a URL, o roteador escolhe a mais específica, comparando
+ *    os segmentos da esquerda para a direita: fixo > tipado > livre > opcional > curinga.
+ *
+ * 4. **Middlewares**: `use(fn)` registra código que roda em todas as requisições (ex.: `json`), e a propriedade
+ *    `middlewares` de uma rota registra código que roda só nela (ex.: autenticação). Erros lançados em qualquer
+ *    ponto, inclusive em handlers `async`, seguem para os middlewares de erro em vez de derrubar o servidor.
+ *
+ * 5. **Sub-roteadores**: `mount("/api/v1", users)` prefixa todas as rotas de `users`, o que permite agrupar
+ *    rotas por recurso ou por versão da API sem repetir o prefixo em cada uma.
+ */
@@ -1,19 +1,103 @@
 // Este arquivo define as rotas de uma API REST simulada para gerenciar usuários.
-// Ele utiliza as classes `Database` e `buildRoutePath` para lidar com a manipulação de dados e construção de rotas dinâmicas.
+// Ele utiliza o banco de dados (`db.js`) e a classe `Router` para lidar com a manipulação de dados e o roteamento das requisições.
 
 // Importações:
 // - `randomUUID`: Gera identificadores únicos para novos usuários.
-// - `Database`: Classe para gerenciar operações CRUD persistentes em um arquivo JSON.
-// - `buildRoutePath`: Função que converte rotas com parâmetros dinâmicos em expressões regulares para correspondência.
+// - `pipeline` e `NdjsonParseStream`: Leem o corpo NDJSON de `POST /users/bulk` linha a linha.
+// - `CsvStringifyStream` e `JsonStringifyStream`: Convertem os usuários exportados em CSV, NDJSON ou JSON.
+// - `CsvParseStream`, `ValidateRecordStream` e `DatabaseWriteStream`: Etapas da importação de CSV
+//   (`POST /users/import`): leitura, validação e gravação em lotes.
+// - `database`: Instância do banco, compartilhada com as rotas de uploads e gravada em `db.json`.
+// - `Router`: Classe que encontra a rota de cada requisição pelo caminho (ex.: `/users/:id`) e pelo método.
+// - `applyMergePatch`: Aplica o corpo de um `PATCH` (JSON Merge Patch) sobre o usuário salvo.
+// - `buildQueryFilter`: Converte o parâmetro `filter[...]` da query string em um objeto de consulta.
+// - `parsePaginationParams` e `buildLinkHeader`: Leem os parâmetros de paginação e montam o cabeçalho `Link`.
+// - `ChangeFeed` e `formatServerSentEvent`: Acompanham as alterações do banco e as enviam via Server-Sent Events.
+// - `formatEntityTag`, `matchesEntityTag` e `parseEntityTags`: Montam e comparam os ETags dos usuários.
+// - `projectFields`: Seleciona os campos pedidos em `?fields=` de um único usuário.
+// - `BadRequestError`, `NotFoundError` etc.: Erros HTTP respondidos como `application/problem+json` pelo `errorHandler`,
+//   assim como os erros do banco (filtro inválido, schema violado, email repetido).
+// - `users`: Definição da tabela de usuários (o schema é usado na validação da importação de CSV, e `hidden` lista
+//   os campos que nunca saem da API, como `passwordHash`).
+// - `omitFields`: Remove os campos ocultos dos usuários devolvidos.
+// - `hashPassword` e `validateSchema`: Validam a senha enviada em `password` e geram o hash gravado no banco.
+// - `forbiddenFields`: Aplica as regras de escrita por campo (`users.writeRules`), como "só administradores mudam
+//   o `role`". Quem pode usar cada rota é declarado no campo `permissions` e conferido pelo middleware `authorize`.
 import { randomUUID } from "node:crypto";
-import { Database } from "./database.js";
-import { buildRoutePath } from "./utils/build-route-path.js";
+import { Readable, pipeline as pipelineWithCallback } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { database } from "./db.js";
+import { ValidationError } from "./errors/database-errors.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+} from "./errors/http-error.js";
+import { Router } from "./router.js";
+import { CsvParseStream } from "./streams/csv-parse-stream.js";
+import { CsvStringifyStream } from "./streams/csv-stringify-stream.js";
+import { DatabaseWriteStream } from "./streams/database-write-stream.js";
+import { JsonStringifyStream } from "./streams/json-stringify-stream.js";
+import { NdjsonParseStream } from "./streams/ndjson-parse-stream.js";
+import { ValidateRecordStream } from "./streams/validate-record-stream.js";
+import { users } from "./tables/users.js";
+import { applyMergePatch } from "./utils/apply-merge-patch.js";
+import { buildLinkHeader } from "./utils/build-link-header.js";
+import { buildQueryFilter } from "./utils/build-query-filter.js";
+import { ChangeFeed } from "./utils/change-feed.js";
+import { formatEntityTag, matchesEntityTag, parseEntityTags } from "./utils/entity-tag.js";
+import { forbiddenFields } from "./utils/forbidden-fields.js";
+import { formatServerSentEvent } from "./utils/format-server-sent-event.js";
+import { omitFields } from "./utils/omit-fields.js";
+import { parsePaginationParams } from "./utils/parse-pagination-params.js";
+import { hashPassword } from "./utils/password.js";
+import { projectFields } from "./utils/project-fields.js";
+import { validateSchema } from "./utils/validate-schema.js";
 
-// Instância do banco de dados para gerenciar os dados dos usuários.
-const database = new Database();
+// Feed com as alterações mais recentes do banco, usado por `GET /users/events` para retomar conexões.
+const changeFeed = new ChangeFeed(database, { size: 1000 });
 
-// Define as rotas disponíveis na API.
-export const routes = [
+// Intervalo entre os comentários de keep-alive enviados nas conexões SSE.
+const SSE_KEEP_ALIVE_INTERVAL = 15_000;
+
+// Quantidade de linhas de `POST /users/bulk` inseridas por gravação em disco.
+const BULK_BATCH_SIZE = 500;
+
+// Tipos de mídia aceitos por `POST /users/bulk`.
+const NDJSON_MEDIA_TYPES = ["application/x-ndjson", "application/ndjson"];
+
+// Relatórios de linhas rejeitadas das importações de CSV, por ID da importação. Ficam em memória: apenas os
+// mais recentes são mantidos, cada um com um número máximo de linhas.
+const importRejects = new Map();
+const MAX_IMPORT_REPORTS = 20;
+const MAX_REJECTS_PER_IMPORT = 10_000;
+
+// Colunas do CSV exportado quando `fields` não é informado.
+const USER_EXPORT_COLUMNS = ["id", "name", "email", "role", "createdAt", "updatedAt", "version"];
+
+// Formatos de `GET /users/export`: tipo de mídia, extensão do arquivo e a stream que gera o conteúdo.
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    createStream: ({ columns }) => new CsvStringifyStream({ columns }),
+  },
+  ndjson: {
+    contentType: "application/x-ndjson",
+    extension: "ndjson",
+    createStream: () => new JsonStringifyStream({ format: "ndjson" }),
+  },
+  json: {
+    contentType: "application/json",
+    extension: "json",
+    createStream: () => new JsonStringifyStream({ format: "array" }),
+  },
+};
+
+// Define as rotas disponíveis na API. Os caminhos são compilados pelo `Router`.
+const routes = [
   /**
    * Rota para buscar usuários.
    *
@@ -21,35 +105,173 @@ export const routes = [
    * Caminho: /users
    *
    * Query params:
-   * - `search`: (opcional) Filtra usuários pelo nome ou email.
+   * - `search`: (opcional) Filtra usuários cujo nome ou email contenha o texto (case-insensitive).
+   * - `filter[campo][$operador]`: (opcional) Filtros exatos repassados para `Database#select`.
+   *   Operadores: `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in` (lista separada por vírgulas),
+   *   `$regex`, `$exists`, além de `$and`/`$or` com índices (`filter[$or][0][name]=...`).
+   *   `filter[campo]=valor` é equivalente a `filter[campo][$eq]=valor`.
+   *   O `$regex` aceita até 100 caracteres, sem referências a grupos nem grupos repetidos que contenham outro
+   *   quantificador (ex.: `(a+)+`), que poderiam travar o servidor; `$options` aceita as flags `i`, `m`, `s` e `u`.
+   * - `sort`: (opcional) Campos de ordenação separados por vírgula; `-` indica ordem decrescente (`name,-email`).
+   * - `limit`: (opcional) Tamanho da página, de 1 a 100 (padrão: 20).
+   * - `offset`: (opcional) Quantidade de registros a pular.
+   * - `cursor`: (opcional) Cursor opaco da próxima página, retornado em `pagination.nextCursor`.
+   * - `fields`: (opcional) Campos retornados em cada usuário, separados por vírgula (`id,name`).
    *
-   * Exemplo:
+   * Exemplos:
    * GET /users?search=John
+   * GET /users?filter[email][$eq]=john@example.com
+   * GET /users?filter[name][$in]=Ana,Bia&filter[email][$exists]=true
+   * GET /users?sort=name,-email&limit=10&fields=id,name
    *
    * Retorno:
-   * - Status 200: Lista de usuários correspondentes.
+   * - Status 200: `{ data, pagination: { total, limit, offset, nextCursor } }`, com os cabeçalhos
+   *   `Link` (`next`, `prev`, `first`) e `X-Total-Count`.
+   * - Status 400: Filtro ou parâmetro de paginação inválido (ex.: operador desconhecido).
    */
   {
     method: "GET",
-    path: buildRoutePath("/users"),
+    path: "/users",
     handler: (req, res) => {
-      const { search } = req.query; // Obtém o parâmetro de busca da query string.
-
-      // Busca os usuários no banco de dados, filtrando pelo parâmetro `search` se fornecido.
-      const users = database.select(
+      // Filtros, ordenação ou paginação inválidos lançam `InvalidQueryError`, respondido com 400.
+      const { data, total, limit, offset, nextCursor } = database.paginate(
         "users",
-        search
-          ? {
-              name: search,
-              email: search,
-            }
-          : null
+        buildUsersQuery(req.query),
+        parsePaginationParams(req.query)
       );
 
-      // Retorna os usuários encontrados no formato JSON.
+      // Links de navegação: a próxima página usa o cursor; a anterior só existe na paginação por `offset`.
+      const link = buildLinkHeader(req.url, {
+        next: nextCursor ? { cursor: nextCursor, offset: undefined } : null,
+        prev:
+          !req.query.cursor && offset > 0
+            ? { offset: Math.max(offset - limit, 0), cursor: undefined }
+            : null,
+        first: { offset: undefined, cursor: undefined },
+      });
+
+      // Retorna os usuários encontrados e os metadados de paginação no formato JSON.
       return res
         .setHeader("Content-type", "application/json")
-        .end(JSON.stringify(users));
+        .setHeader("X-Total-Count", total)
+        .setHeader("Link", link)
+        .end(
+          JSON.stringify({
+            data: data.map(publicUser),
+            pagination: { total, limit, offset, nextCursor },
+          })
+        );
+    },
+  },
+
+  /**
+   * Rota para acompanhar as alterações de usuários em tempo real.
+   *
+   * Método: GET
+   * Caminho: /users/events
+   *
+   * A resposta é um stream Server-Sent Events (`text/event-stream`) que fica aberto. Cada alteração em
+   * `users` gera um evento nomeado pela operação (`insert`, `update` ou `delete`), com o ID sequencial
+   * e os dados `{ table, operation, id, old, new, timestamp }`.
+   *
+   * Cabeçalhos:
+   * - `Last-Event-ID`: (opcional) Reenvia os eventos posteriores a esse ID que ainda estejam no buffer
+   *   (os 1000 mais recentes). O `EventSource` do navegador envia esse cabeçalho ao reconectar.
+   *
+   * Um comentário `: ping` é enviado a cada 15 segundos para manter a conexão aberta em proxies.
+   *
+   * Exemplo:
+   * const events = new EventSource("/users/events");
+   * events.addEventListener("insert", (e) => console.log(JSON.parse(e.data).new));
+   */
+  {
+    method: "GET",
+    path: "/users/events",
+    handler: (req, res) => {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+
+      // Sugere ao cliente esperar 3 segundos antes de reconectar.
+      res.write("retry: 3000\n\n");
+
+      const send = ({ eventId, ...event }) => {
+        const data = { ...event, old: publicUser(event.old), new: publicUser(event.new) };
+
+        res.write(formatServerSentEvent({ id: eventId, event: event.operation, data }));
+      };
+
+      // Reenvia o que o cliente perdeu desde o último evento recebido.
+      changeFeed.since(req.headers["last-event-id"], { table: "users" }).forEach(send);
+
+      const unsubscribe = changeFeed.subscribe(send, { table: "users" });
+      const keepAlive = setInterval(() => res.write(": ping\n\n"), SSE_KEEP_ALIVE_INTERVAL);
+
+      // Quando o cliente desconecta, para de enviar eventos para essa resposta.
+      res.on("close", () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+      });
+    },
+  },
+
+  /**
+   * Rota para exportar usuários em um arquivo.
+   *
+   * Método: GET
+   * Caminho: /users/export
+   *
+   * Query params:
+   * - `format`: (opcional) `csv`, `ndjson` ou `json` (padrão: `json`).
+   * - `search`, `filter[...]`, `sort` e `fields`: Mesmo funcionamento de `GET /users`. Não há paginação:
+   *   todos os usuários que atendem aos filtros são exportados.
+   *
+   * No CSV, as colunas são as de `fields` ou, sem ele, `id`, `name`, `email`, `role`, `createdAt`, `updatedAt`
+   * e `version`.
+   *
+   * Exemplos:
+   * GET /users/export?format=csv
+   * GET /users/export?format=ndjson&filter[role]=admin&sort=name
+   *
+   * Retorno:
+   * - Status 200: O arquivo, com `Content-Disposition: attachment` (ex.: `users-2026-10-19.csv`). Os usuários são
+   *   lidos do banco e escritos na resposta aos poucos, no ritmo em que o cliente consome os dados.
+   * - Status 400: Formato, filtro ou parâmetro inválido.
+   */
+  {
+    method: "GET",
+    path: "/users/export",
+    handler: async (req, res) => {
+      const { format = "json" } = req.query;
+
+      if (typeof format !== "string" || !Object.hasOwn(EXPORT_FORMATS, format)) {
+        throw new BadRequestError(`"format" must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`);
+      }
+
+      const exporter = EXPORT_FORMATS[format];
+
+      const { sort, fields } = parsePaginationParams(req.query);
+
+      // A consulta é validada aqui, antes do envio dos cabeçalhos, para que um filtro inválido ainda vire 400.
+      const rows = database.createReadStream("users", buildUsersQuery(req.query), { sort, fields }).map(publicUser);
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.writeHead(200, {
+        "Content-Type": exporter.contentType,
+        "Content-Disposition": `attachment; filename="users-${date}.${exporter.extension}"`,
+      });
+
+      try {
+        // `pipeline` respeita o backpressure: se o cliente lê devagar, a leitura dos registros também pausa.
+        await pipeline(rows, exporter.createStream({ columns: fields ?? USER_EXPORT_COLUMNS }), res);
+      } catch (error) {
+        // O cliente desconectou no meio do download: não há a quem responder.
+        if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          throw error;
+        }
+      }
     },
   },
 
@@ -59,40 +281,366 @@ export const routes = [
    * Método: POST
    * Caminho: /users
    *
-   * Corpo da requisição (JSON):
-   * - `name`: Nome do usuário (obrigatório).
-   * - `email`: Email do usuário (obrigatório).
+   * É a rota de cadastro: não exige autenticação. Depois de criado, o usuário entra com `POST /auth/login`.
+   *
+   * Corpo da requisição (JSON), validado pelo schema da tabela `users`:
+   * - `name`: Nome do usuário (obrigatório, até 120 caracteres).
+   * - `email`: Email do usuário (obrigatório, formato de email válido).
+   * - `password`: Senha (obrigatória, de 8 a 128 caracteres). É gravada apenas como hash e nunca é devolvida.
+   * - `role`: (opcional) `user` (padrão) ou `admin`. Apenas um administrador autenticado cadastra outro `admin`;
+   *   o primeiro é criado fora da API, com `npm run migrate -- --create-admin <email>`.
+   *
+   * Campos que não fazem parte do schema são ignorados.
    *
    * Exemplo:
    * POST /users
-   * Body: { "name": "John Doe", "email": "john@example.com" }
+   * Body: { "name": "John Doe", "email": "john@example.com", "password": "correct horse battery staple" }
    *
    * Retorno:
-   * - Status 201: Usuário criado com sucesso.
-   * - Status 400: Erro se `name` ou `email` estiver ausente.
+   * - Status 201: O usuário criado, com os cabeçalhos `Location` (apontando para `/users/:id`) e `ETag`.
+   * - Status 400: Dados inválidos; o corpo lista o erro de cada campo.
+   * - Status 403: Um `role` diferente do padrão foi enviado sem um token de administrador.
+   * - Status 409: Já existe um usuário com o mesmo email.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
    */
   {
     method: "POST",
-    path: buildRoutePath("/users"),
-    handler: (req, res) => {
-      // Valida se os campos obrigatórios estão presentes no corpo da requisição.
-      if (!req.body || !req.body.name || !req.body.email) {
-        return res.writeHead(400).end("Bad Request: Missing name or email");
-      }
-
-      const { name, email } = req.body;
+    path: "/users",
+    rateLimit: "write",
+    handler: async (req, res) => {
+      assertJsonObject(req.body);
 
-      // Cria um objeto de usuário com um ID único.
+      // Cria um objeto de usuário com um ID único. A validação dos campos fica a cargo do schema.
       const user = {
+        ...(await withPasswordHash(req.body, { required: true })),
         id: randomUUID(),
-        name,
-        email,
       };
 
-      // Insere o novo usuário no banco de dados.
-      database.insert("users", user);
+      assertWritableFields(req, undefined, user);
+
+      // Insere o novo usuário no banco de dados e aguarda a gravação em disco.
+      // Dados inválidos (400) e email repetido (409) são respondidos pelo `errorHandler`.
+      const created = await database.insert("users", user);
+
+      return sendUser(res, created, { status: 201, headers: { Location: `/users/${created.id}` } });
+    },
+  },
+
+  /**
+   * Rota para importar vários usuários de uma vez.
+   *
+   * Método: POST
+   * Caminho: /users/bulk
+   *
+   * Corpo da requisição (`application/x-ndjson`): um usuário em JSON por linha, com as mesmas regras do
+   * `POST /users`. O corpo é lido em stream (a rota usa `stream: true`, então o `bodyParser` não o carrega):
+   * as linhas são convertidas uma a uma e inseridas em lotes de 500, com uma gravação em disco por lote.
+   * Senhas não são aceitas aqui (o hash de milhares de senhas prenderia o servidor): os usuários importados
+   * definem a senha depois, com `PUT` ou `PATCH`.
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; veja `POST /auth/login`).
+   *
+   * Exemplo:
+   * POST /users/bulk
+   * Content-Type: application/x-ndjson
+   * Body:
+   * {"name": "Ana", "email": "ana@example.com"}
+   * {"name": "Bia", "email": "bia@example.com"}
+   *
+   * Retorno:
+   * - Status 200 (`application/x-ndjson`), enviado à medida que os lotes são gravados: uma linha de resultado
+   *   por linha do corpo, seguida de um resumo.
+   *   {"line":1,"status":"created","id":"..."}
+   *   {"line":2,"status":"failed","error":"Invalid record for table \"users\".","errors":[...]}
+   *   {"summary":{"total":2,"created":1,"failed":1}}
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O usuário autenticado não é administrador.
+   * - Status 415: O corpo não é NDJSON.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   *
+   * Uma linha inválida (JSON malformado, dados fora do schema ou email repetido) não interrompe a importação.
+   */
+  {
+    method: "POST",
+    path: "/users/bulk",
+    permissions: ["admin"],
+    rateLimit: "write",
+    stream: true,
+    handler: async (req, res) => {
+      const mediaType = mediaTypeOf(req);
+
+      if (!NDJSON_MEDIA_TYPES.includes(mediaType)) {
+        throw new UnsupportedMediaTypeError(
+          `Expected ${NDJSON_MEDIA_TYPES[0]}, got ${mediaType ?? "no content type"}.`
+        );
+      }
+
+      // `pipeline` destrói o parser se a requisição for abortada; o erro interrompe o `for await` abaixo.
+      const lines = pipelineWithCallback(req, new NdjsonParseStream(), () => {});
+      const summary = { total: 0, created: 0, failed: 0 };
+      let batch = [];
+
+      res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+
+      // Insere o lote atual e envia o resultado de cada linha, na ordem em que chegaram.
+      const flush = async () => {
+        const entries = batch;
+        batch = [];
+
+        const valid = entries.filter((entry) => !entry.error);
+        const results = await database.insertMany(
+          "users",
+          valid.map(({ value }) => ({ ...omitFields(value, users.hidden), id: randomUUID() }))
+        );
+
+        valid.forEach((entry, position) => Object.assign(entry, results[position]));
+
+        const report = entries.map(({ line, record, error }) => {
+          summary.total += 1;
+
+          if (record) {
+            summary.created += 1;
+            return { line, status: "created", id: record.id };
+          }
+
+          summary.failed += 1;
+          // Erros de leitura da linha são textos; erros do banco (schema, email repetido) são objetos.
+          return typeof error === "string"
+            ? { line, status: "failed", error }
+            : { line, status: "failed", error: error.message, errors: error.errors };
+        });
+
+        await writeChunk(res, report.map((result) => `${JSON.stringify(result)}\n`).join(""));
+      };
+
+      for await (const { line, value, error } of lines) {
+        const isObject = typeof value === "object" && value !== null && !Array.isArray(value);
+
+        if (error || isObject) {
+          batch.push({ line, value, error });
+        } else {
+          batch.push({ line, error: "Each line must be a JSON object." });
+        }
+
+        if (batch.length >= BULK_BATCH_SIZE) {
+          await flush();
+        }
+      }
+
+      await flush();
+
+      return res.end(`${JSON.stringify({ summary })}\n`);
+    },
+  },
+
+  /**
+   * Rota para importar usuários de um arquivo CSV.
+   *
+   * Método: POST
+   * Caminho: /users/import
+   *
+   * Corpo da requisição (`text/csv`, UTF-8): a primeira linha é o cabeçalho, com os nomes dos campos
+   * (`name`, `email`, `role`; maiúsculas e espaços nas pontas são ignorados). Colunas desconhecidas são
+   * ignoradas (inclusive `password`: como em `POST /users/bulk`, os usuários importados ficam sem senha) e células
+   * vazias usam o valor padrão do schema. Campos entre aspas podem conter vírgulas,
+   * quebras de linha e aspas duplicadas, e um BOM no início do arquivo é aceito.
+   *
+   * O corpo passa por um pipeline de streams, sem ser carregado inteiro em memória:
+   * `req` -> `CsvParseStream` -> `ValidateRecordStream` -> `DatabaseWriteStream` (lotes de 500).
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; veja `POST /auth/login`).
+   *
+   * Exemplo:
+   * POST /users/import
+   * Content-Type: text/csv
+   * Body:
+   * name,email
+   * "Silva, Ana",ana@example.com
+   * Bia,not-an-email
+   *
+   * Retorno:
+   * - Status 200: `{ id, total, imported, rejected, rejects }`. Se alguma linha foi rejeitada, `rejects` é o
+   *   caminho do relatório (`GET /users/imports/:id/rejects`); caso contrário, `null`.
+   * - Status 400: O arquivo não pôde ser lido até o fim (ex.: aspa sem fechamento). Os lotes já gravados
+   *   permanecem no banco.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O usuário autenticado não é administrador.
+   * - Status 415: O corpo não é CSV.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   */
+  {
+    method: "POST",
+    path: "/users/import",
+    permissions: ["admin"],
+    rateLimit: "write",
+    stream: true,
+    handler: async (req, res) => {
+      const mediaType = mediaTypeOf(req);
+
+      if (mediaType !== "text/csv") {
+        throw new UnsupportedMediaTypeError(`Expected text/csv, got ${mediaType ?? "no content type"}.`);
+      }
+
+      const parser = new CsvParseStream({ mapHeader: (header) => header.trim().toLowerCase() });
+      const validator = new ValidateRecordStream({ schema: users.schema });
+      const writer = new DatabaseWriteStream({
+        database,
+        table: "users",
+        prepare: (user) => ({ ...omitFields(user, users.hidden), id: randomUUID() }),
+      });
+
+      // Linhas recusadas na validação ou pelo banco (ex.: email repetido).
+      const rejects = [];
+      let rejected = 0;
+
+      const collect = (reject) => {
+        rejected += 1;
+
+        if (rejects.length < MAX_REJECTS_PER_IMPORT) {
+          rejects.push(reject);
+        }
+      };
+
+      validator.on("reject", collect);
+      writer.on("reject", collect);
+
+      try {
+        await pipeline(req, parser, validator, writer);
+      } catch (error) {
+        // A conexão caiu antes do fim do arquivo.
+        if (error.code === "ECONNRESET") {
+          throw new BadRequestError("The request body was not fully received.");
+        }
+
+        throw error;
+      }
+
+      const id = randomUUID();
+
+      if (rejected > 0) {
+        saveImportRejects(id, {
+          columns: ["line", "errors", ...(parser.headers ?? []).filter(Boolean)],
+          // A validação rejeita na hora e o banco, ao gravar o lote: a ordem é refeita pela linha.
+          rows: rejects
+            .sort((a, b) => a.line - b.line)
+            .map(({ line, record, errors }) => ({
+              ...record,
+              line,
+              errors: errors.map(({ message }) => message).join("; "),
+            })),
+        });
+      }
+
+      return res.end(
+        JSON.stringify({
+          id,
+          total: writer.inserted + rejected,
+          imported: writer.inserted,
+          rejected,
+          rejects: rejected > 0 ? `/users/imports/${id}/rejects` : null,
+        })
+      );
+    },
+  },
+
+  /**
+   * Rota para baixar as linhas rejeitadas de uma importação de CSV.
+   *
+   * Método: GET
+   * Caminho: /users/imports/:id/rejects
+   *
+   * Parâmetros de rota:
+   * - `id`: ID da importação, retornado por `POST /users/import`.
+   *
+   * O relatório é um CSV com as colunas `line` (linha no arquivo original), `errors` (motivos, separados por
+   * `; `) e as colunas do arquivo enviado, para que as linhas possam ser corrigidas e importadas novamente.
+   * Apenas os relatórios das 20 importações mais recentes ficam disponíveis, com até 10 mil linhas cada.
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; apenas administradores, como na importação).
+   *
+   * Retorno:
+   * - Status 200: O arquivo (`text/csv`), com `Content-Disposition: attachment`.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O usuário autenticado não é administrador.
+   * - Status 404: Importação desconhecida, sem linhas rejeitadas ou com o relatório já descartado.
+   */
+  {
+    method: "GET",
+    path: "/users/imports/:id(uuid)/rejects",
+    permissions: ["admin"],
+    handler: async (req, res) => {
+      const { id } = req.params;
+      const report = importRejects.get(id);
+
+      if (!report) {
+        throw new NotFoundError(`No rejects report for import ${id}.`);
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="users-import-${id}-rejects.csv"`,
+      });
+
+      try {
+        await pipeline(Readable.from(report.rows), new CsvStringifyStream({ columns: report.columns }), res);
+      } catch (error) {
+        // O cliente desconectou no meio do download.
+        if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          throw error;
+        }
+      }
+    },
+  },
+
+  /**
+   * Rota para buscar um único usuário.
+   *
+   * Método: GET
+   * Caminho: /users/:id
+   *
+   * Parâmetros de rota:
+   * - `id`: ID do usuário.
+   *
+   * Query params:
+   * - `fields`: (opcional) Campos retornados, separados por vírgula (`id,name`).
+   *
+   * Cabeçalhos:
+   * - `If-None-Match`: (opcional) ETag de uma cópia já obtida. Se o usuário não mudou, a resposta é 304 sem corpo.
+   *
+   * Exemplo:
+   * GET /users/1234?fields=id,name
+   *
+   * Retorno:
+   * - Status 200: O usuário, com o cabeçalho `ETag` (fraco, `W/"..."`, quando `fields` é informado).
+   * - Status 304: O usuário não mudou desde a versão informada em `If-None-Match`.
+   * - Status 404: Nenhum usuário com esse ID (ou o usuário foi excluído).
+   */
+  {
+    method: "GET",
+    path: "/users/:id",
+    handler: (req, res) => {
+      const { id } = req.params; // Obtém o ID do usuário da URL.
+      const { fields } = parsePaginationParams({ fields: req.query.fields });
+
+      const user = database.get("users", id);
+
+      if (!user) {
+        throw new NotFoundError(`User ${id} not found.`);
+      }
+
+      // Uma projeção não é idêntica ao usuário completo, então recebe um ETag fraco da mesma versão.
+      const entityTag = formatEntityTag(user.version, { weak: fields !== undefined });
 
-      return res.writeHead(201).end("User created successfully");
+      if (matchesEntityTag(req.headers["if-none-match"], entityTag)) {
+        return res.writeHead(304, { ETag: entityTag }).end();
+      }
+
+      return res
+        .writeHead(200, { ETag: entityTag })
+        .end(JSON.stringify(projectFields(publicUser(user), fields)));
     },
   },
 
@@ -105,31 +653,124 @@ export const routes = [
    * Parâmetros de rota:
    * - `id`: ID do usuário a ser atualizado.
    *
-   * Corpo da requisição (JSON):
-   * - `name`: Novo nome do usuário (opcional).
-   * - `email`: Novo email do usuário (opcional).
+   * Corpo da requisição (JSON), com o usuário completo (mesmas regras do `POST /users`):
+   * - `name`: Novo nome do usuário (obrigatório).
+   * - `email`: Novo email do usuário (obrigatório).
+   * - `password`: (opcional) Nova senha. Sem ela, a senha atual é mantida.
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; veja `POST /auth/login`).
+   * - `If-Match`: (opcional) ETag da versão lida pelo cliente. Se o usuário mudou desde então, nada é alterado.
    *
    * Exemplo:
    * PUT /users/1234
+   * If-Match: "3"
    * Body: { "name": "Jane Doe", "email": "jane@example.com" }
    *
    * Retorno:
-   * - Status 204: Dados atualizados com sucesso.
+   * - Status 200: O usuário atualizado, com o novo `ETag`.
+   * - Status 400: Dados inválidos; o corpo lista o erro de cada campo.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: Um usuário comum tentou alterar outro usuário ou o próprio `role`.
+   * - Status 404: Nenhum usuário com esse ID.
+   * - Status 409: O novo email já pertence a outro usuário.
+   * - Status 412: O `If-Match` não corresponde à versão atual do usuário.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
    */
   {
     method: "PUT",
-    path: buildRoutePath("/users/:id"),
-    handler: (req, res) => {
+    path: "/users/:id",
+    permissions: ["admin", "self"],
+    rateLimit: "write",
+    handler: async (req, res) => {
       const { id } = req.params; // Obtém o ID do usuário da URL.
-      const { name, email } = req.body; // Obtém os dados do corpo da requisição.
 
-      // Atualiza o registro do usuário no banco de dados.
-      database.update("users", id, {
-        name,
-        email,
-      });
+      assertJsonObject(req.body);
+
+      const data = await withPasswordHash(req.body);
+
+      // Atualiza o registro do usuário no banco de dados com os dados do corpo da requisição. O `PUT` substitui o
+      // usuário inteiro, então o hash atual é copiado quando nenhuma senha nova é enviada.
+      // Uma versão diferente da esperada lança `VersionConflictError`, respondido com 412.
+      const user = await database.update(
+        "users",
+        id,
+        (current) => assertWritableFields(req, current, { passwordHash: current.passwordHash, ...data }),
+        { expectedVersion: expectedVersion(req) }
+      );
+
+      if (!user) {
+        throw userNotFound(req, id);
+      }
+
+      return sendUser(res, user);
+    },
+  },
+
+  /**
+   * Rota para atualizar apenas alguns campos de um usuário.
+   *
+   * Método: PATCH
+   * Caminho: /users/:id
+   *
+   * Parâmetros de rota:
+   * - `id`: ID do usuário a ser atualizado.
+   *
+   * Corpo da requisição (`application/merge-patch+json` ou `application/json`): JSON Merge Patch (RFC 7396).
+   * - Campos enviados substituem os atuais; campos omitidos são mantidos.
+   * - Um campo com `null` é removido (e volta ao valor padrão do schema, se houver).
+   * - `password`: (opcional) Nova senha. Não pode ser `null`: a senha é trocada, nunca removida.
+   * O resultado passa pela mesma validação do `PUT`, e o cabeçalho `If-Match` funciona da mesma forma.
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; veja `POST /auth/login`).
+   *
+   * Exemplo:
+   * PATCH /users/1234
+   * Content-Type: application/merge-patch+json
+   * Body: { "name": "Jane Doe" }
+   *
+   * Retorno:
+   * - Status 200: O usuário atualizado, com o novo `ETag`.
+   * - Status 400: O corpo não é um objeto JSON ou o resultado não atende ao schema.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: Um usuário comum tentou alterar outro usuário ou o próprio `role`.
+   * - Status 404: Nenhum usuário com esse ID.
+   * - Status 409: O novo email já pertence a outro usuário.
+   * - Status 412: O `If-Match` não corresponde à versão atual do usuário.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   */
+  {
+    method: "PATCH",
+    path: "/users/:id",
+    permissions: ["admin", "self"],
+    rateLimit: "write",
+    handler: async (req, res) => {
+      const { id } = req.params; // Obtém o ID do usuário da URL.
+
+      // Um patch que não é objeto substituiria o usuário inteiro por um valor simples.
+      assertJsonObject(req.body);
+
+      // A nova senha (se houver) vira hash antes; o restante é o patch propriamente dito.
+      const { passwordHash, ...patch } = await withPasswordHash(req.body);
+
+      // O patch é aplicado sobre o registro atual dentro da própria atualização, sem brecha para outra escrita.
+      const user = await database.update(
+        "users",
+        id,
+        (current) =>
+          assertWritableFields(req, current, {
+            ...applyMergePatch(current, patch),
+            ...(passwordHash && { passwordHash }),
+          }),
+        { expectedVersion: expectedVersion(req) }
+      );
+
+      if (!user) {
+        throw userNotFound(req, id);
+      }
 
-      return res.writeHead(204).end("Data updated successfully");
+      return sendUser(res, user);
     },
   },
 
@@ -142,40 +783,446 @@ export const routes = [
    * Parâmetros de rota:
    * - `id`: ID do usuário a ser excluído.
    *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; veja `POST /auth/login`).
+   * - `If-Match`: (opcional) ETag da versão lida pelo cliente. Se o usuário mudou desde então, ele não é excluído.
+   *
    * Exemplo:
    * DELETE /users/1234
    *
    * Retorno:
    * - Status 204: Usuário excluído com sucesso.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O usuário autenticado não é administrador.
+   * - Status 404: Nenhum usuário com esse ID (ou o usuário já foi excluído).
+   * - Status 412: O `If-Match` não corresponde à versão atual do usuário.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
    */
   {
     method: "DELETE",
-    path: buildRoutePath("/users/:id"),
-    handler: (req, res) => {
+    path: "/users/:id",
+    permissions: ["admin"],
+    rateLimit: "write",
+    handler: async (req, res) => {
       const { id } = req.params; // Obtém o ID do usuário da URL.
 
       // Remove o registro do usuário no banco de dados.
-      database.delete("users", id);
+      const deleted = await database.delete("users", id, { expectedVersion: expectedVersion(req) });
+
+      if (!deleted) {
+        throw userNotFound(req, id);
+      }
+
+      return res.writeHead(204).end();
+    },
+  },
+
+  /**
+   * Rota para listar as revisões de um usuário.
+   *
+   * Método: GET
+   * Caminho: /users/:id/history
+   *
+   * Parâmetros de rota:
+   * - `id`: ID do usuário (inclusive de um usuário já excluído).
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório). Apenas administradores ou o próprio usuário.
+   *
+   * Exemplo:
+   * GET /users/1234/history
+   *
+   * Retorno:
+   * - Status 200: Lista de revisões `{ revision, operation, at, record }`, da mais antiga para a mais recente.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: Um usuário comum tentou ver o histórico de outro usuário.
+   * - Status 404: Nenhuma revisão encontrada para o ID.
+   */
+  {
+    method: "GET",
+    path: "/users/:id/history",
+    permissions: ["admin", "self"],
+    handler: (req, res) => {
+      const { id } = req.params; // Obtém o ID do usuário da URL.
+      const history = database.history("users", id);
+
+      if (history.length === 0) {
+        throw new NotFoundError(`User ${id} has no history.`);
+      }
 
-      return res.writeHead(204).end("User deleted successfully");
+      return res.end(JSON.stringify(history.map((entry) => ({ ...entry, record: publicUser(entry.record) }))));
+    },
+  },
+
+  /**
+   * Rota para restaurar um usuário excluído ou voltar a uma revisão anterior.
+   *
+   * Método: POST
+   * Caminho: /users/:id/restore
+   *
+   * Parâmetros de rota:
+   * - `id`: ID do usuário.
+   *
+   * Corpo da requisição (opcional):
+   * - `revision`: Número da revisão a ser restaurada. Sem ele, apenas desfaz a exclusão.
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; veja `POST /auth/login`).
+   *
+   * Exemplo:
+   * POST /users/1234/restore
+   * { "revision": 2 }
+   *
+   * Retorno:
+   * - Status 200: O usuário restaurado, com o novo `ETag`.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O usuário autenticado não é administrador.
+   * - Status 404: Usuário ou revisão não encontrados.
+   * - Status 409: A revisão repete o email de outro usuário.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   */
+  {
+    method: "POST",
+    path: "/users/:id/restore",
+    permissions: ["admin"],
+    rateLimit: "write",
+    handler: async (req, res) => {
+      const { id } = req.params; // Obtém o ID do usuário da URL.
+      const revision = req.body?.revision;
+
+      const user = await database.restore("users", id, { revision });
+
+      if (!user) {
+        throw new NotFoundError(`Nothing to restore for user ${id}.`);
+      }
+
+      return sendUser(res, user);
     },
   },
 ];
 
+// Roteador com todas as rotas da API, usado pelo servidor (e que pode ser montado sob um prefixo, como `/api/v1`).
+export const router = new Router(routes);
+
+/**
+ * @function mediaTypeOf
+ * Retorna o tipo de mídia do corpo da requisição, sem parâmetros e em minúsculas.
+ *
+ * @param {Object} req - Objeto da requisição HTTP.
+ * @returns {string|undefined} - Ex.: `"text/csv"` para `Content-Type: text/csv; charset=utf-8`.
+ */
+function mediaTypeOf(req) {
+  return req.headers["content-type"]?.split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * @function saveImportRejects
+ * Guarda o relatório de rejeitados de uma importação, descartando o mais antigo quando o limite é atingido.
+ *
+ * @param {string} id - ID da importação.
+ * @param {{ columns: Array<string>, rows: Array<object> }} report - Colunas e linhas do relatório.
+ */
+function saveImportRejects(id, report) {
+  importRejects.set(id, report);
+
+  // O `Map` mantém a ordem de inserção: a primeira chave é a mais antiga.
+  if (importRejects.size > MAX_IMPORT_REPORTS) {
+    importRejects.delete(importRejects.keys().next().value);
+  }
+}
+
+/**
+ * @function buildUsersQuery
+ * Monta a consulta de `GET /users` e `GET /users/export` a partir da query string.
+ *
+ * - `search`: Busca "contém" em nome ou email (case-insensitive).
+ * - `filter[...]`: Filtros exatos (veja `buildQueryFilter`).
+ *
+ * Cada condição informada entra em um `$and`: busca textual e filtros precisam ser atendidos juntos.
+ *
+ * Campos ocultos (`users.hidden`) não podem aparecer em `filter`, `sort` nem `fields`: mesmo sem o valor na
+ * resposta, um filtro como `filter[passwordHash][$regex]=^scrypt\$1` permitiria descobrir o hash aos poucos.
+ *
+ * @param {object} query - `req.query`.
+ * @returns {object|null} - Objeto de consulta para o `Database`, ou `null` se não houver condições.
+ * @throws {BadRequestError} - Se `search` for repetido na URL ou se a consulta usar um campo oculto.
+ * @throws {InvalidQueryError} - Se o filtro for inválido.
+ */
+function buildUsersQuery({ search, filter, sort, fields }) {
+  if (search !== undefined && typeof search !== "string") {
+    throw new BadRequestError('"search" must be a single value.');
+  }
+
+  const hidden = [...filterFields(filter), ...listFields(sort), ...listFields(fields)].find((field) =>
+    users.hidden.includes(field)
+  );
+
+  if (hidden) {
+    throw new BadRequestError(`The field "${hidden}" cannot be used in queries.`);
+  }
+
+  const conditions = [];
+
+  if (search) {
+    // O texto é escapado para não ser interpretado como regex. Como o padrão é montado aqui (e não recebido
+    // pronto), vai como `RegExp`, sem os limites de tamanho dos padrões de `filter[campo][$regex]`.
+    const pattern = new RegExp(escapeRegExp(search), "i");
+
+    conditions.push({ $or: [{ name: { $regex: pattern } }, { email: { $regex: pattern } }] });
+  }
+
+  const queryFilter = buildQueryFilter(filter);
+
+  if (queryFilter) {
+    conditions.push(queryFilter);
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : null;
+}
+
+/**
+ * @function filterFields
+ * Lista os campos usados em um `filter[...]` da query string, inclusive dentro de `$and`/`$or` e em caminhos
+ * com ponto (`address.city` conta como `address`).
+ *
+ * @param {*} filter - `req.query.filter`.
+ * @returns {Array<string>}
+ *
+ * @example
+ * filterFields({ name: { $eq: "Ana" }, $or: { 0: { email: "a@b.c" } } }); // ["name", "email"]
+ */
+function filterFields(filter) {
+  if (typeof filter !== "object" || filter === null) {
+    return [];
+  }
+
+  return Object.entries(filter).flatMap(([key, value]) =>
+    // Operadores (`$or`) e índices de listas (`0`) não são campos: os campos estão dentro deles.
+    key.startsWith("$") || /^\d+$/.test(key) ? filterFields(value) : [key.split(".")[0]]
+  );
+}
+
+/**
+ * @function listFields
+ * Lista os campos de um parâmetro separado por vírgulas, como `sort` (`name,-email`) ou `fields` (`id,name`).
+ *
+ * @param {string|Array<string>} [value] - Valor do parâmetro (um array se ele foi repetido na URL).
+ * @returns {Array<string>}
+ */
+function listFields(value) {
+  if (value === undefined) {
+    return [];
+  }
+
+  return [value]
+    .flat()
+    .join(",")
+    .split(",")
+    .map((field) => field.trim().replace(/^-/, "").split(".")[0]);
+}
+
+/**
+ * @function writeChunk
+ * Escreve na resposta respeitando o backpressure: se o buffer de saída estiver cheio, espera o cliente
+ * consumir os dados (`drain`) antes de continuar. Também continua se a conexão for fechada.
+ *
+ * @param {Object} res - Objeto da resposta HTTP.
+ * @param {string} chunk - Dados a serem enviados.
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+/**
+ * @function sendUser
+ * Responde com um usuário em JSON e o seu `ETag`, que o cliente pode reenviar em `If-Match`.
+ *
+ * @param {Object} res - Objeto da resposta HTTP.
+ * @param {object} user - Usuário gravado.
+ * @param {object} [options] - Opções da resposta.
+ * @param {number} [options.status=200] - Status HTTP.
+ * @param {object} [options.headers] - Cabeçalhos extras (ex.: `Location`).
+ */
+function sendUser(res, user, { status = 200, headers = {} } = {}) {
+  return res
+    .writeHead(status, { ...headers, ETag: formatEntityTag(user.version) })
+    .end(JSON.stringify(publicUser(user)));
+}
+
+/**
+ * @function publicUser
+ * Remove do usuário os campos que nunca saem da API (`users.hidden`, como `passwordHash`).
+ *
+ * @param {object} [user] - Usuário gravado.
+ * @returns {object|undefined}
+ */
+function publicUser(user) {
+  return omitFields(user, users.hidden);
+}
+
+/**
+ * @function withPasswordHash
+ * Prepara os dados de um usuário enviados pelo cliente: descarta os campos ocultos (o cliente não pode gravar
+ * um `passwordHash` diretamente) e troca o campo `password` pelo hash da senha.
+ *
+ * @param {object} body - Corpo da requisição.
+ * @param {object} [options] - Opções.
+ * @param {boolean} [options.required=false] - Exige a senha (cadastro).
+ * @returns {Promise<object>} - Os dados sem `password`, com `passwordHash` se uma senha foi enviada.
+ * @throws {ValidationError} - Se a senha estiver ausente (quando exigida) ou fora das regras.
+ */
+async function withPasswordHash(body, { required = false } = {}) {
+  const { password, ...data } = omitFields(body, users.hidden);
+
+  if (password === undefined && !required) {
+    return data;
+  }
+
+  // Uma senha enviada como `null` ou vazia também é recusada, em vez de ser ignorada.
+  const { errors } = validateSchema({ password: { ...users.passwordRules, required: true } }, { password });
+
+  if (errors.length > 0) {
+    throw new ValidationError("users", errors);
+  }
+
+  return { ...data, passwordHash: await hashPassword(password) };
+}
+
+/**
+ * @function assertWritableFields
+ * Confere as regras de escrita por campo (`users.writeRules`) para o usuário autenticado.
+ *
+ * @param {Object} req - Objeto da requisição HTTP (`req.user` pode ser `null` no cadastro).
+ * @param {object} [before] - Usuário atual, ou `undefined` no cadastro.
+ * @param {object} after - Dados que serão gravados.
+ * @returns {object} - `after`, para uso direto dentro da função de atualização do `Database`.
+ * @throws {ForbiddenError} - Se a escrita alterar um campo que o papel do usuário não pode alterar.
+ */
+function assertWritableFields(req, before, after) {
+  const fields = forbiddenFields(users, req.user?.role, before, after);
+
+  if (fields.length > 0) {
+    throw new ForbiddenError(`You are not allowed to change: ${fields.join(", ")}.`, { extensions: { fields } });
+  }
+
+  return after;
+}
+
+/**
+ * @function assertJsonObject
+ * Garante que o corpo da requisição é um objeto JSON (e não um valor simples ou um array).
+ *
+ * @param {*} body - `req.body`.
+ * @throws {BadRequestError}
+ */
+function assertJsonObject(body) {
+  if (typeof body !== "object" || body === null || Array.isArray(body)) {
+    throw new BadRequestError("The request body must be a JSON object.");
+  }
+}
+
+/**
+ * @function expectedVersion
+ * Converte o cabeçalho `If-Match` nas versões aceitas pela escrita (`expectedVersion` do `Database`).
+ *
+ * - Sem cabeçalho ou com `*`: `undefined` (qualquer versão serve).
+ * - Com ETags: as versões dos ETags fortes. ETags fracos nunca atendem ao `If-Match` (comparação forte),
+ *   então uma lista só com eles resulta em `[]` e a escrita é recusada com 412.
+ *
+ * @param {Object} req - Objeto da requisição HTTP.
+ * @returns {Array<number>|undefined}
+ */
+function expectedVersion(req) {
+  const tags = parseEntityTags(req.headers["if-match"]);
+
+  if (tags === undefined || tags === "*") {
+    return undefined;
+  }
+
+  return tags
+    .filter(({ weak }) => !weak)
+    .map(({ tag }) => Number(tag))
+    .filter(Number.isInteger);
+}
+
+/**
+ * @function userNotFound
+ * Erro para uma escrita em um usuário que não existe. Com `If-Match`, a condição também falhou
+ * (não há versão atual para comparar), então a resposta é 412 em vez de 404.
+ *
+ * @param {Object} req - Objeto da requisição HTTP.
+ * @param {string} id - ID do usuário.
+ * @returns {HttpError}
+ */
+function userNotFound(req, id) {
+  return req.headers["if-match"] === undefined
+    ? new NotFoundError(`User ${id} not found.`)
+    : new PreconditionFailedError(`User ${id} does not exist, so "If-Match" cannot be satisfied.`);
+}
+
+/**
+ * @function escapeRegExp
+ * Escapa os caracteres especiais de expressões regulares para que o texto seja buscado literalmente.
+ *
+ * @param {string} text - Texto digitado pelo cliente.
+ * @returns {string} - Texto seguro para ser usado dentro de uma RegExp.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 /**
  * Explicação geral:
  *
  * Este código implementa uma API REST com operações básicas de CRUD para gerenciar usuários.
  *
- * - `GET /users`: Retorna a lista de usuários, com suporte a busca por nome ou email.
- * - `POST /users`: Cria um novo usuário, exigindo `name` e `email`.
- * - `PUT /users/:id`: Atualiza o nome e/ou email de um usuário existente.
- * - `DELETE /users/:id`: Exclui um usuário com base no ID.
+ * - `GET /users`: Retorna a lista paginada de usuários, com busca por nome ou email, filtros exatos (`filter[...]`),
+ *   ordenação (`sort`) e escolha de campos (`fields`).
+ * - `GET /users/events`: Envia as alterações de usuários em tempo real (Server-Sent Events).
+ * - `GET /users/export`: Exporta os usuários em CSV, NDJSON ou JSON, em stream, com os mesmos filtros de `GET /users`.
+ * - `POST /users`: Cria um novo usuário, validado pelo schema da tabela (`name` e `email` obrigatórios).
+ * - `POST /users/bulk`: Importa vários usuários de um corpo NDJSON, lido em stream e gravado em lotes.
+ * - `POST /users/import`: Importa usuários de um CSV; as linhas rejeitadas ficam em `GET /users/imports/:id/rejects`.
+ * - `GET /users/:id`: Retorna um único usuário.
+ * - `PUT /users/:id`: Substitui o nome e o email de um usuário existente (mesma validação do POST).
+ * - `PATCH /users/:id`: Altera apenas os campos enviados (JSON Merge Patch).
+ * - `DELETE /users/:id`: Exclui um usuário com base no ID (soft delete: o registro pode ser restaurado).
+ * - As rotas com `:id` respondem 404 quando o usuário não existe.
+ * - Cada usuário tem uma versão, exposta no cabeçalho `ETag`: `If-None-Match` evita baixar de novo um usuário
+ *   que não mudou (304) e `If-Match` impede que um cliente sobrescreva a alteração de outro (412).
+ * - `GET /users/:id/history`: Lista as revisões de um usuário.
+ * - `POST /users/:id/restore`: Restaura um usuário excluído ou uma revisão anterior.
+ * - As rotas que alteram usuários (exceto o cadastro, `POST /users`) e o histórico exigem um token de acesso
+ *   (`Authorization: Bearer ...`, obtido em `POST /auth/login`); sem ele, respondem 401.
+ * - O campo `permissions` de cada rota diz quem pode usá-la: `["admin"]` (importações, exclusão e restauração) ou
+ *   `["admin", "self"]` (um usuário comum só altera e só vê o histórico do próprio registro). O `role` só é
+ *   alterado por administradores (`users.writeRules`). Qualquer recusa responde 403 no mesmo formato.
+ * - As rotas de escrita usam a política `rateLimit: "write"`, mais restrita que a das leituras: um script que chama
+ *   `POST /users` sem parar recebe 429 em vez de reescrever o `db.json` a cada requisição.
+ * - A senha é recebida em `password` e gravada apenas como hash (`passwordHash`), que nunca aparece nas respostas,
+ *   nas exportações, nos eventos nem no histórico.
  *
  * A implementação utiliza:
- * - Persistência de dados no arquivo `db.json` com a classe `Database`.
+ * - Persistência de dados no arquivo `db.json` com a classe `Database` (instância criada em `db.js`).
  * - Geração de IDs únicos com `randomUUID`.
- * - Roteamento dinâmico com a função `buildRoutePath`.
+ * - Roteamento dinâmico com a classe `Router` (405, `HEAD` e `OPTIONS` automáticos).
+
+ * - Erros no formato `application/problem+json` (RFC 9457): as rotas lançam `HttpError` ou deixam os erros do banco
+ *   subirem, e o `errorHandler` monta a resposta.
  *
  * Este código é ideal para estudos ou prototipagem de APIs REST.
  */
@@ -3,51 +3,85 @@
 
 // Importações:
 // - `http`: Módulo nativo para criar e gerenciar servidores HTTP.
-// - `json`: Middleware para lidar com requisições JSON.
-// - `routes`: Conjunto de rotas definidas na aplicação.
-// - `extractQueryParams`: Função para extrair parâmetros da query string.
+// - `json`: Middleware que define JSON como formato padrão das respostas.
+// - `authConfig` e `authenticate`: Identificam o usuário pelo token de acesso e o expõem em `req.user`.
+// - `rateLimit`: Limita as requisições de cada cliente (usuário ou IP) conforme a política da rota e responde 429.
+// - `authorize`: Confere o campo `permissions` de cada rota (papéis aceitos) e responde 403 quando não há permissão.
+// - `bodyParser`: Middleware que lê o corpo das requisições (JSON, formulário ou texto), com limites de tamanho e tempo.
+// - `errorHandler`: Middleware que responde 500 para erros não tratados.
+// - `Router`: Classe que monta o pipeline de middlewares e rotas.
+// - `router`: Roteador com as rotas definidas na aplicação.
+// - `uploadRouter`: Roteador com as rotas de upload de arquivos, montado em `/uploads`.
+// - `authRouter`: Roteador com as rotas de login e renovação de tokens, montado em `/auth`.
+// - `database`, `users` e `omitFields`: Carregam o usuário de cada token, sem os campos ocultos (`passwordHash`).
 import http from "node:http";
 
+import { authConfig } from "./auth-config.js";
+import { authRouter } from "./auth-routes.js";
+import { database } from "./db.js";
+import { authenticate } from "./middlewares/authenticate.js";
+import { authorize } from "./middlewares/authorize.js";
+import { bodyParser } from "./middlewares/body-parser.js";
+import { errorHandler } from "./middlewares/error-handler.js";
 import { json } from "./middlewares/json.js";
-import { routes } from "./routes.js";
-import { extractQueryParams } from "./utils/extract-query-params.js";
+import { rateLimit } from "./middlewares/rate-limit.js";
+import { Router } from "./router.js";
+import { router } from "./routes.js";
+import { users } from "./tables/users.js";
+import { uploadRouter } from "./upload-routes.js";
+import { omitFields } from "./utils/omit-fields.js";
 
-// Criação do servidor HTTP.
-const server = http.createServer(async (req, res) => {
-  // Extração do método e da URL da requisição.
-  const { method, url } = req;
-
-  // Middleware `json`: Processa o corpo da requisição e o adiciona como `req.body`.
-  await json(req, res);
-
-  // Encontra a rota correspondente com base no método HTTP e no caminho da URL.
-  const route = routes.find((r) => {
-    return r.method === method && r.path.test(url); // Testa a URL contra o padrão da rota (expressão regular).
-  });
-
-  if (route) {
-    // Extrai os parâmetros de rota com base no padrão definido em `routes`.
-    const routeParams = req.url.match(route.path);
+// Limite de requisições por cliente (usuário ou IP, sem token): leituras (`default`), escritas (`write`) e login
+// (`auth`). Os tokens recusados pelo `authenticate` também contam na política `auth` do IP, para que testar tokens
+// em sequência esbarre no mesmo limite que testar senhas.
+const limiter = rateLimit({
+  policies: {
+    default: { limit: 600, window: 60 },
+    write: { limit: 60, window: 60 },
+    auth: { limit: 10, window: 60 },
+  },
+});
 
-    // Separa os parâmetros de rota e a query string.
-    const { query, ...params } = routeParams.groups;
+// Pipeline da aplicação: o corpo é lido antes das rotas e os erros não tratados viram respostas 500.
+// As rotas com `stream: true` (ex.: `PATCH /uploads/:id`) leem o corpo por conta própria, sem o limite de 1 MB.
+// A autenticação, o limite de requisições e a autorização vêm antes do corpo: uma requisição sem token, acima
+// do limite ou sem permissão é recusada antes de o corpo ser lido. O limite vem logo depois da autenticação, para
+// contar as requisições de cada usuário.
+const app = new Router()
+  .use(json)
+  .use(
+    authenticate({
+      secret: authConfig.secret,
+      loadUser: (id) => omitFields(database.get("users", id), users.hidden),
+      onFailure: (req, res) => limiter.consume(req, res, "auth"),
+    })
+  )
+  .use(limiter)
+  .use(authorize)
+  .use(bodyParser({ limit: 1024 * 1024, timeout: 10_000 }))
+  .mount("/", router)
+  .mount("/uploads", uploadRouter)
+  .mount("/auth", authRouter)
+  .use(errorHandler);
 
-    // Adiciona os parâmetros de rota (`req.params`) e query (`req.query`) ao objeto da requisição.
-    req.params = params;
-    req.query = query ? extractQueryParams(query) : {};
+// Criação do servidor HTTP.
+// O roteador encontra a rota pelo caminho e pelo método, executa os middlewares e o handler,
+// e também responde 404, 405, `HEAD` e `OPTIONS`.
+const server = http.createServer((req, res) => app.handle(req, res));
 
-    // Executa o handler da rota correspondente, passando `req` e `res`.
-    return route.handler(req, res);
+// Faz o servidor escutar na porta 3333 depois que o banco carrega (e migra) os dados. Se o `db.json` não puder ser
+// usado (ex.: dois registros com o mesmo valor em um índice único), o processo termina com o erro.
+database.ready.then(
+  () => {
+    server.listen(3333, () => {
+      console.log("Server is running on port 3333");
+    });
+  },
+  (error) => {
+    console.error(`Could not load the database: ${error.message}`);
+    process.exitCode = 1;
   }
-
-  // Retorna uma resposta 404 se nenhuma rota correspondente for encontrada.
-  return res.writeHead(404).end("Not Found");
-});
-
-// Faz o servidor escutar na porta 3333.
-server.listen(3333, () => {
-  console.log("Server is running on port 3333");
-});
+);
 
 /**
  * Explicação detalhada:
@@ -55,34 +89,51 @@ server.listen(3333, () => {
  * 1. **Criação do Servidor:**
  *    O servidor é criado usando `http.createServer`, que fornece os objetos `req` (requisição) e `res` (resposta).
  *
- * 2. **Middleware JSON:**
- *    O middleware `json` é chamado para processar o corpo da requisição e convertê-lo em um objeto JavaScript
- *    acessível por meio de `req.body`. Isso é essencial para rotas que lidam com dados enviados via POST ou PUT.
+ * 2. **Middlewares:**
+ *    O middleware `bodyParser` é registrado com `use` e processa o corpo da requisição de acordo com o `Content-Type`,
+ *    convertendo-o em um objeto JavaScript acessível por meio de `req.body`. Isso é essencial para rotas que lidam
+ *    com dados enviados via POST ou PUT. Corpos grandes demais (413), lentos demais (408), de tipos não aceitos (415)
+ *    ou com JSON inválido (400) são recusados antes de chegar à rota.
+ *    O `errorHandler`, registrado por último, transforma exceções das rotas em respostas 500.
  *
  * 3. **Resolução de Rotas:**
- *    - A variável `routes` contém todas as rotas disponíveis na aplicação.
+ *    - O `router` (veja `router.js`) contém todas as rotas disponíveis na aplicação.
  *    - O método e o caminho da URL da requisição são comparados com cada rota.
  *    - Se uma rota correspondente é encontrada, os parâmetros de rota e query string são extraídos e adicionados ao objeto da requisição.
+ *    - Se o caminho existe, mas não para o método, a resposta é 405 com o cabeçalho `Allow`.
  *
  * 4. **Execução do Handler:**
  *    O `handler` da rota é executado, sendo responsável por processar a requisição e retornar a resposta apropriada.
  *
  * 5. **Resposta 404:**
- *    Caso nenhuma rota correspondente seja encontrada, o servidor retorna o status 404 com a mensagem "Not Found".
+ *    Caso nenhuma rota correspondente seja encontrada, o roteador retorna o status 404 com a mensagem "Not Found".
  *
  * 6. **Início do Servidor:**
  *    O servidor é configurado para escutar na porta 3333. Quando iniciado, exibe a mensagem "Server is running on port 3333" no console.
+ *    Ele só começa a escutar depois que o banco carrega e migra o `db.json`; se isso falhar (ex.: um email repetido
+ *    que viola o índice único), o erro é exibido e o processo termina, em vez de responder 500 a toda requisição.
  *
  * **Fluxo Resumido:**
  * - Uma requisição é recebida pelo servidor.
- * - O corpo da requisição é processado pelo middleware `json`.
+ * - O corpo da requisição é processado pelo middleware `bodyParser`.
  * - A URL e o método HTTP são comparados com as rotas definidas.
  * - Parâmetros de rota e query string são extraídos, e o handler da rota correspondente é executado.
- * - Se nenhuma rota for encontrada, é retornada uma resposta 404.
+ * - Se nenhuma rota for encontrada, é retornada uma resposta 404 (ou 405, se o caminho existir para outro método).
+
+ * - Se o handler lançar um erro, o `errorHandler` responde 500 e o servidor continua no ar.
  *
  * **Estrutura do Projeto:**
- * - `middlewares/json.js`: Middleware para lidar com JSON.
+ * - `middlewares/json.js`: Middleware que define JSON como formato das respostas.
+ * - `middlewares/authenticate.js`: Middleware que identifica o usuário pelo token de acesso (`req.user`).
+ * - `middlewares/rate-limit.js`: Middleware que limita as requisições de cada cliente por rota (429).
+ * - `middlewares/authorize.js`: Middleware que confere as permissões declaradas em cada rota (403).
+ * - `middlewares/body-parser.js`: Middleware que lê o corpo das requisições.
+ * - `middlewares/error-handler.js`: Middleware de erro padrão (500).
+ * - `router.js`: Classe `Router`, que encontra a rota de cada requisição.
  * - `routes.js`: Define as rotas da aplicação.
+ * - `upload-routes.js`: Define as rotas de upload (`/uploads`), gravadas em disco no diretório `uploads/`.
+ * - `auth-routes.js`: Define as rotas de autenticação (`/auth`): login, renovação e logout.
+ * - `db.js`: Instância do banco de dados, compartilhada pelas rotas e gravada em `db.json`.
  * - `utils/extract-query-params.js`: Função utilitária para manipular query strings.
  *
  * Este código é ideal para estudos e para entender os conceitos básicos de criação de servidores HTTP com Node.js.
@@ -0,0 +1,252 @@
+// Este arquivo define a `CsvParseStream`, uma Transform Stream que converte um fluxo de bytes em CSV (RFC 4180)
+// em objetos JavaScript, um por registro, usando a primeira linha como cabeçalho. É a primeira etapa da
+// importação de `POST /users/import`: CSV -> validação -> gravação no banco.
+
+import { Transform } from "node:stream";
+import { StringDecoder } from "node:string_decoder";
+import { CsvParseError } from "../errors/csv-parse-error.js";
+
+// Estados do leitor, caractere a caractere.
+const FIELD_START = 0; // Início de um campo: ainda não se sabe se ele tem aspas.
+const UNQUOTED = 1; // Dentro de um campo sem aspas.
+const QUOTED = 2; // Dentro de um campo entre aspas: vírgulas e quebras de linha fazem parte do valor.
+const QUOTE_IN_QUOTED = 3; // Logo depois de uma aspa dentro de um campo entre aspas (fim do campo ou `""`).
+
+/**
+ * @class CsvParseStream
+ * Recebe bytes (ex.: o corpo de uma requisição ou um arquivo) e emite um objeto por registro:
+ *
+ * - `{ line, record }`: O registro, com as chaves do cabeçalho (ex.: `{ name: "Ana", email: "..." }`).
+ * - `{ line, record, error }`: O registro tem uma quantidade de campos diferente do cabeçalho ou uma aspa
+ *   que não foi fechada. `record` traz o que foi possível ler, para o relatório de rejeitados.
+ *
+ * `line` é a linha do arquivo onde o registro começa (o cabeçalho é a linha 1).
+ *
+ * Suporta:
+ * - Campos entre aspas, com vírgulas, quebras de linha e aspas duplicadas (`"Silva, Ana"`, `"diz ""oi"""`).
+ * - Quebras de linha `\n` e `\r\n`.
+ * - BOM (`\uFEFF`) no início do arquivo, comum em arquivos exportados por planilhas.
+ * - Linhas em branco, que são ignoradas.
+ *
+ * Depois de ler o cabeçalho, a stream emite o evento `headers` com os nomes das colunas (já mapeados).
+ *
+ * @example
+ * import { pipeline } from "node:stream/promises";
+ *
+ * const parser = new CsvParseStream({ mapHeader: (header) => header.trim().toLowerCase() });
+ *
+ * await pipeline(fs.createReadStream("users.csv"), parser, async function* (entries) {
+ *   for await (const { line, record, error } of entries) {
+ *     console.log(line, error ?? record);
+ *   }
+ * });
+ */
+export class CsvParseStream extends Transform {
+  // Decodifica UTF-8 sem quebrar caracteres que chegam divididos entre dois chunks.
+  #decoder = new StringDecoder("utf8");
+
+  #delimiter;
+  #mapHeader;
+  #maxRecordLength;
+
+  // Nomes das colunas, definidos pela primeira linha. `null` até o cabeçalho ser lido.
+  #headers = null;
+
+  #state = FIELD_START;
+  #field = "";
+  #fields = [];
+
+  // Linha atual do arquivo e linha onde o registro atual começou.
+  #line = 1;
+  #recordLine = 1;
+  #recordLength = 0;
+
+  // Indica que o início do arquivo já foi lido (para remover o BOM só uma vez).
+  #started = false;
+
+  /**
+   * @param {object} [options] - Opções da stream.
+   * @param {string} [options.delimiter=","] - Separador de campos (um caractere).
+   * @param {Function} [options.mapHeader] - Converte cada nome do cabeçalho: `(header, index) => string|null`.
+   * Retornar `null` ignora a coluna. Padrão: remove os espaços das pontas.
+   * @param {number} [options.maxRecordLength=65536] - Tamanho máximo de um registro, em caracteres. Acima disso,
+   * a stream falha com `CsvParseError` (normalmente, uma aspa que nunca foi fechada).
+   */
+  constructor({
+    delimiter = ",",
+    mapHeader = (header) => header.trim(),
+    maxRecordLength = 64 * 1024,
+    ...options
+  } = {}) {
+    // O lado de escrita recebe bytes; o de leitura emite objetos.
+    super({ ...options, readableObjectMode: true });
+    this.#delimiter = delimiter;
+    this.#mapHeader = mapHeader;
+    this.#maxRecordLength = maxRecordLength;
+  }
+
+  /**
+   * Nomes das colunas lidos do cabeçalho (`null` antes da primeira linha).
+   *
+   * @returns {Array<string|null>|null}
+   */
+  get headers() {
+    return this.#headers;
+  }
+
+  _transform(chunk, encoding, callback) {
+    let text = this.#decoder.write(chunk);
+
+    if (!this.#started && text) {
+      this.#started = true;
+      text = text.replace(/^\uFEFF/, "");
+    }
+
+    try {
+      this.#consume(text);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.#consume(this.#decoder.end());
+
+      if (this.#state === QUOTED) {
+        this.#endRecord("Quoted field is not closed.");
+      } else if (this.#state !== FIELD_START || this.#fields.length > 0) {
+        this.#endRecord();
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Lê o texto caractere a caractere, montando os campos e os registros.
+   */
+  #consume(text) {
+    for (const char of text) {
+      if (++this.#recordLength > this.#maxRecordLength) {
+        throw new CsvParseError(
+          `Record starting at line ${this.#recordLine} is longer than ${this.#maxRecordLength} characters ` +
+            "(is a quote missing?).",
+          this.#recordLine
+        );
+      }
+
+      switch (this.#state) {
+        case QUOTED:
+          if (char === '"') {
+            this.#state = QUOTE_IN_QUOTED;
+          } else {
+            this.#field += char;
+
+            if (char === "\n") {
+              this.#line += 1;
+            }
+          }
+          break;
+
+        case QUOTE_IN_QUOTED:
+          if (char === '"') {
+            // `""` dentro das aspas representa uma aspa literal.
+            this.#field += char;
+            this.#state = QUOTED;
+          } else {
+            this.#readOutsideQuotes(char);
+          }
+          break;
+
+        default:
+          if (char === '"' && this.#state === FIELD_START) {
+            this.#state = QUOTED;
+          } else {
+            this.#readOutsideQuotes(char);
+          }
+      }
+    }
+  }
+
+  /**
+   * Trata um caractere fora das aspas: separador, quebra de linha ou parte do valor.
+   * Texto depois de uma aspa de fechamento (`"ab"c`) é mantido no valor, em vez de rejeitar o registro.
+   */
+  #readOutsideQuotes(char) {
+    if (char === this.#delimiter) {
+      this.#endField();
+    } else if (char === "\n") {
+      this.#line += 1;
+      this.#endRecord();
+    } else if (char !== "\r") {
+      this.#field += char;
+      this.#state = UNQUOTED;
+    }
+  }
+
+  #endField() {
+    this.#fields.push(this.#field);
+    this.#field = "";
+    this.#state = FIELD_START;
+  }
+
+  /**
+   * Fecha o registro atual: a primeira linha vira o cabeçalho; as demais são emitidas como objetos.
+   *
+   * @param {string} [error] - Problema encontrado no registro, se houver.
+   */
+  #endRecord(error) {
+    this.#endField();
+
+    const fields = this.#fields;
+    const line = this.#recordLine;
+
+    this.#fields = [];
+    this.#recordLine = this.#line;
+    this.#recordLength = 0;
+
+    // Linha em branco.
+    if (fields.length === 1 && fields[0] === "" && !error) {
+      return;
+    }
+
+    if (!this.#headers) {
+      this.#headers = fields.map((header, index) => this.#mapHeader(header, index));
+      this.emit("headers", this.#headers);
+      return;
+    }
+
+    const record = {};
+
+    for (const [index, header] of this.#headers.entries()) {
+      if (header !== null && index < fields.length) {
+        record[header] = fields[index];
+      }
+    }
+
+    if (!error && fields.length !== this.#headers.length) {
+      error = `Expected ${this.#headers.length} fields, found ${fields.length}.`;
+    }
+
+    this.push(error ? { line, record, error } : { line, record });
+  }
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Por que não `split(",")`?** Em CSV, uma vírgula ou uma quebra de linha dentro de aspas faz parte do valor:
+ *    `"Silva, Ana"` é um único campo, e um endereço entre aspas pode ocupar várias linhas. Por isso o texto é lido
+ *    caractere a caractere, lembrando se estamos dentro de aspas (os estados no topo do arquivo).
+ *
+ * 2. **Chunks**: Um registro pode começar em um chunk e terminar no seguinte, até no meio de um campo entre aspas.
+ *    Como o estado (campo atual, campos do registro, aspas abertas) fica guardado na instância, cada chunk
+ *    continua exatamente de onde o anterior parou.
+ *
+ * 3. **Memória**: Só o registro atual fica em memória. O limite `maxRecordLength` impede que um arquivo com uma
+ *    aspa sem fechamento faça a stream acumular o arquivo inteiro em um único campo.
+ */
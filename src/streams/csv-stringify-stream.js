@@ -0,0 +1,80 @@
+// Este arquivo define a `CsvStringifyStream`, uma Transform Stream que converte objetos em linhas CSV (RFC 4180).
+// É usada por `GET /users/export?format=csv` para gerar o arquivo aos poucos, um registro por vez.
+
+import { Transform } from "node:stream";
+
+// Valores que precisam de aspas: contêm separador, aspas ou quebra de linha, ou começam/terminam com espaço.
+const needsQuotesRegex = /[",\r\n]|^\s|\s$/;
+
+/**
+ * @class CsvStringifyStream
+ * Recebe objetos (`objectMode`) e emite texto CSV: uma linha de cabeçalho e uma linha por objeto.
+ *
+ * - As colunas seguem a ordem de `columns`; campos ausentes ficam vazios e campos extras são ignorados.
+ * - Valores com vírgula, aspas ou quebra de linha vão entre aspas, com as aspas internas duplicadas (`""`).
+ * - `null` e `undefined` viram células vazias; objetos e arrays são gravados como JSON.
+ * - As linhas terminam com `\r\n`, como pede a RFC 4180.
+ *
+ * @example
+ * Readable.from([{ id: 1, name: 'Ana "Bia"' }])
+ *   .pipe(new CsvStringifyStream({ columns: ["id", "name"] }))
+ *   .pipe(process.stdout);
+ * // id,name
+ * // 1,"Ana ""Bia"""
+ */
+export class CsvStringifyStream extends Transform {
+  #columns;
+
+  /**
+   * @param {object} options - Opções da stream.
+   * @param {Array<string>} options.columns - Colunas do arquivo, na ordem desejada. O cabeçalho usa esses nomes.
+   */
+  constructor({ columns, ...options }) {
+    // O lado de escrita recebe objetos; o de leitura emite texto.
+    super({ ...options, writableObjectMode: true });
+    this.#columns = columns;
+
+    // O cabeçalho sai mesmo que nenhum registro seja exportado.
+    this.push(formatRow(columns));
+  }
+
+  _transform(record, encoding, callback) {
+    callback(null, formatRow(this.#columns.map((column) => record[column])));
+  }
+}
+
+/**
+ * Monta uma linha CSV a partir dos valores das células.
+ */
+function formatRow(values) {
+  return `${values.map(formatCell).join(",")}\r\n`;
+}
+
+/**
+ * Converte um valor em uma célula CSV, com aspas quando necessário.
+ *
+ * @example
+ * formatCell("a,b"); // '"a,b"'
+ * formatCell('say "hi"'); // '"say ""hi"""'
+ * formatCell(null); // ""
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+
+  return needsQuotesRegex.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Aspas**: No CSV, a vírgula separa as células e a quebra de linha separa os registros. Um valor que contém
+ *    um desses caracteres precisa ficar entre aspas, e uma aspa dentro dele é escrita duas vezes. Sem isso, um nome
+ *    como `Silva, Ana` viraria duas colunas ao abrir o arquivo em uma planilha.
+ *
+ * 2. **Colunas fixas**: O cabeçalho é escrito antes do primeiro registro, então as colunas precisam ser conhecidas
+ *    de antemão. Todas as linhas têm a mesma quantidade de células, mesmo quando um registro não tem algum campo.
+ */
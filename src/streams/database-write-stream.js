@@ -0,0 +1,106 @@
+// Este arquivo define a `DatabaseWriteStream`, uma Writable Stream que grava registros em uma tabela do
+// `Database` em lotes, com uma gravação em disco por lote. É a última etapa da importação de `POST /users/import`.
+
+import { Writable } from "node:stream";
+
+/**
+ * @class DatabaseWriteStream
+ * Recebe objetos `{ line, record }` (`objectMode`) e os insere com `Database#insertMany`.
+ *
+ * - Os registros são acumulados até `batchSize` e inseridos de uma vez. Enquanto um lote é gravado, a stream
+ *   não aceita novos registros, e o backpressure pausa as etapas anteriores (e a leitura da requisição).
+ * - Um registro recusado pelo banco (ex.: email repetido) é emitido no evento `reject` como
+ *   `{ line, record, errors }`; os demais registros do lote são gravados normalmente.
+ * - `inserted` conta os registros gravados.
+ *
+ * @example
+ * const writer = new DatabaseWriteStream({
+ *   database,
+ *   table: "users",
+ *   prepare: (user) => ({ ...user, id: randomUUID() }),
+ * });
+ * writer.on("reject", ({ line, errors }) => console.log(line, errors));
+ *
+ * await pipeline(file, new CsvParseStream(), new ValidateRecordStream({ schema }), writer);
+ * console.log(`${writer.inserted} users imported`);
+ */
+export class DatabaseWriteStream extends Writable {
+  #database;
+  #table;
+  #batchSize;
+  #prepare;
+  #batch = [];
+
+  // Quantidade de registros gravados até agora.
+  inserted = 0;
+
+  /**
+   * @param {object} options - Opções da stream.
+   * @param {import("../database.js").Database} options.database - Banco de dados.
+   * @param {string} options.table - Tabela onde os registros serão inseridos.
+   * @param {number} [options.batchSize=500] - Quantidade de registros por gravação.
+   * @param {Function} [options.prepare] - Ajusta cada registro antes da inserção (ex.: gera o `id`).
+   */
+  constructor({ database, table, batchSize = 500, prepare = (record) => record, ...options }) {
+    super({ ...options, objectMode: true });
+    this.#database = database;
+    this.#table = table;
+    this.#batchSize = batchSize;
+    this.#prepare = prepare;
+  }
+
+  _write(entry, encoding, callback) {
+    this.#batch.push(entry);
+
+    if (this.#batch.length < this.#batchSize) {
+      return callback();
+    }
+
+    this.#flush().then(() => callback(), callback);
+  }
+
+  /**
+   * Grava o último lote, que pode estar incompleto, antes de a stream terminar.
+   */
+  _final(callback) {
+    this.#flush().then(() => callback(), callback);
+  }
+
+  async #flush() {
+    const entries = this.#batch;
+    this.#batch = [];
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const results = await this.#database.insertMany(
+      this.#table,
+      entries.map(({ record }) => this.#prepare(record))
+    );
+
+    for (const [index, { record, error }] of results.entries()) {
+      if (record) {
+        this.inserted += 1;
+      } else {
+        const { line, record: rejected } = entries[index];
+
+        // `ValidationError` já traz os erros por campo; `UniqueConstraintError` indica o campo repetido.
+        const errors = error.errors ?? [{ field: error.field ?? null, message: error.message }];
+
+        this.emit("reject", { line, record: rejected, errors });
+      }
+    }
+  }
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Por que lotes?** Cada gravação reescreve o arquivo do banco. Inserir 10 mil registros um a um significaria
+ *    10 mil gravações; em lotes de 500, são 20.
+ *
+ * 2. **Backpressure**: O `callback` de `_write` só é chamado depois que o lote foi gravado. Até lá, o buffer da
+ *    Writable enche, as Transforms anteriores param e a leitura do corpo da requisição pausa. A memória usada
+ *    depende do tamanho do lote, e não do tamanho do arquivo.
+ */
@@ -1,6 +1,7 @@
 // Importa os módulos nativos do Node.js para trabalhar com streams e o sistema de arquivos.
-const fs = require("fs");
-const { Transform } = require("stream");
+// O projeto usa ES Modules (`"type": "module"` no `package.json`), então os módulos são importados com `import`.
+import fs from "node:fs";
+import { Transform } from "node:stream";
 
 /**
  * EXEMPLO DE STREAM DE LEITURA
@@ -106,4 +107,11 @@ console.log(
  * USO PRÁTICO:
  * - Streams são úteis para processar grandes arquivos ou fluxos de dados contínuos
  *   sem sobrecarregar a memória, tornando-as ideais para aplicações escaláveis.
+ *
+ * NA API:
+ * - A rota `POST /users/import` (em `src/routes.js`) usa o mesmo encadeamento leitura -> transformação -> escrita
+ *   com dados reais: o corpo da requisição passa pela `CsvParseStream` (CSV -> objetos), pela
+ *   `ValidateRecordStream` (schema da tabela) e termina na `DatabaseWriteStream` (gravação em lotes).
+ * - Lá o encadeamento é feito com `pipeline` (de `node:stream/promises`) em vez de `pipe`: se qualquer etapa
+ *   falhar, todas as streams são encerradas e o erro chega a quem chamou, o que o `pipe` não faz sozinho.
  */
@@ -0,0 +1,55 @@
+// Este arquivo define a `JsonStringifyStream`, uma Transform Stream que converte objetos em texto JSON aos poucos.
+// É usada por `GET /users/export` nos formatos `ndjson` (um JSON por linha) e `json` (um array JSON).
+
+import { Transform } from "node:stream";
+
+/**
+ * @class JsonStringifyStream
+ * Recebe objetos (`objectMode`) e emite texto JSON, sem montar a string inteira em memória.
+ *
+ * - `format: "ndjson"`: Um objeto por linha, cada linha terminada em `\n`.
+ * - `format: "array"`: Um único array JSON (`[{...},{...}]`), válido mesmo se nenhum objeto for recebido (`[]`).
+ *
+ * @example
+ * Readable.from([{ id: 1 }, { id: 2 }])
+ *   .pipe(new JsonStringifyStream({ format: "array" }))
+ *   .pipe(process.stdout);
+ * // [{"id":1},{"id":2}]
+ */
+export class JsonStringifyStream extends Transform {
+  #format;
+
+  // Indica se algum objeto já foi escrito (para saber quando colocar a vírgula no formato `array`).
+  #started = false;
+
+  /**
+   * @param {object} [options] - Opções da stream.
+   * @param {"ndjson"|"array"} [options.format="ndjson"] - Formato da saída.
+   */
+  constructor({ format = "ndjson", ...options } = {}) {
+    // O lado de escrita recebe objetos; o de leitura emite texto.
+    super({ ...options, writableObjectMode: true });
+    this.#format = format;
+  }
+
+  _transform(record, encoding, callback) {
+    const json = JSON.stringify(record);
+
+    if (this.#format === "ndjson") {
+      return callback(null, `${json}\n`);
+    }
+
+    const prefix = this.#started ? "," : "[";
+    this.#started = true;
+
+    callback(null, prefix + json);
+  }
+
+  _flush(callback) {
+    if (this.#format === "array") {
+      this.push(this.#started ? "]" : "[]");
+    }
+
+    callback();
+  }
+}
@@ -0,0 +1,60 @@
+// Este arquivo define a `MeterStream`, uma Transform Stream que deixa os bytes passarem sem alterá-los, mas conta
+// quantos passaram, atualiza um hash (ex.: SHA-256) e interrompe o fluxo quando um limite de tamanho é ultrapassado.
+// É usada nos uploads (`PATCH /uploads/:id`) entre a requisição e o arquivo em disco.
+
+import { Transform } from "node:stream";
+
+/**
+ * @class MeterStream
+ * Mede os bytes que passam pela stream.
+ *
+ * - `bytes`: Total de bytes que já passaram.
+ * - `hash`: (opcional) Um `Hash` de `node:crypto`, atualizado com cada chunk antes de ele seguir adiante.
+ * - `limit`: (opcional) Máximo de bytes. O chunk que ultrapassaria o limite não segue adiante: a stream falha
+ *   com o erro criado por `onLimit`, e os bytes anteriores já foram entregues.
+ *
+ * @example
+ * const meter = new MeterStream({
+ *   hash: createHash("sha256"),
+ *   limit: 1024 * 1024,
+ *   onLimit: () => new Error("Too large"),
+ * });
+ *
+ * await pipeline(req, meter, fs.createWriteStream("file.bin"));
+ * console.log(meter.bytes, meter.hash.digest("hex"));
+ */
+export class MeterStream extends Transform {
+  bytes = 0;
+  hash;
+  #limit;
+  #onLimit;
+
+  /**
+   * @param {object} [options] - Opções da stream.
+   * @param {import("node:crypto").Hash} [options.hash] - Hash atualizado com os bytes.
+   * @param {number} [options.limit=Infinity] - Quantidade máxima de bytes.
+   * @param {Function} [options.onLimit] - Cria o erro lançado quando o limite é ultrapassado.
+   */
+  constructor({
+    hash,
+    limit = Infinity,
+    onLimit = () => new RangeError(`Stream exceeded ${limit} bytes.`),
+    ...options
+  } = {}) {
+    super(options);
+    this.hash = hash;
+    this.#limit = limit;
+    this.#onLimit = onLimit;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.bytes + chunk.length > this.#limit) {
+      return callback(this.#onLimit());
+    }
+
+    this.bytes += chunk.length;
+    this.hash?.update(chunk);
+
+    callback(null, chunk);
+  }
+}
@@ -0,0 +1,135 @@
+// Este arquivo define a `NdjsonParseStream`, uma Transform Stream que converte um fluxo de bytes no formato
+// NDJSON (um JSON por linha) em objetos JavaScript, linha a linha, sem guardar o corpo inteiro em memória.
+// É usada pela rota `POST /users/bulk` para importar milhares de usuários em uma única requisição.
+
+import { Transform } from "node:stream";
+import { StringDecoder } from "node:string_decoder";
+
+/**
+ * @class NdjsonParseStream
+ * Recebe bytes (ex.: o corpo de uma requisição) e emite um objeto por linha:
+ *
+ * - `{ line, value }`: A linha continha um JSON válido; `value` é o valor convertido.
+ * - `{ line, error }`: A linha era inválida (JSON malformado ou longa demais); `error` descreve o problema.
+ *
+ * Uma linha inválida não interrompe o fluxo: as próximas continuam sendo lidas, para que o chamador possa
+ * relatar cada erro. Linhas em branco são ignoradas, mas contam na numeração. Aceita `\n` e `\r\n`.
+ *
+ * @example
+ * import { pipeline } from "node:stream";
+ *
+ * const lines = pipeline(req, new NdjsonParseStream(), () => {});
+ *
+ * for await (const { line, value, error } of lines) {
+ *   console.log(line, error ?? value);
+ * }
+ */
+export class NdjsonParseStream extends Transform {
+  // Decodifica UTF-8 sem quebrar caracteres que chegam divididos entre dois chunks.
+  #decoder = new StringDecoder("utf8");
+
+  // Início da linha atual, ainda sem a quebra de linha.
+  #pending = "";
+
+  // Número da última linha emitida (começa em 1 na primeira linha).
+  #line = 0;
+
+  // Indica que a linha atual passou do limite e está sendo descartada até a próxima quebra de linha.
+  #discarding = false;
+
+  #maxLineLength;
+
+  /**
+   * @param {object} [options] - Opções da stream.
+   * @param {number} [options.maxLineLength=65536] - Tamanho máximo de uma linha, em caracteres. Uma linha maior
+   * vira um erro `{ line, error }` e não fica acumulada em memória.
+   */
+  constructor({ maxLineLength = 64 * 1024, ...options } = {}) {
+    // O lado de escrita recebe bytes; o de leitura emite objetos.
+    super({ ...options, readableObjectMode: true });
+    this.#maxLineLength = maxLineLength;
+  }
+
+  /**
+   * Recebe um chunk de bytes e emite as linhas completas que ele contém.
+   */
+  _transform(chunk, encoding, callback) {
+    this.#consume(this.#decoder.write(chunk));
+    callback();
+  }
+
+  /**
+   * Emite a última linha, que pode não terminar com quebra de linha.
+   */
+  _flush(callback) {
+    this.#consume(this.#decoder.end());
+
+    if (this.#pending || this.#discarding) {
+      this.#emitLine(this.#pending);
+    }
+
+    callback();
+  }
+
+  /**
+   * Separa o texto em linhas. O trecho depois da última quebra fica guardado até o próximo chunk.
+   */
+  #consume(text) {
+    let start = 0;
+    let newline;
+
+    while ((newline = text.indexOf("\n", start)) !== -1) {
+      this.#emitLine(this.#pending + text.slice(start, newline));
+      this.#pending = "";
+      start = newline + 1;
+    }
+
+    if (!this.#discarding) {
+      this.#pending += text.slice(start);
+    }
+
+    if (this.#pending.length > this.#maxLineLength) {
+      this.#pending = "";
+      this.#discarding = true;
+    }
+  }
+
+  /**
+   * Converte uma linha completa e a envia para o lado de leitura.
+   */
+  #emitLine(text) {
+    const line = ++this.#line;
+
+    if (this.#discarding || text.length > this.#maxLineLength) {
+      this.#discarding = false;
+      this.push({ line, error: `Line is longer than ${this.#maxLineLength} characters.` });
+      return;
+    }
+
+    const json = text.trim(); // Remove o `\r` de quebras de linha no formato `\r\n`.
+
+    if (!json) {
+      return;
+    }
+
+    try {
+      this.push({ line, value: JSON.parse(json) });
+    } catch (error) {
+      this.push({ line, error: `Invalid JSON: ${error.message}` });
+    }
+  }
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Por que uma Transform?** O corpo chega em chunks de tamanho arbitrário: um chunk pode ter várias linhas
+ *    ou só parte de uma. A stream guarda apenas o pedaço da linha incompleta e emite cada linha assim que ela
+ *    termina, então a memória usada depende do tamanho de uma linha, e não do corpo inteiro.
+ *
+ * 2. **Backpressure**: O lado de leitura está em `objectMode`. Se quem consome os objetos (ex.: a gravação no
+ *    banco) estiver mais lento, a stream para de pedir dados e a leitura da requisição pausa sozinha.
+ *
+ * 3. **`StringDecoder`**: Um caractere como `ã` ocupa 2 bytes em UTF-8 e pode chegar dividido entre dois chunks.
+ *    O decoder guarda o byte incompleto até o próximo chunk em vez de gerar um caractere inválido.
+ */
@@ -1,7 +1,8 @@
 // Importa o módulo HTTP nativo do Node.js para criar um servidor web
 import http from "node:http";
-// Importa a classe Transform do módulo de streams do Node.js, usada para transformar dados
-import { Transform } from "stream";
+// Importa do módulo de streams do Node.js a classe Transform, usada para transformar dados,
+// e a função pipeline, que liga as streams e propaga erros e o fim dos dados entre elas
+import { Transform, pipeline } from "stream";
 
 // Classe personalizada que transforma números em seus inversos multiplicando por -1
 class InverseNumberStream extends Transform {
@@ -27,42 +28,22 @@ class InverseNumberStream extends Transform {
  * Cria um servidor HTTP com o método `createServer`, que recebe uma função callback.
  * Essa função é executada a cada requisição recebida pelo servidor.
  */
-const server = http.createServer(async (req, res) => {
-  // Array para armazenar os pedaços (chunks) de dados da requisição
-  const buffers = [];
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
 
   /**
-   * Usa um loop `for await` para iterar sobre os chunks de dados recebidos na stream da requisição.
-   * Cada chunk é adicionado ao array `buffers`.
-   */
-  for await (const chunk of req) {
-    buffers.push(chunk);
-  }
-
-  /**
-   * Combina todos os chunks armazenados no array `buffers` em um único buffer
-   * e converte o conteúdo completo para string.
-   */
-  const fullStreamContent = Buffer.concat(buffers).toString();
-  // Exibe o conteúdo completo da stream no console
-  console.log(fullStreamContent);
-
-  /**
-   * O código atualmente retorna o conteúdo completo da stream, mas isso não é uma
-   * resposta válida para o cliente.
-   * Em um caso real, você poderia substituir essa lógica por um processamento ou
-   * responder diretamente ao cliente.
-   */
-  return fullStreamContent;
-
-  /**
-   * Alternativamente, o código poderia processar a stream usando a classe `InverseNumberStream`:
-   *
-   * return req.pipe(new InverseNumberStream()).pipe(res);
+   * Usa `pipeline` para ligar a requisição (`req`) à `InverseNumberStream` e à resposta (`res`).
+   * Cada número é transformado e enviado de volta ao cliente assim que chega, sem guardar o corpo
+   * inteiro em memória. Quando a requisição termina, a resposta também é encerrada, e o cliente
+   * (`fake-upload-to-http-steam.js`) recebe o resultado em vez de ficar esperando.
    *
-   * Aqui, a requisição (`req`) seria transformada pela `InverseNumberStream` e
-   * enviada de volta como resposta (`res`) ao cliente.
+   * Se o cliente desconectar no meio, `pipeline` destrói todas as streams e chama o callback com o erro.
    */
+  pipeline(req, new InverseNumberStream(), res, (error) => {
+    if (error) {
+      console.log(`Stream error: ${error.message}`);
+    }
+  });
 });
 
 // Inicia o servidor na porta 3334 e exibe uma mensagem no console indicando que está ativo
@@ -0,0 +1,60 @@
+// Este arquivo define a `ValidateRecordStream`, uma Transform Stream que valida registros com o schema de uma
+// tabela (veja `validateSchema`). Registros válidos seguem adiante já normalizados; os inválidos são desviados
+// para o evento `reject`, sem interromper o fluxo. É a etapa do meio da importação de `POST /users/import`.
+
+import { Transform } from "node:stream";
+import { validateSchema } from "../utils/validate-schema.js";
+
+/**
+ * @class ValidateRecordStream
+ * Recebe e emite objetos `{ line, record }` (`objectMode` nos dois lados), como os da `CsvParseStream`.
+ *
+ * - Registro válido: emitido com `record` normalizado pelo schema (padrões aplicados, campos extras removidos).
+ * - Registro inválido, ou que já chegou com `error` (ex.: erro de leitura do CSV): emitido no evento `reject`
+ *   como `{ line, record, errors }`, com `record` no formato original, e não segue adiante.
+ *
+ * Células vazias são tratadas como campos ausentes, para que o valor padrão do schema seja aplicado.
+ *
+ * @example
+ * const validator = new ValidateRecordStream({ schema: users.schema });
+ * validator.on("reject", ({ line, errors }) => console.log(line, errors));
+ *
+ * await pipeline(file, new CsvParseStream(), validator, writer);
+ */
+export class ValidateRecordStream extends Transform {
+  #schema;
+
+  /**
+   * @param {object} options - Opções da stream.
+   * @param {object} options.schema - Schema da tabela (mesmo formato usado pelo `Database`).
+   */
+  constructor({ schema, ...options }) {
+    super({ ...options, objectMode: true });
+    this.#schema = schema;
+  }
+
+  _transform(entry, encoding, callback) {
+    const { line, record, error } = entry;
+
+    if (error) {
+      this.emit("reject", { line, record, errors: [{ field: null, message: error }] });
+      return callback();
+    }
+
+    const { value, errors } = validateSchema(this.#schema, withoutEmptyValues(record));
+
+    if (errors.length > 0) {
+      this.emit("reject", { line, record, errors });
+      return callback();
+    }
+
+    callback(null, { line, record: value });
+  }
+}
+
+/**
+ * Remove os campos com string vazia (uma célula vazia no CSV equivale a um campo não informado).
+ */
+function withoutEmptyValues(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ""));
+}
@@ -0,0 +1,27 @@
+// Este arquivo define a tabela `refreshTokens`: os refresh tokens emitidos por `POST /auth/login` e
+// `POST /auth/refresh`. Apenas o hash SHA-256 de cada token é gravado, nunca o token em si.
+
+/**
+ * @constant refreshTokens
+ * Definição da tabela de refresh tokens.
+ *
+ * - `userId`: Usuário dono da sessão.
+ * - `tokenHash`: SHA-256 (hexadecimal) do token entregue ao cliente; é por ele que o token é encontrado.
+ * - `family`: ID da sessão. Cada renovação gera um novo token na mesma família; se um token já usado
+ *   aparecer de novo, a família inteira é revogada (o token provavelmente foi roubado).
+ * - `expiresAt`: Data a partir da qual o token não é mais aceito.
+ * - `usedAt`: Quando o token foi trocado por um novo (cada token só pode ser usado uma vez).
+ * - `revokedAt`: Quando a sessão foi encerrada (logout ou reutilização de um token).
+ */
+export const refreshTokens = {
+  schema: {
+    userId: { type: "string", required: true },
+    tokenHash: { type: "string", required: true, pattern: /^[0-9a-f]{64}$/ },
+    family: { type: "string", required: true, format: "uuid" },
+    expiresAt: { type: "string", required: true, format: "date-time" },
+    usedAt: { type: "string", format: "date-time" },
+    revokedAt: { type: "string", format: "date-time" },
+  },
+  indexes: [{ field: "tokenHash", unique: true }, { field: "family" }],
+  timestamps: true,
+};
@@ -0,0 +1,27 @@
+// Este arquivo define a tabela `uploads`: os metadados dos arquivos enviados para `/uploads`.
+// O conteúdo de cada arquivo fica em disco (`uploads/<id>`); a tabela guarda o que já foi recebido.
+
+/**
+ * @constant uploads
+ * Definição da tabela de uploads.
+ *
+ * - `filename`, `contentType` e `size`: Informados pelo cliente ao criar o upload.
+ * - `ownerId`: ID do usuário que criou o upload; só ele pode enviar o conteúdo, consultar o progresso e baixar.
+ * - `offset`: Quantidade de bytes já gravados em disco. Um upload interrompido continua a partir daqui.
+ * - `status`: `pending` enquanto faltam bytes; `complete` quando `offset` chega a `size`.
+ * - `sha256`: Hash SHA-256 do arquivo (em hexadecimal), preenchido quando o upload termina.
+ * - `timestamps`: O banco preenche `createdAt` e `updatedAt`. Uploads pendentes sem atividade por muito tempo são
+ *   removidos (veja `upload-routes.js`).
+ */
+export const uploads = {
+  schema: {
+    filename: { type: "string", required: true, trim: true, minLength: 1, maxLength: 255 },
+    contentType: { type: "string", required: true, trim: true, pattern: /^[\w.+-]+\/[\w.+-]+$/ },
+    size: { type: "integer", required: true, min: 1 },
+    ownerId: { type: "string", required: true, format: "uuid" },
+    offset: { type: "integer", min: 0, default: 0 },
+    status: { type: "string", enum: ["pending", "complete"], default: "pending" },
+    sha256: { type: "string", pattern: /^[0-9a-f]{64}$/ },
+  },
+  timestamps: true,
+};
@@ -0,0 +1,41 @@
+// Este arquivo define a tabela `users`: o schema de cada campo e os índices usados pela classe `Database`.
+// Manter a definição aqui, separada das rotas, deixa claro qual é o formato de um usuário em todo o projeto.
+
+/**
+ * @constant users
+ * Definição da tabela de usuários.
+ *
+ * - `schema`: Regras de validação aplicadas em toda escrita (veja `validateSchema`). `passwordHash` é o hash
+ *   `scrypt` da senha (veja `hashPassword`). Usuários importados em lote (ou criados antes do login existir)
+ *   ficam sem senha, e não conseguem entrar, até um administrador definir uma (`PATCH /users/:id` com
+ *   `password`) ou até ela ser definida com `npm run migrate -- --set-password <email>`.
+ * - `indexes`: Índices mantidos pelo banco; o email é único. Ele é gravado em minúsculas (`lowercase`), então
+ *   `John@Example.com` e `john@example.com` são o mesmo usuário.
+ * - `timestamps`: O banco preenche `createdAt` e `updatedAt`.
+ * - `softDelete`: Usuários excluídos ganham `deletedAt` e podem ser restaurados.
+ * - `history`: Cada alteração guarda uma revisão do usuário (`GET /users/:id/history`).
+ * - `versioned`: O banco mantém `version`, usado no `ETag` e nas escritas com `If-Match`.
+ * - `writeRules`: Campos que apenas alguns papéis podem alterar (veja `forbiddenFields`): só um administrador muda
+ *   o `role` de um usuário, inclusive o próprio, ou cadastra alguém como `admin`. O primeiro administrador é
+ *   criado fora da API, com `npm run migrate -- --create-admin <email>`.
+ * - `hidden`: Campos gravados no banco que as rotas nunca devolvem nem aceitam do cliente (respostas, exportações,
+ *   eventos, histórico, filtros e ordenação).
+ * - `passwordRules`: Regras da senha em texto puro, enviada em `password` pelas rotas ou definida por
+ *   `npm run migrate -- --set-password`. A senha nunca é gravada: o banco guarda apenas o `passwordHash`.
+ */
+export const users = {
+  schema: {
+    name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 120 },
+    email: { type: "string", required: true, trim: true, lowercase: true, format: "email", maxLength: 254 },
+    role: { type: "string", enum: ["user", "admin"], default: "user" },
+    passwordHash: { type: "string", pattern: /^scrypt\$\d+\$\d+\$\d+\$[\w-]+\$[\w-]+$/ },
+  },
+  indexes: [{ field: "email", unique: true }],
+  timestamps: true,
+  softDelete: true,
+  history: true,
+  versioned: true,
+  writeRules: { role: ["admin"] },
+  hidden: ["passwordHash"],
+  passwordRules: { type: "string", minLength: 8, maxLength: 128 },
+};
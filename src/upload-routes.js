@@ -0,0 +1,557 @@
+// Este arquivo define as rotas de upload de arquivos, montadas em `/uploads` pelo `server.js`.
+// Todas as rotas exigem um token de acesso, e cada upload só pode ser usado pelo usuário que o criou.
+// O conteúdo é gravado em disco em stream, à medida que chega, com o hash SHA-256 calculado no caminho; o banco
+// (tabela `uploads`) guarda apenas os metadados. Um upload interrompido pode ser retomado a partir do último
+// byte gravado, enviando o restante em uma ou mais requisições `PATCH` (`Upload-Offset` ou `Content-Range`).
+
+// Importações:
+// - `createHash` e `randomUUID`: Calculam o SHA-256 do conteúdo e geram o ID de cada upload.
+// - `fs` e `fsPromises`: Gravam e leem os arquivos em `uploads/`.
+// - `path`: Monta o caminho do arquivo de cada upload.
+// - `pipeline`: Liga a requisição ao arquivo (e o arquivo à resposta) respeitando o backpressure.
+// - `database`: Instância do banco compartilhada com as rotas de usuários.
+// - `BadRequestError`, `ConflictError` etc.: Erros HTTP respondidos como `application/problem+json`. `ForbiddenError`
+//   (403) recusa o acesso ao upload de outro usuário.
+// - `Router`: Classe que encontra a rota de cada requisição.
+// - `MeterStream`: Conta os bytes recebidos, atualiza o hash e interrompe o upload que passa do tamanho declarado.
+import { createHash, randomUUID } from "node:crypto";
+import fs from "node:fs";
+import fsPromises from "node:fs/promises";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { database } from "./db.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  HttpError,
+  NotFoundError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+} from "./errors/http-error.js";
+import { Router } from "./router.js";
+import { MeterStream } from "./streams/meter-stream.js";
+
+// Diretório onde o conteúdo dos uploads é gravado, um arquivo por upload (`uploads/<id>`).
+const UPLOADS_DIR = "uploads";
+
+// Tamanho máximo de um arquivo (100 MB).
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
+
+// Tipos de arquivo aceitos em `POST /uploads`.
+const ALLOWED_UPLOAD_TYPES = [
+  "application/octet-stream",
+  "application/pdf",
+  "application/zip",
+  "image/gif",
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "text/csv",
+  "text/plain",
+];
+
+// Tipos de mídia aceitos no corpo de `PATCH /uploads/:id` (o primeiro é o usado pelo protocolo tus).
+const CHUNK_MEDIA_TYPES = ["application/offset+octet-stream", "application/octet-stream"];
+
+// Tempo, em ms, que um upload pendente pode ficar sem receber dados (24 horas). Depois disso, ele e o arquivo
+// são removidos na próxima criação de upload, para que uploads abandonados não ocupem o disco para sempre.
+const UPLOAD_EXPIRATION = 24 * 60 * 60 * 1000;
+
+// Formato do cabeçalho `Content-Range`: `bytes <início>-<fim>/<total>` (o fim é inclusivo).
+const contentRangeRegex = /^bytes (\d+)-(\d+)\/(\d+|\*)$/;
+
+// Estado do SHA-256 de cada upload em andamento, por ID: `{ hash, offset }`. O hash só continua válido se
+// `offset` for o ponto em que o próximo `PATCH` começa. Fica em memória: se o servidor reiniciar no meio de um
+// upload, o hash é recalculado a partir do arquivo quando o upload termina.
+const hashes = new Map();
+
+// IDs dos uploads que estão recebendo dados agora. Dois `PATCH` simultâneos gravariam no mesmo trecho do arquivo.
+const activeUploads = new Set();
+
+// Define as rotas de upload. Os caminhos são relativos ao prefixo `/uploads`.
+const uploadRoutes = [
+  /**
+   * Rota para iniciar um upload.
+   *
+   * Método: POST
+   * Caminho: /uploads
+   *
+   * Corpo da requisição (JSON):
+   * - `filename`: Nome original do arquivo (obrigatório, até 255 caracteres).
+   * - `contentType`: Tipo do arquivo (obrigatório). Tipos aceitos: PDF, ZIP, imagens (GIF, JPEG, PNG, WebP),
+   *   CSV, texto e `application/octet-stream`.
+   * - `size`: Tamanho total do arquivo em bytes (obrigatório, até 100 MB).
+   *
+   * Nenhum byte do arquivo é enviado aqui: o conteúdo vai em seguida, em `PATCH /uploads/:id`. O upload pertence
+   * ao usuário autenticado, o único que pode usá-lo depois.
+   *
+   * Cabeçalhos:
+   * - `Authorization: Bearer <token de acesso>` (obrigatório; veja `POST /auth/login`).
+   *
+   * Exemplo:
+   * POST /uploads
+   * Body: { "filename": "report.pdf", "contentType": "application/pdf", "size": 1048576 }
+   *
+   * Retorno:
+   * - Status 201: O upload criado, com os cabeçalhos `Location`, `Upload-Offset: 0` e `Upload-Length`.
+   * - Status 400: Dados inválidos; o corpo lista o erro de cada campo.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 413: `size` maior que o limite.
+   * - Status 415: `contentType` não aceito.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   */
+  {
+    method: "POST",
+    path: "/",
+    auth: true,
+    rateLimit: "write",
+    handler: async (req, res) => {
+      const { filename, contentType, size } = req.body ?? {};
+
+      if (Number.isInteger(size) && size > MAX_UPLOAD_SIZE) {
+        throw new PayloadTooLargeError(`The file must have at most ${MAX_UPLOAD_SIZE} bytes.`);
+      }
+
+      if (typeof contentType === "string" && !ALLOWED_UPLOAD_TYPES.includes(contentType.trim().toLowerCase())) {
+        throw new UnsupportedMediaTypeError(`Files of type ${contentType} are not accepted.`);
+      }
+
+      await pruneExpiredUploads();
+
+      // Apenas os campos do cliente são gravados: `offset` e `status` são controlados pelo servidor.
+      const upload = await database.insert("uploads", {
+        id: randomUUID(),
+        filename,
+        contentType: contentType?.trim().toLowerCase(),
+        size,
+        ownerId: req.user.id,
+      });
+
+      // O arquivo começa vazio; cada `PATCH` grava a partir do `offset` atual.
+      await fsPromises.mkdir(UPLOADS_DIR, { recursive: true });
+      await fsPromises.writeFile(uploadPath(upload.id), "");
+
+      return sendUpload(res, upload, { status: 201, headers: { Location: `/uploads/${upload.id}` } });
+    },
+  },
+
+  /**
+   * Rota para consultar um upload (e quanto dele já foi recebido).
+   *
+   * Método: GET (ou HEAD, só com os cabeçalhos)
+   * Caminho: /uploads/:id
+   *
+   * Um cliente que perdeu a conexão usa esta rota para saber de onde continuar: o próximo `PATCH` deve
+   * começar em `Upload-Offset`.
+   *
+   * Retorno:
+   * - Status 200: Os metadados do upload, com os cabeçalhos `Upload-Offset` e `Upload-Length`.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O upload pertence a outro usuário.
+   * - Status 404: Nenhum upload com esse ID.
+   */
+  {
+    method: "GET",
+    path: "/:id(uuid)",
+    auth: true,
+    handler: (req, res) => {
+      return sendUpload(res, findOwnUpload(req));
+    },
+  },
+
+  /**
+   * Rota para enviar o conteúdo de um upload, inteiro ou em partes.
+   *
+   * Método: PATCH
+   * Caminho: /uploads/:id
+   *
+   * Corpo da requisição (`application/offset+octet-stream` ou `application/octet-stream`): Os bytes do arquivo
+   * a partir da posição indicada por um destes cabeçalhos:
+   * - `Upload-Offset: <início>`: Envia do início até o fim do arquivo (ou até a conexão cair).
+   * - `Content-Range: bytes <início>-<fim>/<total>`: Envia apenas esse trecho; `total` deve ser o `size` do upload.
+   *
+   * O início precisa ser exatamente o `Upload-Offset` atual. O corpo é gravado em disco à medida que chega: se a
+   * conexão cair, os bytes recebidos até ali ficam salvos e o upload continua do novo `Upload-Offset`. Quando o
+   * último byte chega, o upload passa para `complete` e recebe o `sha256` do conteúdo.
+   *
+   * Exemplo:
+   * PATCH /uploads/1234
+   * Content-Type: application/offset+octet-stream
+   * Content-Range: bytes 0-524287/1048576
+   *
+   * Retorno:
+   * - Status 204: Trecho gravado; `Upload-Offset` indica o próximo byte esperado.
+   * - Status 400: Nenhum dos cabeçalhos de posição foi enviado, ou eles são inválidos.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O upload pertence a outro usuário.
+   * - Status 404: Nenhum upload com esse ID.
+   * - Status 409: O início não é o `Upload-Offset` atual (informado no cabeçalho da resposta), o upload já
+   *   terminou ou outra requisição está enviando dados para ele.
+   * - Status 413: O corpo passa do trecho declarado ou do tamanho do arquivo.
+   * - Status 415: O corpo não é `application/offset+octet-stream` nem `application/octet-stream`.
+   * - Status 429: Escritas demais em pouco tempo; `Retry-After` indica em quantos segundos tentar de novo.
+   */
+  {
+    method: "PATCH",
+    path: "/:id(uuid)",
+    auth: true,
+    rateLimit: "write",
+    stream: true,
+    handler: async (req, res) => {
+      const upload = findOwnUpload(req);
+      const mediaType = req.headers["content-type"]?.split(";")[0].trim().toLowerCase();
+
+      if (!CHUNK_MEDIA_TYPES.includes(mediaType)) {
+        throw new UnsupportedMediaTypeError(
+          `Expected application/offset+octet-stream, got ${mediaType ?? "no content type"}.`
+        );
+      }
+
+      if (upload.status === "complete") {
+        throw new ConflictError(`Upload ${upload.id} is already complete.`);
+      }
+
+      const { offset, length } = parseChunkRange(req, upload);
+
+      if (offset !== upload.offset) {
+        throw new ConflictError(`Expected the upload to continue at byte ${upload.offset}, not ${offset}.`, {
+          headers: { "Upload-Offset": String(upload.offset) },
+        });
+      }
+
+      if (Number(req.headers["content-length"]) > length) {
+        throw new PayloadTooLargeError(`The body must have at most ${length} bytes.`);
+      }
+
+      if (activeUploads.has(upload.id)) {
+        throw new ConflictError(`Upload ${upload.id} is already receiving data in another request.`);
+      }
+
+      activeUploads.add(upload.id);
+
+      try {
+        const saved = await receiveChunk(req, upload, { offset, length });
+
+        return res.writeHead(204, { "Upload-Offset": String(saved.offset) }).end();
+      } finally {
+        activeUploads.delete(upload.id);
+      }
+    },
+  },
+
+  /**
+   * Rota para baixar o conteúdo de um upload concluído.
+   *
+   * Método: GET
+   * Caminho: /uploads/:id/content
+   *
+   * Retorno:
+   * - Status 200: O arquivo, em stream, com o `Content-Type` informado na criação e `Content-Disposition: attachment`.
+   * - Status 401: Token de acesso ausente, inválido ou expirado.
+   * - Status 403: O upload pertence a outro usuário.
+   * - Status 404: Nenhum upload com esse ID.
+   * - Status 409: O upload ainda não recebeu todos os bytes.
+   */
+  {
+    method: "GET",
+    path: "/:id(uuid)/content",
+    auth: true,
+    handler: async (req, res) => {
+      const upload = findOwnUpload(req);
+
+      if (upload.status !== "complete") {
+        throw new ConflictError(`Upload ${upload.id} is not complete (${upload.offset} of ${upload.size} bytes).`);
+      }
+
+      // O arquivo é aberto antes dos cabeçalhos, para que um arquivo ausente ainda vire uma resposta de erro.
+      const file = await fsPromises.open(uploadPath(upload.id));
+
+      res.writeHead(200, {
+        "Content-Type": upload.contentType,
+        "Content-Length": upload.size,
+        "Content-Disposition": contentDisposition(upload.filename),
+        ETag: `"${upload.sha256}"`,
+      });
+
+      try {
+        await pipeline(file.createReadStream(), res);
+      } catch (error) {
+        // O cliente desconectou no meio do download.
+        if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          throw error;
+        }
+      }
+    },
+  },
+];
+
+// Cria o roteador de uploads, montado em `/uploads` pelo `server.js`.
+export const uploadRouter = new Router(uploadRoutes);
+
+/**
+ * @function receiveChunk
+ * Grava o corpo da requisição no arquivo do upload, a partir de `offset`, e salva o novo `offset` no banco.
+ *
+ * Os bytes gravados são salvos mesmo quando a requisição falha no meio (conexão perdida, corpo maior que o
+ * declarado): o cliente pode continuar de onde parou. Nesse caso, o erro é relançado com o cabeçalho
+ * `Upload-Offset` atualizado.
+ *
+ * @param {Object} req - Objeto da requisição HTTP.
+ * @param {object} upload - Upload salvo no banco.
+ * @param {object} range - Trecho esperado no corpo.
+ * @param {number} range.offset - Posição do primeiro byte.
+ * @param {number} range.length - Quantidade máxima de bytes.
+ * @returns {Promise<object>} - O upload atualizado.
+ */
+async function receiveChunk(req, upload, { offset, length }) {
+  const state = hashes.get(upload.id);
+
+  // O hash continua de onde parou; sem o estado anterior (ex.: o servidor reiniciou), é recalculado no fim.
+  const hash = offset === 0 ? createHash("sha256") : state?.offset === offset ? state.hash : undefined;
+
+  const meter = new MeterStream({
+    hash,
+    limit: length,
+    onLimit: () => new PayloadTooLargeError(`The body must have at most ${length} bytes.`),
+  });
+  const file = fs.createWriteStream(uploadPath(upload.id), { flags: "r+", start: offset });
+
+  let failure;
+
+  try {
+    await pipeline(req, meter, file);
+  } catch (error) {
+    failure = error;
+
+    // Espera a última escrita em andamento, para que `bytesWritten` conte tudo o que chegou ao disco.
+    if (!file.closed) {
+      await new Promise((resolve) => file.once("close", resolve));
+    }
+  }
+
+  const newOffset = offset + file.bytesWritten;
+  const complete = newOffset === upload.size;
+
+  // Bytes que passaram pelo hash mas não chegaram ao disco deixam o hash adiantado em relação ao arquivo.
+  const hashIsCurrent = hash !== undefined && meter.bytes === file.bytesWritten;
+
+  hashes.delete(upload.id);
+
+  let sha256;
+
+  if (complete) {
+    sha256 = hashIsCurrent ? hash.digest("hex") : await hashFile(uploadPath(upload.id));
+  } else if (hashIsCurrent) {
+    hashes.set(upload.id, { hash, offset: newOffset });
+  }
+
+  const saved = await database.update("uploads", upload.id, (current) => ({
+    ...current,
+    offset: newOffset,
+    ...(complete && { status: "complete", sha256 }),
+  }));
+
+  if (failure) {
+    // A conexão caiu: não há a quem responder, mas o progresso já está salvo.
+    if (failure.code === "ECONNRESET") {
+      throw new BadRequestError("The request body was not fully received.", {
+        headers: { "Upload-Offset": String(newOffset) },
+      });
+    }
+
+    if (failure instanceof HttpError) {
+      failure.headers = { ...failure.headers, "Upload-Offset": String(newOffset) };
+    }
+
+    throw failure;
+  }
+
+  return saved;
+}
+
+/**
+ * @function parseChunkRange
+ * Lê a posição do trecho enviado em um `PATCH`, a partir de `Content-Range` ou de `Upload-Offset`.
+ *
+ * @param {Object} req - Objeto da requisição HTTP.
+ * @param {object} upload - Upload salvo no banco.
+ * @returns {{ offset: number, length: number }} - Posição do primeiro byte e quantidade máxima de bytes.
+ * @throws {BadRequestError} - Se nenhum dos cabeçalhos foi enviado ou se o trecho é inválido.
+ */
+function parseChunkRange(req, upload) {
+  const contentRange = req.headers["content-range"];
+  const uploadOffset = req.headers["upload-offset"];
+
+  if (contentRange !== undefined) {
+    const match = contentRange.trim().match(contentRangeRegex);
+
+    if (!match) {
+      throw new BadRequestError(`Invalid Content-Range "${contentRange}"; expected "bytes <start>-<end>/<size>".`);
+    }
+
+    const [start, end] = [Number(match[1]), Number(match[2])];
+
+    if (match[3] !== "*" && Number(match[3]) !== upload.size) {
+      throw new BadRequestError(`The Content-Range size must be ${upload.size}, the size of the upload.`);
+    }
+
+    if (end < start || end >= upload.size) {
+      throw new BadRequestError(`The Content-Range must be within bytes 0-${upload.size - 1}.`);
+    }
+
+    return { offset: start, length: end - start + 1 };
+  }
+
+  if (uploadOffset !== undefined) {
+    if (!/^\d+$/.test(uploadOffset.trim())) {
+      throw new BadRequestError(`Invalid Upload-Offset "${uploadOffset}"; expected a non-negative integer.`);
+    }
+
+    const offset = Number(uploadOffset);
+
+    return { offset, length: Math.max(upload.size - offset, 0) };
+  }
+
+  throw new BadRequestError("An Upload-Offset or Content-Range header is required.");
+}
+
+/**
+ * @function findOwnUpload
+ * Busca o upload da rota (`req.params.id`) e confere se ele pertence ao usuário autenticado.
+ *
+ * @param {Object} req - Objeto da requisição HTTP, com `req.user` preenchido pelo `authenticate`.
+ * @returns {object}
+ * @throws {NotFoundError} - Se nenhum upload tiver esse ID.
+ * @throws {ForbiddenError} - Se o upload foi criado por outro usuário.
+ */
+function findOwnUpload(req) {
+  const upload = database.get("uploads", req.params.id);
+
+  if (!upload) {
+    throw new NotFoundError(`Upload ${req.params.id} not found.`);
+  }
+
+  if (upload.ownerId !== req.user.id) {
+    throw new ForbiddenError("Only the user who created this upload can use it.");
+  }
+
+  return upload;
+}
+
+/**
+ * @function pruneExpiredUploads
+ * Remove os uploads pendentes que não recebem dados há mais de `UPLOAD_EXPIRATION`, com os seus arquivos.
+ * Uploads recebendo dados agora (`activeUploads`) são mantidos.
+ */
+async function pruneExpiredUploads() {
+  const expiredBefore = Date.now() - UPLOAD_EXPIRATION;
+
+  for (const upload of database.select("uploads", { status: "pending" })) {
+    if (Date.parse(upload.updatedAt) > expiredBefore || activeUploads.has(upload.id)) {
+      continue;
+    }
+
+    await database.delete("uploads", upload.id);
+    await fsPromises.rm(uploadPath(upload.id), { force: true });
+    hashes.delete(upload.id);
+  }
+}
+
+/**
+ * @function sendUpload
+ * Responde com os metadados de um upload e os cabeçalhos de progresso (`Upload-Offset` e `Upload-Length`).
+ *
+ * @param {Object} res - Objeto da resposta HTTP.
+ * @param {object} upload - Upload salvo no banco.
+ * @param {object} [options] - Opções da resposta.
+ * @param {number} [options.status=200] - Status HTTP.
+ * @param {object} [options.headers] - Cabeçalhos extras (ex.: `Location`).
+ */
+function sendUpload(res, upload, { status = 200, headers = {} } = {}) {
+  return res
+    .writeHead(status, {
+      ...headers,
+      "Upload-Offset": String(upload.offset),
+      "Upload-Length": String(upload.size),
+      // O progresso muda a cada `PATCH`: uma cópia em cache faria o cliente retomar do ponto errado.
+      "Cache-Control": "no-store",
+    })
+    .end(JSON.stringify(upload));
+}
+
+/**
+ * @function uploadPath
+ * Caminho do arquivo de um upload. Recebe apenas IDs gerados pelo servidor (ou já encontrados no banco).
+ *
+ * @param {string} id - ID do upload.
+ * @returns {string}
+ */
+function uploadPath(id) {
+  return path.join(UPLOADS_DIR, id);
+}
+
+/**
+ * @function hashFile
+ * Calcula o SHA-256 de um arquivo lendo-o em stream.
+ *
+ * @param {string} filePath - Caminho do arquivo.
+ * @returns {Promise<string>} - O hash em hexadecimal.
+ */
+async function hashFile(filePath) {
+  const hash = createHash("sha256");
+
+  await pipeline(fs.createReadStream(filePath), hash);
+
+  return hash.digest("hex");
+}
+
+/**
+ * @function contentDisposition
+ * Monta o cabeçalho `Content-Disposition` de um download. O nome original vai em `filename*` (RFC 6266,
+ * com acentos e outros caracteres codificados); `filename` recebe uma versão só com caracteres seguros,
+ * para clientes antigos.
+ *
+ * @param {string} filename - Nome original do arquivo.
+ * @returns {string}
+ *
+ * @example
+ * contentDisposition('relatório "final".pdf');
+ * // `attachment; filename="relat_rio _final_.pdf"; filename*=UTF-8''relat%C3%B3rio%20%22final%22.pdf`
+ */
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\w.\- ]/g, "_");
+
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Explicação geral:
+ *
+ * - `POST /uploads`: Cria o upload com nome, tipo e tamanho; recusa tipos não aceitos (415) e arquivos grandes
+ *   demais (413) antes de receber qualquer byte.
+ * - `GET /uploads/:id` (e `HEAD`): Informa o progresso em `Upload-Offset`.
+ * - `PATCH /uploads/:id`: Recebe o conteúdo, inteiro ou em partes.
+ * - `GET /uploads/:id/content`: Baixa o arquivo concluído.
+ *
+ * 1. **Stream até o disco**: O corpo do `PATCH` nunca é carregado inteiro em memória. `pipeline` liga
+ *    `req -> MeterStream -> arquivo`: se o disco estiver mais lento que a rede, o `pipeline` pausa a leitura da
+ *    requisição até a escrita alcançar (backpressure), e a memória usada fica limitada aos buffers das streams.
+ *
+ * 2. **SHA-256 no caminho**: A `MeterStream` atualiza o hash com cada chunk antes de repassá-lo, então o hash
+ *    fica pronto quando o último byte é gravado, sem reler o arquivo. O estado do hash é guardado entre os
+ *    `PATCH` de um mesmo upload; se ele se perder, o arquivo é lido uma vez no final.
+ *
+ * 3. **Uploads retomáveis**: O `offset` salvo no banco é a quantidade de bytes que chegou ao disco
+ *    (`bytesWritten`), e não a que foi recebida da rede. Se a conexão cair, o cliente consulta `HEAD /uploads/:id`
+ *    e continua a partir de `Upload-Offset`. Um `PATCH` que não começa nesse ponto responde 409, para que nenhum
+ *    trecho do arquivo seja pulado ou gravado duas vezes.
+ *
+ * 4. **Limites**: O tamanho é conferido três vezes: na criação (`size` até 100 MB), pelo `Content-Length` antes
+ *    de ler o corpo e pela `MeterStream` durante a leitura, que interrompe o envio no primeiro byte além do
+ *    trecho declarado (o `Content-Length` pode estar ausente, como em `Transfer-Encoding: chunked`).
+ *
+ * 5. **Dono e expiração**: Cada upload guarda o `ownerId` de quem o criou, e as demais rotas respondem 403 para
+ *    outros usuários. A criação e o envio do conteúdo usam a política de escritas do `rateLimit`, e um upload
+ *    pendente parado há mais de 24 horas é removido (registro e arquivo) na próxima criação de upload.
+ */
@@ -0,0 +1,66 @@
+// Este arquivo contém a função `applyMergePatch`, que aplica um JSON Merge Patch (RFC 7396) a um objeto.
+// É o formato usado pelo `PATCH /users/:id`: o cliente envia apenas os campos que mudam, e `null` remove um campo.
+
+// Chaves ignoradas no patch, para que o corpo da requisição não consiga alterar o protótipo dos objetos.
+const forbiddenKeys = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * @function applyMergePatch
+ * Aplica um JSON Merge Patch a um valor, sem alterar o original.
+ *
+ * - Se o patch não for um objeto (ex.: string, número, array ou `null`), ele substitui o valor inteiro.
+ * - Cada chave do patch com valor `null` remove a chave correspondente do alvo.
+ * - Objetos são mesclados recursivamente; arrays e valores simples substituem o valor anterior.
+ *
+ * @param {*} target - Valor atual (normalmente o registro salvo).
+ * @param {*} patch - Patch enviado pelo cliente.
+ * @returns {*} - Um novo valor com o patch aplicado.
+ *
+ * @example
+ * applyMergePatch(
+ *   { name: "John", email: "john@example.com", address: { city: "Rio", zip: "20000" } },
+ *   { name: "Jane", address: { zip: null } }
+ * );
+ * // { name: "Jane", email: "john@example.com", address: { city: "Rio" } }
+ */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  // Um alvo que não é objeto é descartado: o patch passa a ser aplicado sobre um objeto vazio.
+  const result = isPlainObject(target) ? { ...target } : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (forbiddenKeys.has(key)) {
+      continue;
+    }
+
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Indica se o valor é um objeto JSON (e não `null` nem um array).
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **PUT x PATCH**: No `PUT`, o cliente envia o recurso completo e o que faltar é perdido. No `PATCH` com
+ *    Merge Patch, o cliente envia só as diferenças: `{ "name": "Jane" }` troca o nome e mantém o resto.
+ *
+ * 2. **`null` remove**: Como `null` significa "apague este campo", não é possível gravar `null` como valor
+ *    por meio de um Merge Patch. Para esses casos, use o `PUT` com o recurso completo.
+ *
+ * 3. **Arrays**: Não são mesclados item a item; o array enviado substitui o anterior por inteiro.
+ */
@@ -0,0 +1,39 @@
+// Este arquivo contém a função `buildLinkHeader`, que monta o cabeçalho HTTP `Link` (RFC 8288)
+// usado na paginação: `</users?limit=20&cursor=abc>; rel="next", </users?limit=20>; rel="first"`.
+
+/**
+ * @function buildLinkHeader
+ * Monta o valor do cabeçalho `Link` a partir da URL atual, trocando apenas os parâmetros de paginação.
+ *
+ * @param {string} url - URL da requisição atual (ex.: `req.url`).
+ * @param {Object<string, Object|null>} links - Mapa de `rel` -> parâmetros a alterar na query string.
+ * Um parâmetro com valor `undefined` ou `null` é removido da URL. Links com valor `null` são ignorados.
+ *
+ * @returns {string} - Valor do cabeçalho `Link` (string vazia se não houver links).
+ *
+ * @example
+ * buildLinkHeader("/users?sort=name&limit=20", {
+ *   next: { cursor: "abc" },
+ *   first: { cursor: undefined, offset: undefined },
+ * });
+ * // '</users?sort=name&limit=20&cursor=abc>; rel="next", </users?sort=name&limit=20>; rel="first"'
+ */
+export function buildLinkHeader(url, links) {
+  return Object.entries(links)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => {
+      // A base é apenas um marcador para o `URL` aceitar caminhos relativos; ela não aparece no resultado.
+      const target = new URL(url, "http://localhost");
+
+      for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) {
+          target.searchParams.delete(key);
+        } else {
+          target.searchParams.set(key, value);
+        }
+      }
+
+      return `<${target.pathname}${target.search}>; rel="${rel}"`;
+    })
+    .join(", ");
+}
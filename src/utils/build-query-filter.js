@@ -0,0 +1,84 @@
+// Este arquivo contém a função `buildQueryFilter`, que converte o parâmetro `filter` da query string
+// em um objeto de consulta aceito por `Database#select`.
+// Exemplo: `?filter[name][$eq]=John&filter[age][$gte]=18` vira `{ name: { $eq: "John" }, age: { $gte: "18" } }`.
+
+import { InvalidQueryError } from "../errors/database-errors.js";
+
+/**
+ * @function buildQueryFilter
+ * Monta um objeto de consulta a partir de `req.query.filter`, já decodificado e aninhado por `extractQueryParams`.
+ *
+ * @param {Object|undefined} filter - Valor de `req.query.filter`.
+ * @returns {Object|null} - O objeto de consulta ou `null` se nenhum filtro foi informado.
+ *
+ * @throws {InvalidQueryError} - Se `filter` não tiver colchetes (ex.: `?filter=abc`).
+ *
+ * @example
+ * buildQueryFilter({ name: { $eq: "João" } });
+ * // { name: { $eq: "João" } }
+ *
+ * buildQueryFilter({ $or: { 0: { name: "Ana" }, 1: { name: "Bia" } } });
+ * // { $or: [{ name: "Ana" }, { name: "Bia" }] }
+ *
+ * buildQueryFilter({ role: { $in: "admin,editor" } });
+ * // { role: { $in: ["admin", "editor"] } }
+ */
+export function buildQueryFilter(filter) {
+  if (filter === undefined) {
+    return null;
+  }
+
+  if (typeof filter !== "object" || Array.isArray(filter)) {
+    throw new InvalidQueryError('"filter" must use the filter[field]=value syntax.');
+  }
+
+  return normalizeOperands(arrayify(filter));
+}
+
+/**
+ * Converte objetos cujas chaves são todas índices numéricos (`{ 0: ..., 1: ... }`) em arrays,
+ * necessário para `$and`/`$or`.
+ */
+function arrayify(value) {
+  if (typeof value !== "object" || value === null) {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  const entries = keys.map((key) => [key, arrayify(value[key])]);
+
+  if (keys.length > 0 && keys.every((key) => /^\d+$/.test(key))) {
+    return entries.sort(([a], [b]) => a - b).map(([, item]) => item);
+  }
+
+  return Array.isArray(value) ? entries.map(([, item]) => item) : Object.fromEntries(entries);
+}
+
+/**
+ * Ajusta operandos que na URL chegam como texto, mas que o banco espera em outro formato:
+ * - `$in`: lista separada por vírgulas (`admin,editor`) ou chave repetida (`[$in]=admin&[$in]=editor`).
+ * - `$exists`: `true` ou `false`.
+ */
+function normalizeOperands(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeOperands);
+  }
+
+  if (typeof value !== "object" || value === null) {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, operand]) => {
+      if (key === "$in" && typeof operand === "string") {
+        return [key, operand.split(",")];
+      }
+
+      if (key === "$exists" && (operand === "true" || operand === "false")) {
+        return [key, operand === "true"];
+      }
+
+      return [key, normalizeOperands(operand)];
+    })
+  );
+}
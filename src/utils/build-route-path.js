@@ -1,46 +1,102 @@
 // Este arquivo contém a função `buildRoutePath`, que é usada para construir uma expressão regular (RegExp)
 // baseada em uma rota com parâmetros dinâmicos, como `/users/:id`.
 // Isso é útil para mapear rotas e extrair seus valores dinâmicos de forma eficiente.
+//
+// Sintaxe aceita em cada segmento do caminho:
+// - `:id`: Parâmetro com qualquer valor (até a próxima `/`).
+// - `:id(uuid)`, `:page(int)`: Parâmetro tipado (veja `paramTypes`); o valor é convertido em `req.params`.
+// - `:code([A-Z]{3})`: Parâmetro com uma expressão regular própria.
+// - `:page?`, `:page(int)?`: Parâmetro opcional (o segmento inteiro, incluindo a `/`, pode faltar).
+// - `*` ou `*path`: Curinga no final do caminho, que captura o resto da URL (em `wildcard` ou `path`).
+
+/**
+ * @constant paramTypes
+ * Tipos de parâmetro embutidos: a expressão regular aceita e a conversão aplicada ao valor.
+ */
+const paramTypes = {
+  int: { pattern: "-?\\d+", coerce: Number },
+  number: { pattern: "-?\\d+(?:\\.\\d+)?", coerce: Number },
+  uuid: { pattern: "[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}" },
+  slug: { pattern: "[a-z0-9]+(?:-[a-z0-9]+)*" },
+};
+
+// Padrão de um parâmetro sem tipo: qualquer texto até a próxima `/` (ou o início da query string).
+const DEFAULT_PARAM_PATTERN = "[^/?#]+";
+
+// Pesos usados na precedência entre rotas, por tipo de segmento (veja `score`).
+const SEGMENT_SCORES = { static: 4, constrained: 3, param: 2, optional: 1, wildcard: 0 };
 
 /**
  * @function buildRoutePath
  * Constrói uma expressão regular (RegExp) para combinar e extrair parâmetros de rotas dinâmicas.
  *
- * @param {string} path - A rota base, que pode conter parâmetros dinâmicos indicados por `:`.
- * Exemplo: `/users/:id`.
+ * Além dos grupos nomeados, a RegExp retornada recebe duas propriedades usadas pelo `Router`:
+ * - `keys`: Lista dos parâmetros `{ name, type, optional, wildcard }`, usada para converter os valores.
+ * - `score`: Peso de cada segmento, usado para escolher a rota mais específica quando várias combinam.
+ *
+ * @param {string} path - A rota base, que pode conter parâmetros dinâmicos indicados por `:` e um curinga `*`.
+ * Exemplo: `/users/:id(uuid)`.
  *
  * @returns {RegExp} - Uma expressão regular que pode ser usada para validar e extrair valores de rotas.
  *
+ * @throws {Error} - Se o curinga não for o último segmento do caminho.
+ *
  * @example
  * // Exemplo de uso:
  * const regex = buildRoutePath('/users/:id');
  * const match = '/users/123'.match(regex);
  * console.log(match.groups); // { id: "123" }
  */
-
 export function buildRoutePath(path) {
-  /**
-   * @constant routeParametersRegex
-   * Expressão regular para identificar os parâmetros dinâmicos na rota.
-   * - Sintaxe: `:paramName` onde `paramName` é o nome do parâmetro.
-   * - Exemplo: Em `/users/:id`, o parâmetro identificado é `id`.
-   */
-  const routeParametersRegex = /:([a-zA-Z]+)/g;
+  const segments = path.split("/").slice(1);
+  const keys = [];
+  const score = [];
 
   /**
    * @constant pathWithParams
-   * Substitui os parâmetros dinâmicos na rota por grupos nomeados na RegExp.
-   * - Grupos nomeados permitem capturar o valor do parâmetro diretamente.
-   * - Exemplo: `/users/:id` se torna `/users/(?<id>[a-z0-9-_]+)`.
-   *
-   * @note
-   * - `(?<$1>[a-z0-9-_]+)` é um grupo nomeado. O nome do grupo é baseado no parâmetro identificado (`$1`).
-   * - `[a-z0-9-_]+` permite capturar strings contendo letras, números, hífens ou underscores.
+   * Converte cada segmento em um trecho de expressão regular:
+   * - Segmentos fixos são escapados (`/users` só combina com `/users`).
+   * - Parâmetros viram grupos nomeados, ex.: `/users/:id` se torna `/users/(?<id>[^/?#]+)`.
+   * - Parâmetros opcionais tornam a `/` anterior opcional também: `(?:/(?<page>...))?`.
    */
-  const pathWithParams = path.replaceAll(
-    routeParametersRegex,
-    "(?<$1>[a-z0-9-_]+)"
-  );
+  const pathWithParams = segments
+    .map((segment, position) => {
+      const wildcard = segment.match(/^\*(\w+)?$/);
+
+      if (wildcard) {
+        if (position !== segments.length - 1) {
+          throw new Error(`Wildcard must be the last segment of route "${path}".`);
+        }
+
+        const name = wildcard[1] ?? "wildcard";
+        keys.push({ name, wildcard: true });
+        score.push(SEGMENT_SCORES.wildcard);
+
+        return `(?:/(?<${name}>[^?#]*))?`;
+      }
+
+      const param = segment.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+
+      if (!param) {
+        score.push(SEGMENT_SCORES.static);
+
+        return `/${escapeRegExp(segment)}`;
+      }
+
+      const [, name, constraint, optional] = param;
+      const type = paramTypes[constraint];
+      const pattern = type?.pattern ?? constraint ?? DEFAULT_PARAM_PATTERN;
+
+      keys.push({ name, type: type ? constraint : undefined, optional: Boolean(optional) });
+      score.push(
+        optional ? SEGMENT_SCORES.optional : constraint ? SEGMENT_SCORES.constrained : SEGMENT_SCORES.param
+      );
+
+      const group = `/(?<${name}>${pattern})`;
+
+      return optional ? `(?:${group})?` : group;
+    })
+    .join("");
 
   /**
    * @constant pathRegex
@@ -53,12 +109,78 @@ export function buildRoutePath(path) {
    * - `/users/123` corresponde com `id = 123`.
    * - `/users/123?active=true` corresponde com `id = 123` e `query = "?active=true"`.
    */
-  const pathRegex = new RegExp(`^${pathWithParams}(?<query>\\?(.*))?$`);
+  const pathRegex = new RegExp(`^${pathWithParams || "/"}(?<query>\\?(.*))?$`);
+
+  pathRegex.keys = keys;
+  pathRegex.score = score;
 
   // Retorna a expressão regular gerada.
   return pathRegex;
 }
 
+/**
+ * @function matchRoutePath
+ * Testa uma URL contra uma rota compilada por `buildRoutePath` e extrai os parâmetros já convertidos.
+ *
+ * - Valores são decodificados (`%20` vira espaço).
+ * - Parâmetros `int` e `number` viram números.
+ * - Parâmetros opcionais ausentes ficam de fora; um curinga sem nada capturado vale `""`.
+ *
+ * @param {RegExp} pathRegex - Rota compilada por `buildRoutePath`.
+ * @param {string} url - URL da requisição (caminho e query string).
+ * @returns {{ params: object, query: string|undefined }|null} - Os parâmetros e a query string, ou `null`
+ * se a URL não combinar com a rota.
+ *
+ * @example
+ * matchRoutePath(buildRoutePath("/users/:page(int)?"), "/users/2?sort=name");
+ * // { params: { page: 2 }, query: "?sort=name" }
+ */
+export function matchRoutePath(pathRegex, url) {
+  const match = url.match(pathRegex);
+
+  if (!match) {
+    return null;
+  }
+
+  const { query, ...groups } = match.groups ?? {};
+  const params = {};
+
+  for (const { name, type, wildcard } of pathRegex.keys ?? []) {
+    const value = groups[name];
+
+    if (value === undefined) {
+      if (wildcard) {
+        params[name] = "";
+      }
+
+      continue;
+    }
+
+    const decoded = safeDecode(value);
+    params[name] = paramTypes[type]?.coerce ? paramTypes[type].coerce(decoded) : decoded;
+  }
+
+  return { params, query };
+}
+
+/**
+ * Decodifica um valor da URL; sequências inválidas (ex.: `%E0%A4%A`) são mantidas como chegaram.
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Escapa os caracteres especiais de expressões regulares de um segmento fixo.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 /**
  * Explicação detalhada:
  *
@@ -75,7 +197,7 @@ export function buildRoutePath(path) {
  *    ```javascript
  *    const regex = buildRoutePath('/users/:id');
  *    console.log(regex);
- *    // /^\/users\/(?<id>[a-z0-9-_]+)(?<query>\?(.*))?$/
+ *    // /^\/users\/(?<id>[^/?#]+)(?<query>\?(.*))?$/
  *    ```
  *
  * 2. Correspondendo uma URL:
@@ -92,6 +214,18 @@ export function buildRoutePath(path) {
  *    // { id: "123", query: "?active=true" }
  *    ```
  *
+ * 4. Parâmetros tipados, opcionais e curingas:
+ *    ```javascript
+ *    matchRoutePath(buildRoutePath('/users/:id(uuid)'), '/users/abc'); // null (não é um UUID)
+ *    matchRoutePath(buildRoutePath('/posts/:page(int)?'), '/posts');   // { params: {}, query: undefined }
+ *    matchRoutePath(buildRoutePath('/files/*path'), '/files/a/b.txt'); // { params: { path: "a/b.txt" }, ... }
+ *    ```
+ *
+ * Precedência:
+ * - Quando várias rotas combinam com a mesma URL, o `Router` compara o `score` segmento a segmento e escolhe
+ *   a rota mais específica: segmento fixo > parâmetro tipado ou com regex > parâmetro livre > opcional > curinga.
+ * - Assim, `/users/events` vence `/users/:id`, que vence `/users/*`. Em caso de empate, vale a ordem de declaração.
+ *
  * Uso em um servidor:
  * - Essa função é ideal para sistemas de roteamento personalizados, onde você define rotas dinâmicas
  * e precisa validar ou processar URLs recebidas.
@@ -0,0 +1,89 @@
+// Este arquivo implementa a classe `ChangeFeed`, que acompanha os eventos de alteração de um `Database`
+// e os numera em sequência, guardando os mais recentes em um buffer limitado. Assim, um cliente que perdeu
+// a conexão (ex.: Server-Sent Events) pode retomar a partir do último evento recebido.
+
+/**
+ * @class ChangeFeed
+ * Feed de alterações com IDs sequenciais e buffer circular em memória.
+ *
+ * @example
+ * const feed = new ChangeFeed(database, { size: 500 });
+ *
+ * const unsubscribe = feed.subscribe((event) => console.log(event.eventId, event.operation), { table: "users" });
+ * feed.since("42", { table: "users" }); // Eventos de `users` com ID maior que 42 ainda no buffer.
+ */
+export class ChangeFeed {
+  // Eventos mais recentes, do mais antigo para o mais novo.
+  #buffer = [];
+
+  // Ouvintes ativos e suas opções de filtro.
+  #subscribers = new Set();
+
+  // ID do último evento recebido.
+  #lastId = 0;
+
+  /**
+   * @param {import("../database.js").Database} database - Banco cujos eventos `change` serão acompanhados.
+   * @param {object} [options] - Opções do feed.
+   * @param {number} [options.size=1000] - Quantidade máxima de eventos guardados para retomada.
+   */
+  constructor(database, { size = 1000 } = {}) {
+    this.size = size;
+
+    database.on("change", (change) => this.#push(change));
+  }
+
+  /**
+   * Registra um ouvinte para os próximos eventos.
+   *
+   * @param {Function} listener - Função chamada com cada evento: o evento do banco
+   * (`{ table, operation, id, old, new, timestamp }`) acrescido do `eventId` sequencial.
+   * @param {object} [options] - Filtros.
+   * @param {string} [options.table] - Recebe apenas eventos desta tabela.
+   * @returns {Function} - Função que cancela a inscrição.
+   */
+  subscribe(listener, { table } = {}) {
+    const subscriber = { listener, table };
+    this.#subscribers.add(subscriber);
+
+    return () => this.#subscribers.delete(subscriber);
+  }
+
+  /**
+   * Retorna os eventos do buffer posteriores ao ID informado (ex.: o cabeçalho `Last-Event-ID`).
+   * IDs inválidos ou maiores que o último evento (ex.: de antes de um reinício do servidor) não retornam nada.
+   *
+   * @param {string|number} [lastEventId] - ID do último evento recebido pelo cliente.
+   * @param {object} [options] - Filtros.
+   * @param {string} [options.table] - Retorna apenas eventos desta tabela.
+   * @returns {Array<object>} - Eventos a serem reenviados, em ordem.
+   */
+  since(lastEventId, { table } = {}) {
+    const id = Number(lastEventId);
+
+    if (lastEventId === undefined || !Number.isInteger(id) || id > this.#lastId) {
+      return [];
+    }
+
+    return this.#buffer.filter((event) => event.eventId > id && (!table || event.table === table));
+  }
+
+  /**
+   * Método privado que numera um evento, guarda no buffer e entrega aos ouvintes.
+   */
+  #push(change) {
+    const event = { eventId: ++this.#lastId, ...change };
+
+    this.#buffer.push(event);
+
+    if (this.#buffer.length > this.size) {
+      this.#buffer.shift(); // Descarta o evento mais antigo.
+    }
+
+    for (const { listener, table } of this.#subscribers) {
+      if (!table || event.table === table) {
+        listener(event);
+      }
+    }
+  }
+}
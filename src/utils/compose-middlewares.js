@@ -0,0 +1,69 @@
+// Este arquivo contém a função `composeMiddlewares`, que encadeia uma lista de middlewares no estilo
+// `(req, res, next)`. É a base do pipeline do `Router`: middlewares globais (`use`), middlewares de cada rota
+// e o próprio handler rodam em sequência, e qualquer erro (síncrono ou assíncrono) pula para os middlewares de erro.
+
+/**
+ * @function composeMiddlewares
+ * Cria uma função que executa os middlewares em ordem.
+ *
+ * - Middlewares comuns recebem `(req, res, next)` e chamam `next()` para passar adiante.
+ * - Middlewares de erro são reconhecidos por declarar 4 parâmetros: `(error, req, res, next)`.
+ *   Eles são ignorados no fluxo normal e só rodam depois de um erro.
+ * - Um erro lançado (ou uma Promise rejeitada) em qualquer middleware equivale a chamar `next(error)`:
+ *   os middlewares comuns restantes são ignorados até o próximo middleware de erro.
+ * - Quando a lista termina, `done(error)` é chamado (sem erro, se tudo correu bem).
+ *
+ * @param {Array<Function>} stack - Middlewares, na ordem de execução.
+ * @returns {(req: Object, res: Object, done: Function) => Promise<void>} - Função que executa a cadeia.
+ *
+ * @example
+ * const run = composeMiddlewares([
+ *   (req, res, next) => { req.startedAt = Date.now(); return next(); },
+ *   async (req, res) => { throw new Error("boom"); },
+ *   (error, req, res, next) => res.writeHead(500).end("Internal Server Error"),
+ * ]);
+ *
+ * await run(req, res, (error) => {});
+ */
+export function composeMiddlewares(stack) {
+  return (req, res, done) => {
+    let index = 0;
+
+    const next = async (error) => {
+      const middleware = stack[index++];
+
+      if (!middleware) {
+        return done(error);
+      }
+
+      const isErrorHandler = middleware.length === 4;
+
+      // No fluxo normal, pula os middlewares de erro; depois de um erro, pula os comuns.
+      if (Boolean(error) !== isErrorHandler) {
+        return next(error);
+      }
+
+      try {
+        await (error ? middleware(error, req, res, next) : middleware(req, res, next));
+      } catch (thrown) {
+        return next(thrown);
+      }
+    };
+
+    return next();
+  };
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Por que `next`?** Cada middleware decide se a requisição continua (`next()`), se termina ali (respondendo
+ *    sem chamar `next`) ou se falhou (`next(error)` ou `throw`). Assim, autenticação, logs ou leitura do corpo
+ *    ficam fora dos handlers.
+ *
+ * 2. **Erros assíncronos**: Cada middleware é aguardado com `await`, então uma Promise rejeitada em um handler
+ *    `async` vira um erro da cadeia em vez de uma "unhandled rejection" que derrubaria o processo.
+ *
+ * 3. **Middlewares de erro**: O número de parâmetros (`function.length`) diferencia `(req, res, next)` de
+ *    `(error, req, res, next)`. Parâmetros com valor padrão não entram nessa contagem; evite-os nesses middlewares.
+ */
@@ -0,0 +1,42 @@
+// Este arquivo contém as funções que codificam e decodificam os cursores de paginação do `Database`.
+// Um cursor é opaco para o cliente: ele apenas repassa o valor de `nextCursor` para buscar a próxima página.
+
+import { InvalidQueryError } from "../errors/database-errors.js";
+
+/**
+ * @function encodeCursor
+ * Codifica a posição de paginação em uma string segura para URLs (JSON em base64url).
+ *
+ * @param {object} position - Posição a ser codificada. Pode ser `{ offset }` (ordem de inserção) ou
+ * `{ sort, values, id }` (valores de ordenação do último registro da página).
+ * @returns {string} - O cursor.
+ *
+ * @example
+ * encodeCursor({ offset: 20 }); // "eyJvZmZzZXQiOjIwfQ"
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * @function decodeCursor
+ * Decodifica um cursor gerado por `encodeCursor`.
+ *
+ * @param {string} cursor - Cursor recebido do cliente.
+ * @returns {object} - A posição codificada.
+ *
+ * @throws {InvalidQueryError} - Se o cursor estiver malformado.
+ */
+export function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+
+    if (typeof position === "object" && position !== null) {
+      return position;
+    }
+  } catch {
+    // Cai no erro abaixo.
+  }
+
+  throw new InvalidQueryError("Invalid pagination cursor.");
+}
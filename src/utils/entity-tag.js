@@ -0,0 +1,86 @@
+// Este arquivo contém as funções que montam e comparam ETags (RFC 9110, seção 8.8.3). O ETag identifica uma
+// versão de um recurso: o cliente o guarda e o devolve em `If-None-Match` (para evitar baixar de novo o que
+// não mudou) ou em `If-Match` (para só alterar o recurso se ninguém o alterou antes).
+
+// Cada ETag de uma lista: `W/"3"`, `"3"` ou `"abc"`.
+const entityTagRegex = /(W\/)?"([^"]*)"/g;
+
+/**
+ * @function formatEntityTag
+ * Monta um ETag a partir da versão de um registro.
+ *
+ * @param {string|number} version - Versão do registro.
+ * @param {object} [options] - Opções do ETag.
+ * @param {boolean} [options.weak=false] - Gera um ETag fraco (`W/"3"`), para representações parciais do recurso
+ * (ex.: apenas alguns campos), que não são idênticas byte a byte à representação completa.
+ * @returns {string}
+ *
+ * @example
+ * formatEntityTag(3); // '"3"'
+ * formatEntityTag(3, { weak: true }); // 'W/"3"'
+ */
+export function formatEntityTag(version, { weak = false } = {}) {
+  return `${weak ? "W/" : ""}"${version}"`;
+}
+
+/**
+ * @function parseEntityTags
+ * Lê a lista de ETags de um cabeçalho `If-Match` ou `If-None-Match`.
+ *
+ * @param {string} [header] - Valor do cabeçalho.
+ * @returns {"*"|Array<{ tag: string, weak: boolean }>|undefined} - `"*"` (qualquer versão), a lista de ETags
+ * ou `undefined` se o cabeçalho não foi enviado.
+ *
+ * @example
+ * parseEntityTags('"2", W/"3"'); // [{ tag: "2", weak: false }, { tag: "3", weak: true }]
+ * parseEntityTags("*"); // "*"
+ */
+export function parseEntityTags(header) {
+  if (header === undefined) {
+    return undefined;
+  }
+
+  if (header.trim() === "*") {
+    return "*";
+  }
+
+  return [...header.matchAll(entityTagRegex)].map(([, weak, tag]) => ({ tag, weak: Boolean(weak) }));
+}
+
+/**
+ * @function matchesEntityTag
+ * Verifica se um cabeçalho `If-None-Match` (comparação fraca) corresponde ao ETag atual do recurso.
+ * A comparação fraca ignora o prefixo `W/`: `W/"3"` e `"3"` indicam a mesma versão.
+ *
+ * @param {string} [header] - Valor do cabeçalho `If-None-Match`.
+ * @param {string} entityTag - ETag atual (veja `formatEntityTag`).
+ * @returns {boolean}
+ *
+ * @example
+ * matchesEntityTag('W/"3"', '"3"'); // true
+ */
+export function matchesEntityTag(header, entityTag) {
+  const tags = parseEntityTags(header);
+
+  if (tags === "*") {
+    return true;
+  }
+
+  const [current] = parseEntityTags(entityTag);
+
+  return (tags ?? []).some(({ tag }) => tag === current.tag);
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **ETag forte x fraco**: Um ETag forte (`"3"`) garante que o conteúdo é idêntico; um fraco (`W/"3"`) indica
+ *    apenas que as representações são equivalentes. Por isso, `If-Match` só aceita ETags fortes, enquanto
+ *    `If-None-Match` aceita os dois.
+ *
+ * 2. **304 Not Modified**: Se o `If-None-Match` corresponde ao ETag atual, o servidor responde 304 sem corpo e o
+ *    cliente reaproveita a cópia que já tem.
+ *
+ * 3. **412 Precondition Failed**: Se o `If-Match` não corresponde à versão atual, outro cliente alterou o recurso
+ *    depois da leitura. A escrita é recusada em vez de apagar a alteração dele.
+ */
@@ -1,72 +1,166 @@
-// Este arquivo contém a função `extractQueryParams`, que é usada para processar strings de consulta (query strings)
-// presentes em URLs e convertê-las em um objeto de chave-valor.
-// Isso é útil para trabalhar com os parâmetros enviados em requisições HTTP, como `?search=Diego&age=25`.
+// Este arquivo contém a função `extractQueryParams`, que converte a query string de uma URL em um objeto.
+// O formato segue o `application/x-www-form-urlencoded` usado pelos navegadores (`%C3%A3`, `+` como espaço)
+// e aceita as convenções mais comuns de APIs: chaves repetidas viram arrays e colchetes criam objetos aninhados.
+
+import { QueryStringError } from "../errors/query-string-error.js";
+
+// Identifica os segmentos entre colchetes de uma chave (ex.: `filter[name][$eq]` -> `name`, `$eq`).
+const bracketSegmentRegex = /\[([^\]]*)\]/g;
+
+// Segmentos que nunca viram chaves, para que a query string não consiga alterar o protótipo dos objetos.
+const forbiddenSegments = new Set(["__proto__", "constructor", "prototype"]);
 
 /**
  * @function extractQueryParams
  * Converte uma query string em um objeto de chave-valor para facilitar o acesso aos parâmetros.
  *
- * @param {string} query - A query string da URL (deve começar com `?`).
+ * - Chaves e valores são decodificados (`%C3%A3` vira `ã` e `+` vira espaço).
+ * - O valor vai até o fim do par, mesmo que contenha `=` (`?token=a=b` -> `{ token: "a=b" }`).
+ * - Chaves repetidas viram arrays (`?tag=a&tag=b` -> `{ tag: ["a", "b"] }`), assim como chaves com `[]`.
+ * - Colchetes criam objetos aninhados (`?filter[name]=x` -> `{ filter: { name: "x" } }`).
+ * - Um parâmetro sem `=` vale string vazia (`?active` -> `{ active: "" }`).
+ *
+ * @param {string} query - A query string da URL, com ou sem o `?` inicial.
  * Exemplo: `?search=Diego&age=25`.
+ * @param {object} [options] - Limites da análise, que protegem o servidor de query strings abusivas.
+ * @param {number} [options.maxKeys=100] - Quantidade máxima de parâmetros.
+ * @param {number} [options.maxDepth=5] - Quantidade máxima de colchetes em uma chave.
  *
  * @returns {Object} - Um objeto onde as chaves são os nomes dos parâmetros e os valores são os respectivos valores.
  *
+ * @throws {QueryStringError} - Se algum limite for ultrapassado ou uma chave for usada como texto e como objeto.
+ *
  * @example
  * // Exemplo de uso:
- * const queryParams = extractQueryParams("?search=Diego&age=25");
+ * const queryParams = extractQueryParams("?search=Jo%C3%A3o+Silva&tag=a&tag=b&filter[age][$gte]=18");
  * console.log(queryParams);
- * // { search: "Diego", age: "25" }
+ * // { search: "João Silva", tag: ["a", "b"], filter: { age: { $gte: "18" } } }
+ */
+export function extractQueryParams(query, { maxKeys = 100, maxDepth = 5 } = {}) {
+  const queryParams = {};
+  const pairs = query.replace(/^\?/, "").split("&").filter(Boolean);
+
+  if (pairs.length > maxKeys) {
+    throw new QueryStringError(`Too many query parameters (maximum is ${maxKeys}).`);
+  }
+
+  for (const pair of pairs) {
+    // Divide apenas no primeiro `=`: o resto pertence ao valor.
+    const separator = pair.indexOf("=");
+    const key = decode(separator === -1 ? pair : pair.slice(0, separator));
+    const value = separator === -1 ? "" : decode(pair.slice(separator + 1));
+
+    const path = parseKey(key);
+
+    if (path.length - 1 > maxDepth) {
+      throw new QueryStringError(`Query parameter "${key}" is nested too deeply (maximum depth is ${maxDepth}).`);
+    }
+
+    if (path[0] === "" || path.some((segment) => forbiddenSegments.has(segment))) {
+      continue;
+    }
+
+    assign(queryParams, path, value, key);
+  }
+
+  return queryParams;
+}
+
+/**
+ * Decodifica um trecho da URL, tratando `+` como espaço.
+ * Sequências `%` inválidas são mantidas como chegaram, em vez de derrubar a requisição.
+ */
+function decode(text) {
+  const withSpaces = text.replace(/\+/g, " ");
+
+  try {
+    return decodeURIComponent(withSpaces);
+  } catch {
+    return withSpaces;
+  }
+}
+
+/**
+ * Separa uma chave em seus segmentos: `filter[$or][0][name]` -> `["filter", "$or", "0", "name"]`.
+ * Um segmento vazio (`tag[]`) indica "adicionar ao array".
+ * Se a chave tiver texto fora dos colchetes depois do primeiro (ex.: `a[b]c`), ela é tratada como um nome simples.
  */
-export function extractQueryParams(query) {
-  /**
-   * 1. `query.substr(1)`:
-   *    Remove o caractere inicial `?` da query string.
-   *    Exemplo: `"?search=Diego"` -> `"search=Diego"`.
-   */
-  return (
-    query
-      .substr(1)
-      /**
-       * 2. `.split("&")`:
-       *    Divide a string em uma lista de pares chave-valor, separados por `&`.
-       *    Exemplo: `"search=Diego&age=25"` -> `["search=Diego", "age=25"]`.
-       */
-      .split("&")
-      /**
-       * 3. `.reduce(...)`:
-       *    Transforma a lista de pares chave-valor em um único objeto.
-       *
-       *    - `queryParams`: O objeto acumulador que será preenchido.
-       *    - `param`: Um par chave-valor no formato `key=value`.
-       */
-      .reduce((queryParams, param) => {
-        /**
-         * 4. `param.split("=")`:
-         *    Divide o par chave-valor em uma chave (`key`) e um valor (`value`).
-         *    Exemplo: `"search=Diego"` -> `["search", "Diego"]`.
-         */
-        const [key, value] = param.split("=");
-
-        /**
-         * 5. `queryParams[key] = value`:
-         *    Adiciona o par chave-valor ao objeto acumulador.
-         *    Exemplo: `queryParams["search"] = "Diego"`.
-         */
-        queryParams[key] = value;
-
-        /**
-         * 6. Retorna o objeto acumulador atualizado para o próximo par.
-         */
-        return queryParams;
-      }, {})
-  ); // Inicializa o acumulador como um objeto vazio (`{}`).
+function parseKey(key) {
+  const start = key.indexOf("[");
+
+  if (start <= 0) {
+    return [key];
+  }
+
+  const rest = key.slice(start);
+  const segments = [...rest.matchAll(bracketSegmentRegex)].map(([, segment]) => segment);
+
+  if (segments.map((segment) => `[${segment}]`).join("") !== rest) {
+    return [key];
+  }
+
+  return [key.slice(0, start), ...segments];
+}
+
+/**
+ * Atribui o valor no caminho informado, criando os objetos intermediários.
+ * Se o último segmento já tiver um valor, os dois viram um array (chave repetida).
+ *
+ * Só contam os valores próprios do objeto (`Object.hasOwn`): nomes herdados do protótipo, como `toString` ou
+ * `hasOwnProperty`, são parâmetros comuns (`?toString=x`), e não valores já existentes.
+ */
+function assign(target, path, value, key) {
+  let current = target;
+
+  for (const [position, segment] of path.entries()) {
+    const isLast = position === path.length - 1;
+
+    // `tag[]=a`: adiciona ao array (criando-o, se necessário).
+    if (segment === "" && Array.isArray(current)) {
+      if (!isLast) {
+        throw new QueryStringError(`Query parameter "${key}" cannot nest inside "[]".`);
+      }
+
+      current.push(value);
+      return;
+    }
+
+    const next = path[position + 1];
+
+    if (isLast) {
+      const existing = Object.hasOwn(current, segment) ? current[segment] : undefined;
+
+      if (existing === undefined) {
+        current[segment] = value;
+      } else if (Array.isArray(existing)) {
+        existing.push(value);
+      } else if (typeof existing === "string") {
+        current[segment] = [existing, value];
+      } else {
+        throw new QueryStringError(`Query parameter "${key}" conflicts with a nested parameter of the same name.`);
+      }
+
+      return;
+    }
+
+    if (!Object.hasOwn(current, segment)) {
+      current[segment] = next === "" ? [] : {};
+    } else if (next === "" && typeof current[segment] === "string") {
+      // `tag=a&tag[]=b`: o valor simples vira o primeiro item do array.
+      current[segment] = [current[segment]];
+    } else if (typeof current[segment] !== "object" || (next !== "" && Array.isArray(current[segment]))) {
+      throw new QueryStringError(`Query parameter "${key}" conflicts with another parameter of the same name.`);
+    }
+
+    current = current[segment];
+  }
 }
 
 /**
  * Explicação detalhada:
  *
  * A função `extractQueryParams` é útil em cenários onde você precisa trabalhar com os parâmetros de uma query string,
- * como em APIs ou aplicativos web.
+ * como em APIs ou aplicativos web. O `Router` a usa para montar `req.query` em todas as rotas.
  *
  * - **Query string**: É a parte de uma URL que contém parâmetros, começando com `?`.
  *   Exemplo: Em `https://example.com?search=Diego&age=25`, a query string é `?search=Diego&age=25`.
@@ -79,25 +173,24 @@ export function extractQueryParams(query) {
  *
  * 1. Conversão básica:
  *    ```javascript
- *    const queryParams = extractQueryParams("?search=Diego&age=25");
- *    console.log(queryParams);
+ *    extractQueryParams("?search=Diego&age=25");
  *    // { search: "Diego", age: "25" }
  *    ```
  *
- * 2. Lidando com uma query string simples:
+ * 2. Decodificação:
  *    ```javascript
- *    const queryParams = extractQueryParams("?active=true");
- *    console.log(queryParams);
- *    // { active: "true" }
+ *    extractQueryParams("?search=Jo%C3%A3o+Silva&redirect=%2Fhome%3Fa%3D1");
+ *    // { search: "João Silva", redirect: "/home?a=1" }
  *    ```
  *
- * 3. Trabalhando com uma API:
- *    Em uma API que recebe uma URL como `/users?name=Diego&role=admin`, você pode usar essa função para acessar
- *    os valores `name` e `role` de forma prática.
+ * 3. Arrays e objetos aninhados:
+ *    ```javascript
+ *    extractQueryParams("?tag=a&tag=b&ids[]=1&filter[$or][0][name]=Ana");
+ *    // { tag: ["a", "b"], ids: ["1"], filter: { $or: { 0: { name: "Ana" } } } }
+ *    ```
  *
  * Pontos importantes:
- * - A função espera que a string seja bem formatada. Se estiver fora do padrão (`key=value`), o comportamento pode ser imprevisível.
- * - Ela não faz decodificação automática de caracteres URL-encoded (como `%20` para espaço). Para isso, você pode usar `decodeURIComponent`.
- *
- * Adicione este código ao seu repositório GitHub como referência para trabalhar com query strings!
+ * - Todos os valores continuam sendo strings; a conversão para número, booleano etc. fica a cargo de quem os usa.
+ * - Os limites `maxKeys` e `maxDepth` evitam que uma URL gigante consuma memória e CPU do servidor;
+ *   ultrapassá-los lança `QueryStringError`, respondido pelo `Router` com o status 400.
  */
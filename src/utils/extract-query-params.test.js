@@ -0,0 +1,45 @@
+// Testes da função `extractQueryParams`, executados com `npm test` (test runner nativo do Node.js).
+
+// Importações:
+// - `describe`, `it` e `assert`: Test runner e asserções nativos do Node.js.
+// - `extractQueryParams`: Função testada.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { extractQueryParams } from "./extract-query-params.js";
+
+describe("extractQueryParams", () => {
+  it("parses simple, repeated and nested parameters", () => {
+    assert.deepEqual(extractQueryParams("?search=Jo%C3%A3o+Silva&tag=a&tag=b&filter[age][$gte]=18"), {
+      search: "João Silva",
+      tag: ["a", "b"],
+      filter: { age: { $gte: "18" } },
+    });
+  });
+
+  it("accepts keys named like Object.prototype members", () => {
+    assert.deepEqual(extractQueryParams("?toString=x&hasOwnProperty=b&filter[valueOf]=1"), {
+      toString: "x",
+      hasOwnProperty: "b",
+      filter: { valueOf: "1" },
+    });
+  });
+
+  it("groups repeated keys named like Object.prototype members", () => {
+    assert.deepEqual(extractQueryParams("?constructor=a&valueOf=1&valueOf=2&isPrototypeOf[]=x"), {
+      valueOf: ["1", "2"],
+      isPrototypeOf: ["x"],
+    });
+  });
+
+  it("ignores keys that would change the prototype", () => {
+    const query = extractQueryParams("?__proto__[admin]=1&filter[constructor][prototype]=1");
+
+    assert.deepEqual(query, {});
+    assert.equal({}.admin, undefined);
+  });
+
+  it("rejects a key used both as a value and as an object", () => {
+    assert.throws(() => extractQueryParams("?filter=x&filter[name]=y"), { name: "QueryStringError" });
+  });
+});
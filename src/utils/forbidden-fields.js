@@ -0,0 +1,37 @@
+// Este arquivo contém a função `forbiddenFields`, que aplica as regras de escrita por campo de uma tabela
+// (`writeRules`): alguns campos só podem ser alterados por certos papéis, como o `role` dos usuários.
+
+import { isDeepStrictEqual } from "node:util";
+
+/**
+ * @function forbiddenFields
+ * Lista os campos que uma escrita altera, mas que o papel do usuário não pode alterar.
+ *
+ * Um campo só conta como alterado se o valor mudar: reenviar o valor atual (comum em um `PUT`) é permitido.
+ * Campos ausentes valem o `default` do schema, já que o banco os preencherá com ele. Na criação de um registro
+ * (`before` ausente), um campo protegido só pode receber o valor padrão.
+ *
+ * @param {object} table - Definição da tabela (`schema` e `writeRules`).
+ * @param {string} [role] - Papel do usuário autenticado (`undefined` para requisições anônimas).
+ * @param {object} [before] - Registro atual, ou `undefined` na criação.
+ * @param {object} after - Dados que serão gravados.
+ * @returns {Array<string>} - Campos alterados sem permissão (vazio se a escrita for permitida).
+ *
+ * @example
+ * const table = { schema: { role: { default: "user" } }, writeRules: { role: ["admin"] } };
+ *
+ * forbiddenFields(table, "user", { role: "user" }, { role: "admin" }); // ["role"]
+ * forbiddenFields(table, "user", { role: "user" }, { role: "user" }); // []
+ * forbiddenFields(table, "admin", { role: "user" }, { role: "admin" }); // []
+ * forbiddenFields(table, undefined, undefined, { name: "John" }); // [] (recebe o padrão)
+ */
+export function forbiddenFields({ schema = {}, writeRules = {} }, role, before, after) {
+  return Object.entries(writeRules)
+    .filter(([, roles]) => !roles.includes(role))
+    .map(([field]) => field)
+    .filter((field) => {
+      const fallback = typeof schema[field]?.default === "function" ? undefined : schema[field]?.default;
+
+      return !isDeepStrictEqual(before?.[field] ?? fallback, after?.[field] ?? fallback);
+    });
+}
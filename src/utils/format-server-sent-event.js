@@ -0,0 +1,29 @@
+// Este arquivo contém a função `formatServerSentEvent`, que converte um evento no formato de texto
+// do protocolo Server-Sent Events (`text/event-stream`).
+
+/**
+ * @function formatServerSentEvent
+ * Formata uma mensagem SSE. Cada campo ocupa uma linha e a mensagem termina com uma linha em branco.
+ *
+ * @param {object} message - Mensagem a ser enviada.
+ * @param {string|number} [message.id] - ID do evento; o navegador o reenvia no cabeçalho `Last-Event-ID`.
+ * @param {string} [message.event] - Nome do evento (ouvido com `eventSource.addEventListener(nome, ...)`).
+ * @param {*} message.data - Conteúdo do evento; objetos são convertidos para JSON.
+ * @returns {string} - Texto pronto para `res.write`.
+ *
+ * @example
+ * formatServerSentEvent({ id: 1, event: "insert", data: { name: "John" } });
+ * // 'id: 1\nevent: insert\ndata: {"name":"John"}\n\n'
+ */
+export function formatServerSentEvent({ id, event, data }) {
+  const lines = [];
+
+  if (id !== undefined) lines.push(`id: ${id}`);
+  if (event !== undefined) lines.push(`event: ${event}`);
+
+  // Quebras de linha no conteúdo viram várias linhas `data:`, como exige o protocolo.
+  const payload = typeof data === "string" ? data : JSON.stringify(data);
+  payload.split("\n").forEach((line) => lines.push(`data: ${line}`));
+
+  return `${lines.join("\n")}\n\n`;
+}
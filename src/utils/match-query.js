@@ -0,0 +1,360 @@
+// Este arquivo contém a função `matchQuery`, usada pela classe `Database` para verificar se um registro
+// atende a um objeto de consulta. A sintaxe é inspirada em bancos de documentos como o MongoDB:
+// `{ name: "John", age: { $gte: 18 }, $or: [{ role: "admin" }, { active: true }] }`.
+
+import { InvalidQueryError } from "../errors/database-errors.js";
+
+// Formato de data ISO 8601 (ex.: `2024-05-01` ou `2024-05-01T10:00:00.000Z`).
+const isoDateRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Limites dos padrões de `$regex` recebidos como texto (ex.: `?filter[name][$regex]=...`), que podem vir de
+// qualquer cliente. Padrões criados no código (objetos `RegExp`) não passam por esses limites.
+const MAX_REGEX_LENGTH = 100;
+const MAX_UNBOUNDED_QUANTIFIERS = 2;
+
+// Flags aceitas em `$options`. `g` e `y` guardam estado (`lastIndex`) entre as chamadas de `test`.
+const regexOptionsRegex = /^[imsu]*$/;
+
+// Quantificador no início do texto (`*`, `+`, `?`, `{2}`, `{2,}`, `{2,5}`), com o `?` opcional da versão "lazy".
+const quantifierRegex = /^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/;
+
+// Prefixo de um grupo especial logo após o `(`: `?:`, `?=`, `?!`, `?<=`, `?<!` ou `?<nome>`.
+const groupPrefixRegex = /^\?(?:[:=!]|<[=!]|<[^>]*>)/;
+
+// Expressões já compiladas, por objeto de condição: a mesma consulta é testada em todos os registros.
+const compiledRegExps = new WeakMap();
+
+/**
+ * Operadores de comparação suportados.
+ * Cada operador recebe o valor do campo no registro e o operando informado na consulta.
+ */
+const operators = {
+  $eq: (value, operand) => isEqual(value, operand),
+  $ne: (value, operand) => !isEqual(value, operand),
+  $gt: (value, operand) => compare(value, operand) > 0,
+  $gte: (value, operand) => compare(value, operand) >= 0,
+  $lt: (value, operand) => compare(value, operand) < 0,
+  $lte: (value, operand) => compare(value, operand) <= 0,
+  $in: (value, operand) => toArray("$in", operand).some((item) => isEqual(value, item)),
+  $regex: (value, operand, condition) => {
+    // Compila (e valida) antes de conferir o tipo, para que um padrão inválido seja recusado em qualquer registro.
+    const regExp = toRegExp(operand, condition);
+
+    return typeof value === "string" && regExp.test(value);
+  },
+  $exists: (value, operand) => (value !== undefined) === toBoolean(operand),
+};
+
+/**
+ * @function matchQuery
+ * Verifica se um registro atende a um objeto de consulta.
+ *
+ * @param {object} record - Registro da tabela a ser testado.
+ * @param {object} [query] - Objeto de consulta. Cada chave é um campo (aceita caminhos como `address.city`)
+ * ou um operador lógico (`$and`, `$or`). Valores simples significam igualdade; objetos com chaves `$`
+ * aplicam operadores (`$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$regex`, `$exists`).
+ * Um `$regex` em texto é limitado para não travar o servidor (veja `assertSafePattern`); um objeto `RegExp` não.
+ *
+ * @returns {boolean} - `true` se o registro atende a todas as condições da consulta.
+ *
+ * @throws {InvalidQueryError} - Se a consulta usar um operador desconhecido ou um operando inválido.
+ *
+ * @example
+ * matchQuery({ name: "John", age: 30 }, { age: { $gte: "18" } }); // true (o texto "18" vira número)
+ * matchQuery({ name: "John" }, { $or: [{ name: "Jane" }, { name: { $regex: "^jo", $options: "i" } }] }); // true
+ */
+export function matchQuery(record, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === "$and") {
+      return toArray("$and", condition).every((subquery) => matchQuery(record, subquery));
+    }
+
+    if (key === "$or") {
+      return toArray("$or", condition).some((subquery) => matchQuery(record, subquery));
+    }
+
+    if (key.startsWith("$")) {
+      throw new InvalidQueryError(`Unknown logical operator "${key}".`);
+    }
+
+    return matchCondition(getFieldValue(record, key), condition);
+  });
+}
+
+/**
+ * @function getFieldValue
+ * Lê o valor de um campo do registro, aceitando caminhos separados por ponto (`address.city`).
+ *
+ * @param {object} record - Registro da tabela.
+ * @param {string} field - Nome ou caminho do campo.
+ * @returns {*} - O valor encontrado ou `undefined`.
+ */
+export function getFieldValue(record, field) {
+  return field.split(".").reduce((value, key) => value?.[key], record);
+}
+
+/**
+ * Aplica a condição de um campo: igualdade direta ou um objeto de operadores.
+ */
+function matchCondition(value, condition) {
+  if (!isOperatorObject(condition)) {
+    return isEqual(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    // `$options` é um modificador de `$regex`, e não um operador independente.
+    if (operator === "$options") {
+      return true;
+    }
+
+    const apply = operators[operator];
+
+    if (!apply) {
+      throw new InvalidQueryError(`Unknown operator "${operator}".`);
+    }
+
+    return apply(value, operand, condition);
+  });
+}
+
+/**
+ * Um objeto de operadores é um objeto simples cujas chaves começam com `$` (ex.: `{ $gt: 10 }`).
+ */
+function isOperatorObject(condition) {
+  return (
+    condition !== null &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    !(condition instanceof Date) &&
+    !(condition instanceof RegExp) &&
+    Object.keys(condition).some((key) => key.startsWith("$"))
+  );
+}
+
+/**
+ * Compara dois valores por igualdade depois de ajustar o tipo do operando ao tipo do campo.
+ * Se o campo for um array, basta que um dos itens seja igual ao operando.
+ */
+function isEqual(value, operand) {
+  if (Array.isArray(value) && !Array.isArray(operand)) {
+    return value.some((item) => isEqual(item, operand));
+  }
+
+  if (operand instanceof RegExp) {
+    return typeof value === "string" && operand.test(value);
+  }
+
+  const [left, right] = normalize(value, operand);
+
+  return left === right;
+}
+
+/**
+ * Compara dois valores para os operadores de ordem.
+ *
+ * @returns {number} - Negativo, zero ou positivo; `NaN` quando os tipos não são comparáveis
+ * (fazendo com que `$gt`, `$lt` etc. retornem `false`).
+ */
+function compare(value, operand) {
+  const [left, right] = normalize(value, operand);
+
+  if (left === undefined || left === null || typeof left !== typeof right) {
+    return NaN;
+  }
+
+  if (typeof left === "string") {
+    return left.localeCompare(right);
+  }
+
+  return left - right;
+}
+
+/**
+ * Converte o operando para o tipo do valor armazenado, já que valores vindos da URL são sempre strings:
+ * - Números: `"18"` vira `18` quando o campo é numérico.
+ * - Booleanos: `"true"`/`"false"` viram `true`/`false` quando o campo é booleano.
+ * - Datas: objetos `Date` e strings ISO 8601 são comparados pelo timestamp.
+ *
+ * @returns {Array} - Par `[valor, operando]` pronto para comparação.
+ */
+function normalize(value, operand) {
+  if (isDateLike(value) && isDateLike(operand)) {
+    return [toTimestamp(value), toTimestamp(operand)];
+  }
+
+  if (typeof value === "number" && typeof operand === "string" && operand.trim() !== "") {
+    const number = Number(operand);
+    return [value, Number.isNaN(number) ? operand : number];
+  }
+
+  if (typeof value === "boolean" && (operand === "true" || operand === "false")) {
+    return [value, operand === "true"];
+  }
+
+  return [value, operand];
+}
+
+function isDateLike(value) {
+  return value instanceof Date || (typeof value === "string" && isoDateRegex.test(value));
+}
+
+function toTimestamp(value) {
+  return value instanceof Date ? value.getTime() : Date.parse(value);
+}
+
+function toArray(operator, operand) {
+  if (!Array.isArray(operand)) {
+    throw new InvalidQueryError(`Operator "${operator}" expects a list.`);
+  }
+
+  return operand;
+}
+
+function toBoolean(operand) {
+  if (operand === true || operand === "true") return true;
+  if (operand === false || operand === "false") return false;
+
+  throw new InvalidQueryError('Operator "$exists" expects true or false.');
+}
+
+/**
+ * Compila o `$regex` de uma condição uma única vez e reaproveita a expressão nos próximos registros.
+ */
+function toRegExp(operand, condition) {
+  if (operand instanceof RegExp) {
+    return operand;
+  }
+
+  if (!compiledRegExps.has(condition)) {
+    compiledRegExps.set(condition, compileRegExp(operand, condition.$options));
+  }
+
+  return compiledRegExps.get(condition);
+}
+
+function compileRegExp(pattern, options = "") {
+  if (typeof pattern !== "string") {
+    throw new InvalidQueryError('Operator "$regex" expects a string.');
+  }
+
+  if (typeof options !== "string" || !regexOptionsRegex.test(options)) {
+    throw new InvalidQueryError('Option "$options" accepts only the flags "i", "m", "s" and "u".');
+  }
+
+  assertSafePattern(pattern);
+
+  try {
+    return new RegExp(pattern, options);
+  } catch (error) {
+    throw new InvalidQueryError(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * @function assertSafePattern
+ * Recusa padrões que podem levar um tempo exponencial (ou polinomial alto) para falhar, como `^(a+)+$` contra
+ * `"aaaaaaaaaaaaaaaaaaaaaaaaaaaa!"`. Como o servidor roda em uma única thread, um padrão desses travaria todas
+ * as requisições.
+ *
+ * Regras (conservadoras: alguns padrões seguros também são recusados):
+ * - No máximo `MAX_REGEX_LENGTH` caracteres.
+ * - Sem referências a grupos (`\1`, `\k<nome>`).
+ * - Um grupo repetido (`*`, `+`, `{2,}`...) não pode conter outro quantificador nem alternativas (`|`).
+ * - No máximo `MAX_UNBOUNDED_QUANTIFIERS` quantificadores sem limite (`*`, `+`, `{2,}`).
+ *
+ * @param {string} pattern - Padrão recebido na consulta.
+ * @throws {InvalidQueryError} - Se o padrão violar uma das regras.
+ */
+function assertSafePattern(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    throw new InvalidQueryError(`Regular expressions must have at most ${MAX_REGEX_LENGTH} characters.`);
+  }
+
+  // Grupos abertos até a posição atual; `risky` indica que o grupo tem um quantificador ou uma alternativa.
+  const groups = [];
+  let unbounded = 0;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    let closed = null;
+
+    if (char === "\\") {
+      index++;
+
+      if (/[1-9k]/.test(pattern[index])) {
+        throw new InvalidQueryError("Regular expressions cannot use backreferences.");
+      }
+    } else if (char === "[") {
+      index = classEnd(pattern, index);
+    } else if (char === "(") {
+      groups.push({ risky: false });
+      index += pattern.slice(index + 1).match(groupPrefixRegex)?.[0].length ?? 0;
+    } else if (char === ")") {
+      closed = groups.pop() ?? { risky: false };
+
+      if (closed.risky && groups.length > 0) {
+        groups.at(-1).risky = true;
+      }
+    } else if (char === "|" && groups.length > 0) {
+      groups.at(-1).risky = true;
+    }
+
+    const quantifier = pattern.slice(index + 1).match(quantifierRegex);
+
+    if (!quantifier) {
+      continue;
+    }
+
+    const [text, min, comma, max] = quantifier;
+    const repeats = !text.startsWith("?") && (!min || comma !== undefined ? max !== "1" : Number(min) > 1);
+
+    if (repeats && closed?.risky) {
+      throw new InvalidQueryError(
+        'Regular expressions cannot repeat a group that contains a quantifier or an alternation (e.g. "(a+)+").'
+      );
+    }
+
+    if ((text[0] === "*" || text[0] === "+" || (comma && !max)) && ++unbounded > MAX_UNBOUNDED_QUANTIFIERS) {
+      throw new InvalidQueryError(
+        `Regular expressions can have at most ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers (*, + or {n,}).`
+      );
+    }
+
+    if (groups.length > 0) {
+      groups.at(-1).risky = true;
+    }
+
+    index += text.length;
+  }
+}
+
+/**
+ * Retorna a posição do `]` que fecha a classe de caracteres iniciada em `start` (ex.: `[a-z\]]`).
+ */
+function classEnd(pattern, start) {
+  let index = start + 1;
+
+  while (index < pattern.length && pattern[index] !== "]") {
+    index += pattern[index] === "\\" ? 2 : 1;
+  }
+
+  return index;
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Igualdade**: `{ email: "john@example.com" }` encontra registros cujo `email` é exatamente esse valor.
+ *
+ * 2. **Operadores de comparação**: `{ age: { $gte: 18, $lt: 65 } }` combina várias condições no mesmo campo.
+ *    Valores de tipos diferentes não são comparáveis; `{ age: { $gt: "abc" } }` nunca encontra nada.
+ *
+ * 3. **Operadores lógicos**: `$and` e `$or` recebem listas de consultas e podem ser aninhados.
+ *
+ * 4. **Tipos**: Como a query string da URL só transporta texto, o operando é convertido para o tipo do campo
+ *    armazenado (número, booleano ou data) antes da comparação.
+ *
+ * 5. **`$regex` seguro**: O motor de regex do JavaScript testa as alternativas uma a uma (backtracking). Em padrões
+ *    como `(a+)+`, o número de tentativas dobra a cada caractere do valor testado. Por isso, padrões em texto
+ *    passam por `assertSafePattern` e são compilados uma única vez por consulta, e não a cada registro.
+ */
@@ -0,0 +1,22 @@
+// Este arquivo contém a função `omitFields`, o inverso de `projectFields`: devolve o registro sem alguns campos.
+// É usada para que campos internos (ex.: `passwordHash` dos usuários) nunca apareçam nas respostas da API.
+
+/**
+ * @function omitFields
+ * Cria uma cópia do registro sem os campos informados.
+ *
+ * @param {object} [record] - Registro original. `null` e `undefined` são retornados como estão.
+ * @param {Array<string>} [fields] - Campos removidos. Se vazio ou ausente, o registro é retornado inteiro.
+ * @returns {object|undefined|null} - O registro sem os campos.
+ *
+ * @example
+ * omitFields({ id: "1", name: "John", passwordHash: "scrypt$..." }, ["passwordHash"]);
+ * // { id: "1", name: "John" }
+ */
+export function omitFields(record, fields) {
+  if (!record || !fields || fields.length === 0) {
+    return record;
+  }
+
+  return Object.fromEntries(Object.entries(record).filter(([field]) => !fields.includes(field)));
+}
@@ -0,0 +1,72 @@
+// Este arquivo contém a função `parsePaginationParams`, que lê os parâmetros de paginação, ordenação
+// e projeção da query string (`limit`, `offset`, `cursor`, `sort`, `fields`) e os converte nas opções
+// aceitas por `Database#select` e `Database#paginate`.
+
+import { InvalidQueryError } from "../errors/database-errors.js";
+
+// Quantidade de registros por página quando o cliente não informa `limit`.
+export const DEFAULT_PAGE_LIMIT = 20;
+
+// Maior página permitida, para que um cliente não consiga pedir a tabela inteira de uma vez.
+export const MAX_PAGE_LIMIT = 100;
+
+/**
+ * @function parsePaginationParams
+ * Converte os parâmetros da query string em opções de leitura do banco.
+ *
+ * `sort` e `fields` também podem ser repetidos na URL (`?sort=name&sort=-email`); os demais precisam ser únicos.
+ *
+ * @param {Object} queryParams - Objeto `req.query`.
+ * @returns {{ limit: number, offset: number, cursor?: string, sort?: string, fields?: Array<string> }}
+ *
+ * @throws {InvalidQueryError} - Se `limit` ou `offset` não forem inteiros válidos ou se `limit`, `offset` ou
+ * `cursor` forem repetidos.
+ *
+ * @example
+ * parsePaginationParams({ limit: "10", sort: "name,-email", fields: "id,name" });
+ * // { limit: 10, offset: 0, cursor: undefined, sort: "name,-email", fields: ["id", "name"] }
+ */
+export function parsePaginationParams({ limit, offset, cursor, sort, fields }) {
+  return {
+    limit: parseInteger("limit", single("limit", limit), DEFAULT_PAGE_LIMIT, 1, MAX_PAGE_LIMIT),
+    offset: parseInteger("offset", single("offset", offset), 0, 0, Number.MAX_SAFE_INTEGER),
+    cursor: single("cursor", cursor) || undefined,
+    sort: sort ? [sort].flat().join(",") : undefined,
+    fields: fields
+      ? [fields]
+          .flat()
+          .join(",")
+          .split(",")
+          .map((field) => field.trim())
+          .filter(Boolean)
+      : undefined,
+  };
+}
+
+/**
+ * Garante que um parâmetro foi informado uma única vez (`?limit=1&limit=2` chega como array).
+ */
+function single(name, value) {
+  if (Array.isArray(value) || (typeof value === "object" && value !== null)) {
+    throw new InvalidQueryError(`"${name}" must be a single value.`);
+  }
+
+  return value;
+}
+
+/**
+ * Converte um parâmetro em inteiro dentro do intervalo `[min, max]`.
+ */
+function parseInteger(name, value, fallback, min, max) {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new InvalidQueryError(`"${name}" must be an integer between ${min} and ${max}.`);
+  }
+
+  return number;
+}
@@ -0,0 +1,86 @@
+// Este arquivo contém as funções que transformam senhas em hashes e conferem uma senha com o hash salvo.
+// Usa o `scrypt` do `node:crypto`, um algoritmo feito para ser lento e caro em memória: mesmo que o `db.json`
+// vaze, descobrir as senhas por tentativa e erro fica inviável.
+
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+
+const scryptAsync = promisify(scrypt);
+
+// Parâmetros do scrypt: custo (N), tamanho do bloco (r) e paralelismo (p). Ficam gravados em cada hash,
+// então podem ser aumentados no futuro sem invalidar as senhas já salvas.
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Formato do hash salvo: `scrypt$<N>$<r>$<p>$<salt>$<chave>` (salt e chave em base64url).
+const passwordHashRegex = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([\w-]+)\$([\w-]+)$/;
+
+/**
+ * @function hashPassword
+ * Gera o hash de uma senha, com um salt aleatório.
+ *
+ * @param {string} password - Senha em texto puro.
+ * @returns {Promise<string>} - O hash, no formato `scrypt$N$r$p$salt$chave`.
+ *
+ * @example
+ * await hashPassword("correct horse battery staple");
+ * // "scrypt$16384$8$1$Hk4...$9fQ..."
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_LENGTH);
+  const key = await scryptAsync(password.normalize("NFC"), salt, KEY_LENGTH, {
+    N: COST,
+    r: BLOCK_SIZE,
+    p: PARALLELIZATION,
+  });
+
+  return `scrypt$${COST}$${BLOCK_SIZE}$${PARALLELIZATION}$${salt.toString("base64url")}$${key.toString("base64url")}`;
+}
+
+/**
+ * @function verifyPassword
+ * Confere uma senha com um hash gerado por `hashPassword`.
+ *
+ * @param {string} password - Senha em texto puro.
+ * @param {string} [passwordHash] - Hash salvo. Se estiver ausente ou malformado, a senha nunca confere.
+ * @returns {Promise<boolean>}
+ *
+ * @example
+ * await verifyPassword("correct horse battery staple", user.passwordHash); // true
+ */
+export async function verifyPassword(password, passwordHash) {
+  const match = passwordHash?.match(passwordHashRegex);
+
+  if (!match) {
+    return false;
+  }
+
+  const [, cost, blockSize, parallelization, salt, key] = match;
+  const expected = Buffer.from(key, "base64url");
+
+  const actual = await scryptAsync(password.normalize("NFC"), Buffer.from(salt, "base64url"), expected.length, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization),
+    // O scrypt usa cerca de `128 * N * r` bytes; o limite padrão do Node.js (32 MB) barraria custos maiores.
+    maxmem: 256 * Number(cost) * Number(blockSize),
+  });
+
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Salt**: Cada hash usa um salt aleatório, então duas pessoas com a mesma senha têm hashes diferentes e
+ *    uma tabela pré-calculada de senhas comuns não serve para nada.
+ *
+ * 2. **`timingSafeEqual`**: Compara os bytes sempre no mesmo tempo. Uma comparação comum para no primeiro byte
+ *    diferente, e a diferença de tempo poderia revelar quantos bytes do hash o atacante já acertou.
+ *
+ * 3. **`normalize("NFC")`**: Um caractere como `é` pode ser digitado como um ou como dois códigos Unicode.
+ *    A normalização garante que a mesma senha gere o mesmo hash em qualquer teclado.
+ */
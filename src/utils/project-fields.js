@@ -0,0 +1,24 @@
+// Este arquivo contém a função `projectFields`, usada para devolver apenas alguns campos de cada registro,
+// como em `GET /users?fields=id,name`.
+
+/**
+ * @function projectFields
+ * Cria uma cópia do registro contendo apenas os campos informados.
+ *
+ * @param {object} record - Registro original.
+ * @param {Array<string>} [fields] - Campos desejados. Se vazio ou ausente, o registro é retornado inteiro.
+ * @returns {object} - O registro projetado.
+ *
+ * @example
+ * projectFields({ id: "1", name: "John", email: "john@example.com" }, ["id", "name"]);
+ * // { id: "1", name: "John" }
+ */
+export function projectFields(record, fields) {
+  if (!fields || fields.length === 0) {
+    return record;
+  }
+
+  return Object.fromEntries(
+    fields.filter((field) => field in record).map((field) => [field, record[field]])
+  );
+}
@@ -0,0 +1,89 @@
+// Este arquivo contém as funções que criam e conferem os tokens de acesso da API. Um token é o conteúdo
+// (`payload`) em JSON, seguido de uma assinatura HMAC-SHA256 feita com um segredo que só o servidor conhece:
+// o cliente consegue ler o conteúdo, mas qualquer alteração invalida a assinatura.
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { TokenError } from "../errors/token-error.js";
+
+/**
+ * @function signToken
+ * Cria um token assinado que expira depois de `expiresIn` segundos.
+ *
+ * @param {object} payload - Conteúdo do token (ex.: `{ sub: user.id }`). Não guarde segredos aqui: o conteúdo
+ * é apenas codificado em base64url, não criptografado.
+ * @param {string|Buffer} secret - Segredo usado na assinatura.
+ * @param {object} options - Opções do token.
+ * @param {number} options.expiresIn - Validade, em segundos.
+ * @returns {string} - O token, no formato `<payload em base64url>.<assinatura em base64url>`.
+ *
+ * @example
+ * const token = signToken({ sub: "1234", type: "access" }, secret, { expiresIn: 900 });
+ */
+export function signToken(payload, secret, { expiresIn }) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, iat: issuedAt, exp: issuedAt + expiresIn };
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+
+  return `${body}.${sign(body, secret)}`;
+}
+
+/**
+ * @function verifyToken
+ * Confere a assinatura e a validade de um token criado por `signToken`.
+ *
+ * @param {string} token - Token recebido do cliente.
+ * @param {string|Buffer} secret - Segredo usado na assinatura.
+ * @returns {object} - O conteúdo do token, com `iat` e `exp` (em segundos desde 1970).
+ * @throws {TokenError} - Se o token estiver malformado, com a assinatura inválida ou expirado.
+ *
+ * @example
+ * const { sub } = verifyToken(token, secret);
+ */
+export function verifyToken(token, secret) {
+  const [body, signature, ...rest] = token.split(".");
+
+  if (!body || !signature || rest.length > 0) {
+    throw new TokenError("The access token is malformed.");
+  }
+
+  const expected = Buffer.from(sign(body, secret), "base64url");
+  const actual = Buffer.from(signature, "base64url");
+
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new TokenError("The access token signature is invalid.");
+  }
+
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    throw new TokenError("The access token is malformed.");
+  }
+
+  if (!Number.isInteger(payload?.exp) || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenError("The access token has expired.", { expired: true });
+  }
+
+  return payload;
+}
+
+/**
+ * Assina um texto com HMAC-SHA256 e retorna a assinatura em base64url.
+ */
+function sign(text, secret) {
+  return createHmac("sha256", secret).update(text).digest("base64url");
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Por que HMAC?** A assinatura depende do conteúdo e do segredo. Sem o segredo, ninguém consegue gerar
+ *    a assinatura correta para um conteúdo alterado (ex.: trocar o `sub` pelo ID de outro usuário).
+ *
+ * 2. **Sem consulta ao banco**: O servidor confere o token só com o segredo, então a verificação é barata.
+ *    Por isso os tokens de acesso duram pouco: não há como revogar um token antes de ele expirar.
+ *
+ * 3. **`timingSafeEqual`**: A assinatura é comparada em tempo constante, para que o tempo de resposta não
+ *    revele quantos bytes de uma assinatura forjada estão certos.
+ */
@@ -0,0 +1,99 @@
+// Este arquivo contém as funções usadas pelo `Database` para ordenar registros por várias chaves,
+// no formato aceito pela query string: `?sort=name,-email` (o `-` indica ordem decrescente).
+
+import { InvalidQueryError } from "../errors/database-errors.js";
+import { getFieldValue } from "./match-query.js";
+
+// Um campo de ordenação válido: letras, números, `_` e `.` (para caminhos como `address.city`).
+const sortFieldRegex = /^-?[\w.]+$/;
+
+/**
+ * @function parseSort
+ * Converte a especificação de ordenação em uma lista de chaves.
+ *
+ * @param {string|Array<string>} [sort] - Campos separados por vírgula (`"name,-email"`) ou um array (`["name", "-email"]`).
+ * @returns {Array<{ field: string, direction: number }>} - Chaves de ordenação; `direction` é `1` (crescente) ou `-1` (decrescente).
+ *
+ * @throws {InvalidQueryError} - Se algum campo tiver um nome inválido.
+ *
+ * @example
+ * parseSort("name,-email");
+ * // [{ field: "name", direction: 1 }, { field: "email", direction: -1 }]
+ */
+export function parseSort(sort) {
+  if (!sort) {
+    return [];
+  }
+
+  const fields = Array.isArray(sort) ? sort : String(sort).split(",");
+
+  return fields
+    .map((field) => field.trim())
+    .filter(Boolean)
+    .map((field) => {
+      if (!sortFieldRegex.test(field)) {
+        throw new InvalidQueryError(`Invalid sort field "${field}".`);
+      }
+
+      return field.startsWith("-")
+        ? { field: field.slice(1), direction: -1 }
+        : { field, direction: 1 };
+    });
+}
+
+/**
+ * @function compareBy
+ * Cria uma função de comparação (para `Array.prototype.sort`) a partir das chaves de ordenação.
+ * Valores ausentes (`undefined`/`null`) ficam sempre no final, independentemente da direção.
+ *
+ * @param {Array<{ field: string, direction: number }>} keys - Chaves retornadas por `parseSort`.
+ * @returns {Function} - Função `(a, b) => number`.
+ *
+ * @example
+ * users.sort(compareBy(parseSort("-name")));
+ */
+export function compareBy(keys) {
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const result = compareValues(getFieldValue(a, field), getFieldValue(b, field));
+
+      if (result === null) {
+        continue;
+      }
+
+      if (result.missing) {
+        return result.order; // Ausentes no final, sem inverter pela direção.
+      }
+
+      if (result.order !== 0) {
+        return result.order * direction;
+      }
+    }
+
+    return 0;
+  };
+}
+
+/**
+ * Compara dois valores de um mesmo campo.
+ *
+ * @returns {{ order: number, missing?: boolean }|null} - `null` quando os dois valores estão ausentes.
+ */
+function compareValues(left, right) {
+  const leftMissing = left === undefined || left === null;
+  const rightMissing = right === undefined || right === null;
+
+  if (leftMissing && rightMissing) return null;
+  if (leftMissing) return { order: 1, missing: true };
+  if (rightMissing) return { order: -1, missing: true };
+
+  if (typeof left === "number" && typeof right === "number") {
+    return { order: left - right };
+  }
+
+  if (typeof left === "boolean" && typeof right === "boolean") {
+    return { order: Number(left) - Number(right) };
+  }
+
+  return { order: String(left).localeCompare(String(right)) };
+}
@@ -0,0 +1,138 @@
+// Este arquivo implementa a classe `TableIndex`, um índice em memória sobre um campo de uma tabela do `Database`.
+// Em vez de percorrer o array inteiro a cada consulta, o índice mapeia cada valor do campo para os registros
+// que o possuem, permitindo buscas por igualdade em tempo constante e a verificação de unicidade.
+
+import { UniqueConstraintError } from "../errors/database-errors.js";
+
+/**
+ * @class TableIndex
+ * Índice de um campo de uma tabela.
+ *
+ * - Índices secundários mapeiam um valor para vários registros.
+ * - Índices únicos (`unique: true`) rejeitam dois registros com o mesmo valor.
+ * - Registros sem o campo (`undefined` ou `null`) não entram no índice, então vários registros
+ *   podem ficar sem valor mesmo em um índice único.
+ *
+ * @example
+ * const index = new TableIndex("users", { field: "email", unique: true });
+ * index.add({ id: "1", email: "john@example.com" });
+ * index.find("john@example.com"); // [{ id: "1", email: "john@example.com" }]
+ * index.add({ id: "2", email: "john@example.com" }); // Lança UniqueConstraintError
+ */
+export class TableIndex {
+  // Mapa de chave normalizada -> conjunto de registros com esse valor.
+  #entries = new Map();
+
+  /**
+   * @param {string} table - Nome da tabela indexada (usado nas mensagens de erro).
+   * @param {object} definition - Definição do índice.
+   * @param {string} definition.field - Campo indexado.
+   * @param {boolean} [definition.unique=false] - Se o valor deve ser único na tabela.
+   */
+  constructor(table, { field, unique = false }) {
+    this.table = table;
+    this.field = field;
+    this.unique = unique;
+  }
+
+  /**
+   * Converte um valor em chave do índice. Valores da URL chegam como texto, então números e booleanos
+   * são indexados pela sua forma textual (`18` e `"18"` caem na mesma chave); a consulta confirma o tipo depois.
+   *
+   * @param {*} value - Valor do campo.
+   * @returns {string|null} - A chave ou `null` se o valor não deve ser indexado.
+   */
+  static key(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Verifica se o registro pode entrar no índice sem violar a unicidade.
+   *
+   * @param {object} record - Registro a ser verificado.
+   * @param {object} [replacing] - Registro que será substituído por `record` (ignorado na verificação).
+   *
+   * @throws {UniqueConstraintError} - Se outro registro já tiver o mesmo valor em um índice único.
+   */
+  check(record, replacing) {
+    if (!this.unique) {
+      return;
+    }
+
+    const key = TableIndex.key(record[this.field]);
+    const existing = key === null ? undefined : this.#entries.get(key);
+
+    if (existing && [...existing].some((row) => row !== replacing)) {
+      throw new UniqueConstraintError(this.table, this.field, record[this.field]);
+    }
+  }
+
+  /**
+   * Adiciona um registro ao índice.
+   *
+   * @param {object} record - Registro a ser indexado.
+   * @throws {UniqueConstraintError} - Se o valor já existir em um índice único.
+   */
+  add(record) {
+    this.check(record);
+
+    const key = TableIndex.key(record[this.field]);
+
+    if (key === null) {
+      return;
+    }
+
+    if (!this.#entries.has(key)) {
+      this.#entries.set(key, new Set());
+    }
+
+    this.#entries.get(key).add(record);
+  }
+
+  /**
+   * Remove um registro do índice.
+   *
+   * @param {object} record - Registro a ser removido (a mesma referência adicionada com `add`).
+   */
+  remove(record) {
+    const key = TableIndex.key(record[this.field]);
+    const records = key === null ? undefined : this.#entries.get(key);
+
+    if (!records) {
+      return;
+    }
+
+    records.delete(record);
+
+    if (records.size === 0) {
+      this.#entries.delete(key);
+    }
+  }
+
+  /**
+   * Retorna os registros cujo campo tem o valor informado.
+   *
+   * @param {*} value - Valor procurado.
+   * @returns {Array<object>} - Registros encontrados (lista vazia se nenhum).
+   */
+  find(value) {
+    const key = TableIndex.key(value);
+
+    return key === null ? [] : [...(this.#entries.get(key) ?? [])];
+  }
+
+  /**
+   * Esvazia o índice (usado antes de reconstruí-lo).
+   */
+  clear() {
+    this.#entries.clear();
+  }
+}
@@ -0,0 +1,169 @@
+// Este arquivo contém a função `validateSchema`, usada pela classe `Database` para validar os registros
+// antes de cada escrita. O schema de uma tabela descreve cada campo com regras simples e declarativas:
+// `{ email: { type: "string", format: "email", required: true, maxLength: 254 } }`.
+
+/**
+ * Formatos de string suportados pela regra `format`.
+ */
+const formats = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  "date-time": /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  url: /^https?:\/\/[^\s/$.?#].[^\s]*$/i,
+};
+
+/**
+ * Verificações de tipo suportadas pela regra `type`.
+ */
+const types = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => typeof value === "object" && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+/**
+ * @function validateSchema
+ * Valida um objeto de acordo com o schema de uma tabela.
+ *
+ * Regras aceitas por campo:
+ * - `type`: `"string"`, `"number"`, `"integer"`, `"boolean"`, `"object"` ou `"array"`.
+ * - `required`: O campo precisa estar presente (e não ser `null` nem string vazia).
+ * - `format`: Formato de string (`"email"`, `"uuid"`, `"date-time"`, `"url"`).
+ * - `minLength` / `maxLength`: Limites de tamanho para strings e arrays.
+ * - `min` / `max`: Limites para números.
+ * - `enum`: Lista de valores permitidos.
+ * - `pattern`: Expressão regular que a string precisa atender.
+ * - `trim`: Remove espaços nas pontas de strings antes de validar.
+ * - `lowercase`: Converte strings para minúsculas antes de validar (ex.: emails, para que a comparação dos índices
+ *   únicos não diferencie `A@x.com` de `a@x.com`).
+ * - `default`: Valor (ou função que gera o valor) usado quando o campo está ausente.
+ *
+ * Campos que não estão no schema são removidos, exceto `id`, que pertence ao banco.
+ *
+ * @param {object} schema - Objeto onde cada chave é um campo e cada valor é um objeto de regras.
+ * @param {*} data - Dados a serem validados.
+ *
+ * @returns {{ value: object, errors: Array<{ field: string, message: string }> }} - O objeto normalizado
+ * (com padrões aplicados e campos desconhecidos removidos) e a lista de erros (vazia se for válido).
+ *
+ * @example
+ * const { value, errors } = validateSchema(
+ *   { name: { type: "string", required: true }, role: { type: "string", default: "user" } },
+ *   { name: "John", admin: true }
+ * );
+ * // value: { name: "John", role: "user" }
+ * // errors: []
+ */
+export function validateSchema(schema, data) {
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    return { value: {}, errors: [{ field: null, message: "Body must be a JSON object" }] };
+  }
+
+  const value = {};
+  const errors = [];
+
+  // O `id` é controlado pelo banco e nunca é removido pelo schema.
+  if (data.id !== undefined) {
+    value.id = data.id;
+  }
+
+  for (const [field, rules] of Object.entries(schema)) {
+    let fieldValue = data[field];
+
+    if (rules.trim && typeof fieldValue === "string") {
+      fieldValue = fieldValue.trim();
+    }
+
+    if (rules.lowercase && typeof fieldValue === "string") {
+      fieldValue = fieldValue.toLowerCase();
+    }
+
+    if (isEmpty(fieldValue) && rules.default !== undefined) {
+      fieldValue = typeof rules.default === "function" ? rules.default() : rules.default;
+    }
+
+    if (isEmpty(fieldValue)) {
+      if (rules.required) {
+        errors.push({ field, message: `${field} is required` });
+      }
+
+      continue;
+    }
+
+    const message = checkRules(field, fieldValue, rules);
+
+    if (message) {
+      errors.push({ field, message });
+      continue;
+    }
+
+    value[field] = fieldValue;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Considera vazio um campo ausente, `null` ou com string vazia.
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Aplica as regras de um campo, na ordem, e retorna a mensagem do primeiro erro encontrado.
+ *
+ * @returns {string|null} - Mensagem de erro ou `null` se o valor for válido.
+ */
+function checkRules(field, value, rules) {
+  if (rules.type && !types[rules.type]?.(value)) {
+    return `${field} must be of type ${rules.type}`;
+  }
+
+  if (rules.format && !(typeof value === "string" && formats[rules.format]?.test(value))) {
+    return `${field} must be a valid ${rules.format}`;
+  }
+
+  if (rules.pattern && !(typeof value === "string" && new RegExp(rules.pattern).test(value))) {
+    return `${field} has an invalid format`;
+  }
+
+  if (rules.minLength !== undefined && value.length < rules.minLength) {
+    return `${field} must have at least ${rules.minLength} characters`;
+  }
+
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return `${field} must have at most ${rules.maxLength} characters`;
+  }
+
+  if (rules.min !== undefined && value < rules.min) {
+    return `${field} must be greater than or equal to ${rules.min}`;
+  }
+
+  if (rules.max !== undefined && value > rules.max) {
+    return `${field} must be less than or equal to ${rules.max}`;
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `${field} must be one of: ${rules.enum.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Explicação detalhada:
+ *
+ * 1. **Por que validar no banco?**
+ *    Cada rota que escreve dados (POST, PUT...) passa pelo `Database`. Validando ali, nenhuma rota
+ *    consegue gravar um registro incompleto, mesmo que esqueça de checar o corpo da requisição.
+ *
+ * 2. **Erros por campo**: Todos os campos são verificados e cada problema vira um item
+ *    `{ field, message }`, permitindo que o cliente mostre todos os erros de uma vez.
+ *
+ * 3. **Normalização**: O objeto retornado em `value` é o que deve ser gravado: padrões aplicados,
+ *    strings aparadas (`trim`) e campos desconhecidos descartados.
+ */
@@ -0,0 +1,68 @@
+// Este arquivo contém a função `writeFileAtomic`, usada pelos adaptadores de armazenamento do `Database`
+// para substituir um arquivo sem nunca deixá-lo pela metade, mesmo que o processo caia durante a escrita.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * @function writeFileAtomic
+ * Grava o conteúdo de forma atômica:
+ * 1. Escreve em `<arquivo>.tmp` e força a gravação em disco (`fsync`).
+ * 2. Opcionalmente copia o arquivo atual (íntegro) para `backupPath`.
+ * 3. Renomeia o arquivo temporário para o destino, operação atômica no sistema de arquivos.
+ *
+ * Se o processo cair no meio do caminho, o destino continua com a versão anterior completa.
+ *
+ * @param {string} filePath - Caminho do arquivo de destino.
+ * @param {string} content - Conteúdo a ser gravado.
+ * @param {object} [options] - Opções da escrita.
+ * @param {string} [options.backupPath] - Caminho para onde a versão anterior é copiada antes da troca.
+ *
+ * @example
+ * await writeFileAtomic("db.json", JSON.stringify(data), { backupPath: "db.json.bak" });
+ */
+export async function writeFileAtomic(filePath, content, { backupPath } = {}) {
+  const temporaryPath = `${filePath}.tmp`;
+  const file = await fs.open(temporaryPath, "w");
+
+  try {
+    await file.writeFile(content);
+    await file.sync();
+  } finally {
+    await file.close();
+  }
+
+  if (backupPath) {
+    try {
+      await fs.copyFile(filePath, backupPath);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  await fs.rename(temporaryPath, filePath);
+  await syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * @function syncDirectory
+ * Força a gravação em disco da entrada de diretório após um `rename`, para que a troca de arquivos
+ * sobreviva a uma queda de energia. Em sistemas que não suportam `fsync` em diretórios (ex.: Windows),
+ * a falha é ignorada.
+ *
+ * @param {string} directory - Caminho do diretório.
+ */
+export async function syncDirectory(directory) {
+  let handle;
+
+  try {
+    handle = await fs.open(directory, "r");
+    await handle.sync();
+  } catch {
+    // Sem suporte a `fsync` em diretórios: o `rename` continua atômico.
+  } finally {
+    await handle?.close();
+  }
+}